@@ -0,0 +1,376 @@
+// adjustmentStack.js
+// Non-destructive image edits. An adjustment stack is an ordered list of operations, kept with
+// the revision it rendered together with the data it started from, so the edits can be changed,
+// reordered or removed later and are always rendered from that data (JPEG losses never pile up).
+// Presets are named operation lists that are saved in the browser and shared as JSON files.
+
+import { blobToBase64, base64ToBlob, canvasToBlob } from './utils.js';
+import { LEVELS_CHANNELS, TINT_BLEND_MODES, createDefaultImageAdjustments, describeImageAdjustments, adjustPixels } from './imageFilters.js';
+import { FIT_MODES, createCenteredCrop, drawFitted } from './imageFit.js';
+
+export const OPERATION_TYPES = ['brightness', 'contrast', 'saturation', 'hue', 'tint', 'levels', 'recolor', 'fill', 'overlay', 'resize'];
+
+export const PRESET_FILE_FORMAT = 'venge-adjustment-preset';
+export const PRESET_FILE_VERSION = 1;
+
+// Operations that only change pixel colors; a run of them shares one read and write of the pixels
+const PIXEL_OPERATION_TYPES = ['brightness', 'contrast', 'saturation', 'hue', 'tint', 'levels', 'recolor'];
+const MAX_RESIZE_SIZE = 8192;
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * One step of an adjustment stack. Besides its type and enabled flag it has the settings of its type:
+ * - brightness, contrast, saturation: value (multiplier, 0-2; 1 leaves the image unchanged)
+ * - hue: degrees (-180 to 180)
+ * - tint: color ("#rrggbb"), strength (0-1), blendMode (one of TINT_BLEND_MODES)
+ * - levels: levels (ChannelLevels keyed by LEVELS_CHANNELS)
+ * - recolor: source, target ("#rrggbb"), tolerance (0-100)
+ * - fill: color ("#rrggbb"), opaqueOnly (only paint over the image's pixels, keeping its transparency)
+ * - overlay: image (Blob), opacity (0-1), mode (how it is fitted to the image, one of FIT_MODES except "none")
+ * - resize: width, height (pixels), mode (one of FIT_MODES except "none")
+ * @typedef {Object} AdjustmentOperation
+ * @property {string} type One of OPERATION_TYPES.
+ * @property {boolean} enabled Whether the step is applied.
+ */
+
+/**
+ * An image's adjustment stack.
+ * @typedef {Object} AdjustmentStack
+ * @property {Blob} baseBlob The data the operations are applied to, in the asset's format.
+ * @property {Array<AdjustmentOperation>} operations The steps, applied first to last.
+ */
+
+/**
+ * A named list of operations.
+ * @typedef {Object} AdjustmentPreset
+ * @property {string} [id] ID in the preset store. Missing in presets that are not saved.
+ * @property {string} name Display name, e.g. "Night mode".
+ * @property {Array<AdjustmentOperation>} operations The steps.
+ */
+
+/**
+ * Turns the settings of the image editor's controls into stack operations, in the order the
+ * editor applies them: the fill first, then the ImageAdjustments in adjustPixels' order.
+ * Settings that leave the image unchanged are left out.
+ * @param {import('./imageFilters.js').ImageAdjustments} adjustments The adjustments.
+ * @param {{color: string, opaqueOnly: boolean}|null} colorFill The color fill, or null for none.
+ * @returns {Array<AdjustmentOperation>}
+ */
+export function createOperationsFromAdjustments(adjustments, colorFill) {
+    const operations = [];
+    if (colorFill) {
+        operations.push({ type: 'fill', enabled: true, color: colorFill.color, opaqueOnly: colorFill.opaqueOnly });
+    }
+    if (adjustments.recolorSource) {
+        operations.push({
+            type: 'recolor',
+            enabled: true,
+            source: adjustments.recolorSource,
+            target: adjustments.recolorTarget,
+            tolerance: adjustments.recolorTolerance
+        });
+    }
+    ['brightness', 'contrast', 'saturation'].forEach(type => {
+        if (adjustments[type] !== 1) operations.push({ type, enabled: true, value: adjustments[type] });
+    });
+    if (adjustments.hue !== 0) {
+        operations.push({ type: 'hue', enabled: true, degrees: adjustments.hue });
+    }
+    if (adjustments.tintStrength > 0) {
+        operations.push({
+            type: 'tint',
+            enabled: true,
+            color: adjustments.tintColor,
+            strength: adjustments.tintStrength,
+            blendMode: adjustments.tintBlendMode
+        });
+    }
+    if (describeImageAdjustments({ ...createDefaultImageAdjustments(), levels: adjustments.levels }).length > 0) {
+        operations.push({ type: 'levels', enabled: true, levels: structuredClone(adjustments.levels) });
+    }
+    return operations;
+}
+
+/**
+ * The ImageAdjustments that apply a pixel operation.
+ * @param {AdjustmentOperation} operation An operation of one of PIXEL_OPERATION_TYPES.
+ * @returns {import('./imageFilters.js').ImageAdjustments}
+ */
+function toImageAdjustments(operation) {
+    const adjustments = createDefaultImageAdjustments();
+    switch (operation.type) {
+        case 'brightness':
+        case 'contrast':
+        case 'saturation':
+            adjustments[operation.type] = operation.value;
+            break;
+        case 'hue':
+            adjustments.hue = operation.degrees;
+            break;
+        case 'tint':
+            Object.assign(adjustments, { tintColor: operation.color, tintStrength: operation.strength, tintBlendMode: operation.blendMode });
+            break;
+        case 'levels':
+            adjustments.levels = operation.levels;
+            break;
+        case 'recolor':
+            Object.assign(adjustments, { recolorSource: operation.source, recolorTarget: operation.target, recolorTolerance: operation.tolerance });
+            break;
+    }
+    return adjustments;
+}
+
+/**
+ * Describes an operation, e.g. "Brightness 120%" or "Resize to 512×512 (fill)".
+ * @param {AdjustmentOperation} operation The operation.
+ * @returns {string}
+ */
+export function describeOperation(operation) {
+    switch (operation.type) {
+        case 'fill':
+            return `Color fill ${operation.color}${operation.opaqueOnly ? ' (opaque pixels)' : ''}`;
+        case 'overlay':
+            return `Overlay ${Math.round(operation.opacity * 100)}% (${operation.mode})`;
+        case 'resize':
+            return `Resize to ${operation.width}×${operation.height} (${operation.mode})`;
+        default:
+            return describeImageAdjustments(toImageAdjustments(operation))[0] || `${operation.type[0].toUpperCase()}${operation.type.slice(1)} (no change)`;
+    }
+}
+
+/**
+ * Describes the enabled operations of a stack for a revision label.
+ * @param {Array<AdjustmentOperation>} operations The operations.
+ * @returns {string} e.g. "Brightness 120%, Hue +30°", or "No adjustments".
+ */
+export function describeOperations(operations) {
+    const parts = operations.filter(operation => operation.enabled).map(describeOperation);
+    return parts.length > 0 ? parts.join(', ') : 'No adjustments';
+}
+
+/**
+ * Checks an operation read from a file or session and brings its settings into range.
+ * @param {Object} data The operation, with the overlay image already as a Blob.
+ * @returns {AdjustmentOperation}
+ * @throws {Error} If the operation type is unknown or a setting is missing or invalid.
+ */
+export function normalizeOperation(data) {
+    const type = data?.type;
+    if (!OPERATION_TYPES.includes(type)) {
+        throw new Error(`Unknown adjustment operation "${type}".`);
+    }
+    const operation = { type, enabled: data.enabled !== false };
+    switch (type) {
+        case 'brightness':
+        case 'contrast':
+        case 'saturation':
+            return { ...operation, value: readNumber(data.value, 0, 2, type) };
+        case 'hue':
+            return { ...operation, degrees: readNumber(data.degrees, -180, 180, type) };
+        case 'tint':
+            return {
+                ...operation,
+                color: readColor(data.color, type),
+                strength: readNumber(data.strength, 0, 1, type),
+                blendMode: TINT_BLEND_MODES.includes(data.blendMode) ? data.blendMode : 'normal'
+            };
+        case 'levels':
+            return { ...operation, levels: readLevels(data.levels) };
+        case 'recolor':
+            return {
+                ...operation,
+                source: readColor(data.source, type),
+                target: readColor(data.target, type),
+                tolerance: readNumber(data.tolerance, 0, 100, type)
+            };
+        case 'fill':
+            return { ...operation, color: readColor(data.color, type), opaqueOnly: data.opaqueOnly !== false };
+        case 'overlay':
+            if (!(data.image instanceof Blob)) {
+                throw new Error('The overlay operation has no image.');
+            }
+            return { ...operation, image: data.image, opacity: readNumber(data.opacity, 0, 1, type), mode: readFitMode(data.mode) };
+        case 'resize':
+            return {
+                ...operation,
+                width: Math.round(readNumber(data.width, 1, MAX_RESIZE_SIZE, type)),
+                height: Math.round(readNumber(data.height, 1, MAX_RESIZE_SIZE, type)),
+                mode: readFitMode(data.mode)
+            };
+    }
+}
+
+function readNumber(value, min, max, type) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`The ${type} operation has an invalid setting.`);
+    }
+    return Math.min(Math.max(value, min), max);
+}
+
+function readColor(value, type) {
+    if (typeof value !== 'string' || !HEX_COLOR_PATTERN.test(value)) {
+        throw new Error(`The ${type} operation has an invalid color.`);
+    }
+    return value.toLowerCase();
+}
+
+function readFitMode(value) {
+    return FIT_MODES.includes(value) && value !== 'none' ? value : 'stretch';
+}
+
+function readLevels(data) {
+    return Object.fromEntries(LEVELS_CHANNELS.map(channel => {
+        const black = Math.round(readNumber(data?.[channel]?.black, 0, 254, 'levels'));
+        const white = Math.round(readNumber(data?.[channel]?.white, black + 1, 255, 'levels'));
+        return [channel, { black, white, gamma: readNumber(data[channel].gamma, 0.1, 3, 'levels') }];
+    }));
+}
+
+/**
+ * Prepares operations for a session or preset file. Overlay images are stored like session data.
+ * @param {Array<AdjustmentOperation>} operations The operations.
+ * @param {Object} [options]
+ * @param {boolean} [options.binary=false] Keep images as Blobs (`blob` fields) instead of base64 data URIs (`base64Data` fields).
+ * @returns {Promise<Array<Object>>}
+ */
+export async function serializeOperations(operations, { binary = false } = {}) {
+    const serialized = [];
+    for (const operation of operations) {
+        if (operation.type === 'overlay') {
+            const image = binary ? { blob: operation.image } : { base64Data: await blobToBase64(operation.image) };
+            serialized.push({ ...operation, image });
+        } else {
+            serialized.push(structuredClone(operation));
+        }
+    }
+    return serialized;
+}
+
+/**
+ * Reads operations stored by serializeOperations.
+ * @param {Array<Object>} data The stored operations.
+ * @returns {Array<AdjustmentOperation>}
+ * @throws {Error} If an operation is invalid.
+ */
+export function deserializeOperations(data) {
+    if (!Array.isArray(data)) {
+        throw new Error('The adjustment operations are missing.');
+    }
+    return data.map(operation => {
+        if (operation?.type !== 'overlay') return normalizeOperation(operation);
+        const { blob, base64Data } = operation.image || {};
+        return normalizeOperation({ ...operation, image: blob instanceof Blob ? blob : base64Data ? base64ToBlob(base64Data) : null });
+    });
+}
+
+/**
+ * Builds the JSON file a preset is shared as.
+ * @param {AdjustmentPreset} preset The preset.
+ * @returns {Promise<Object>} Ready for JSON.stringify.
+ */
+export async function createPresetFile(preset) {
+    return {
+        format: PRESET_FILE_FORMAT,
+        version: PRESET_FILE_VERSION,
+        name: preset.name,
+        operations: await serializeOperations(preset.operations)
+    };
+}
+
+/**
+ * Reads a shared preset file.
+ * @param {File} file The JSON file.
+ * @returns {Promise<AdjustmentPreset>} The preset, without an ID.
+ * @throws {Error} If the file is not a preset file or is invalid.
+ */
+export async function readPresetFile(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        throw new Error(`${file.name} is not valid JSON.`);
+    }
+    if (data?.format !== PRESET_FILE_FORMAT) {
+        throw new Error(`${file.name} is not an adjustment preset.`);
+    }
+    if (data.version > PRESET_FILE_VERSION) {
+        throw new Error(`${file.name} uses preset version ${data.version}, which is newer than this site supports (${PRESET_FILE_VERSION}).`);
+    }
+    const name = typeof data.name === 'string' && data.name.trim() ? data.name.trim() : file.name.replace(/\.json$/i, '');
+    return { name, operations: deserializeOperations(data.operations) };
+}
+
+/**
+ * Renders an adjustment stack.
+ * @param {Blob} baseBlob The image the operations are applied to.
+ * @param {Array<AdjustmentOperation>} operations The operations; disabled ones are skipped.
+ * @param {Object} [options]
+ * @param {string} [options.mimeType='image/png'] The format of the result, normally the asset's.
+ * @param {number} [options.quality] Encoder quality between 0 and 1, used for JPEG.
+ * @returns {Promise<Blob>}
+ */
+export async function renderAdjustmentStack(baseBlob, operations, { mimeType = 'image/png', quality } = {}) {
+    let image;
+    try {
+        image = await createImageBitmap(baseBlob);
+    } catch (error) {
+        throw new Error('Failed to load image for the adjustments: ' + error.message);
+    }
+    let canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    let context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0);
+    image.close();
+
+    let imageData = null; // Pixels of a run of pixel operations, written back before anything is drawn
+    for (const operation of operations) {
+        if (!operation.enabled) continue;
+        if (PIXEL_OPERATION_TYPES.includes(operation.type)) {
+            if (!imageData) {
+                imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+            }
+            adjustPixels(imageData.data, toImageAdjustments(operation));
+            continue;
+        }
+        if (imageData) {
+            context.putImageData(imageData, 0, 0);
+            imageData = null;
+        }
+        if (operation.type === 'fill') {
+            context.save();
+            // "source-atop" keeps the alpha of every pixel, so semi-transparent edges stay soft
+            context.globalCompositeOperation = operation.opaqueOnly ? 'source-atop' : 'source-over';
+            context.fillStyle = operation.color;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.restore();
+        } else if (operation.type === 'overlay') {
+            const overlay = await createImageBitmap(operation.image);
+            context.save();
+            context.globalAlpha = operation.opacity;
+            drawFitted(context, overlay, createCenteredCrop(overlay, null), canvas, operation.mode);
+            context.restore();
+            overlay.close();
+        } else if (operation.type === 'resize') {
+            const resized = document.createElement('canvas');
+            resized.width = operation.width;
+            resized.height = operation.height;
+            context = resized.getContext('2d');
+            drawFitted(context, canvas, createCenteredCrop(canvas, null), resized, operation.mode);
+            canvas = resized;
+        }
+    }
+    if (imageData) {
+        context.putImageData(imageData, 0, 0);
+    }
+
+    if (mimeType === 'image/jpeg') {
+        // As in formatConversion's drawImageToCanvas: JPEG has no transparency
+        context.save();
+        context.globalCompositeOperation = 'destination-over';
+        context.fillStyle = '#000000';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.restore();
+    }
+    return canvasToBlob(canvas, mimeType, quality);
+}
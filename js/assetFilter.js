@@ -0,0 +1,150 @@
+// assetFilter.js
+// Search, facet filtering and sorting of asset store records. Works purely on
+// ModAsset data (never on rendered cards), so any view can use the result.
+
+import { getImageDimensionsFromBlob } from './utils.js';
+import { isAssetModified } from './assetStore.js';
+
+export const SORT_KEYS = ['name', 'folder', 'size', 'dimensions'];
+
+/**
+ * Image dimensions per Blob. Keyed by the Blob itself, so replacing an asset's
+ * data naturally invalidates its entry.
+ * @type {WeakMap<Blob, {width: number, height: number}>}
+ */
+const dimensionCache = new WeakMap();
+
+/**
+ * @typedef {Object} AssetFilterCriteria
+ * @property {string} [query] Text to search for in the file name, folder number and type.
+ * @property {boolean} [isRegex] Treat the query as a case-insensitive regular expression instead of a substring.
+ * @property {Array<string>} [types] Allowed file types ("jpg", "png", "mp3"). Empty or missing allows all.
+ * @property {Array<string>} [statuses] Allowed statuses ("edited", "excluded", "original"). Empty or missing allows all.
+ * @property {Set<string>} [selectedIds] When given, only these asset IDs pass ("selected only").
+ */
+
+/**
+ * Builds a predicate for a search query.
+ * @param {string} query The query text.
+ * @param {boolean} isRegex Whether the query is a regular expression.
+ * @returns {function(string): boolean} Tests a haystack string.
+ * @throws {SyntaxError} If the query is not a valid regular expression.
+ */
+export function compileSearchQuery(query, isRegex) {
+    if (!query) {
+        return () => true;
+    }
+    if (isRegex) {
+        const pattern = new RegExp(query, 'i');
+        return haystack => pattern.test(haystack);
+    }
+    const needle = query.toLowerCase();
+    return haystack => haystack.toLowerCase().includes(needle);
+}
+
+/**
+ * Gets the statuses an asset currently has. Assets supplied by a mod layer count as edited.
+ * An edited asset can also be excluded.
+ * @param {import('./fileLoader.js').ModAsset} asset The asset.
+ * @returns {Array<string>} Some of "edited", "excluded", "original".
+ */
+export function getAssetStatuses(asset) {
+    const statuses = [isAssetModified(asset) ? 'edited' : 'original'];
+    if (asset.isExcluded) {
+        statuses.push('excluded');
+    }
+    return statuses;
+}
+
+/**
+ * Filters assets by search query and facets.
+ * @param {Array<import('./fileLoader.js').ModAsset>} assets The assets to filter.
+ * @param {AssetFilterCriteria} criteria The filter criteria.
+ * @returns {Array<import('./fileLoader.js').ModAsset>} The matching assets, in their original order.
+ * @throws {SyntaxError} If criteria.isRegex is set and the query is not a valid regular expression.
+ */
+export function filterAssets(assets, criteria) {
+    const matchesQuery = compileSearchQuery(criteria.query || '', Boolean(criteria.isRegex));
+    const types = criteria.types && criteria.types.length > 0 ? new Set(criteria.types) : null;
+    const statuses = criteria.statuses && criteria.statuses.length > 0 ? new Set(criteria.statuses) : null;
+
+    return assets.filter(asset => {
+        if (types && !types.has(asset.fileType)) return false;
+        if (statuses && !getAssetStatuses(asset).some(status => statuses.has(status))) return false;
+        if (criteria.selectedIds && !criteria.selectedIds.has(asset.id)) return false;
+        // Same fields the old card search looked at: name, folder number and type
+        return matchesQuery(asset.fileName) || matchesQuery(asset.folderNumber) || matchesQuery(asset.fileType);
+    });
+}
+
+/**
+ * Gets the cached dimensions of an image asset's current data.
+ * @param {import('./fileLoader.js').ModAsset} asset The asset.
+ * @returns {{width: number, height: number}|undefined} Undefined until measureImageAssets has run for the data.
+ */
+export function getCachedImageDimensions(asset) {
+    return asset.blob ? dimensionCache.get(asset.blob) : undefined;
+}
+
+/**
+ * Measures every image asset whose current data has not been measured yet.
+ * Needed before sorting by dimensions.
+ * @param {Array<import('./fileLoader.js').ModAsset>} assets The assets to measure. Non-images are skipped.
+ * @param {function(number, number): void} [onProgress] Called with (measuredCount, totalCount).
+ * @returns {Promise<void>}
+ */
+export async function measureImageAssets(assets, onProgress) {
+    const pending = assets.filter(asset =>
+        asset.blob && asset.blob.type.startsWith('image/') && !dimensionCache.has(asset.blob));
+    let measuredCount = 0;
+    for (const asset of pending) {
+        try {
+            dimensionCache.set(asset.blob, await getImageDimensionsFromBlob(asset.blob));
+        } catch (error) {
+            console.warn(`Could not measure ${asset.fileName}:`, error);
+        }
+        measuredCount++;
+        if (onProgress) onProgress(measuredCount, pending.length);
+    }
+}
+
+/**
+ * Sorts assets. Ties are broken by file name so the order is stable.
+ * Assets without a size or dimensions (e.g. audio when sorting by dimensions) go last.
+ * @param {Array<import('./fileLoader.js').ModAsset>} assets The assets to sort. Not modified.
+ * @param {string} sortKey One of SORT_KEYS.
+ * @param {boolean} [descending=false] Sort in descending order.
+ * @returns {Array<import('./fileLoader.js').ModAsset>} A new, sorted array.
+ */
+export function sortAssets(assets, sortKey, descending = false) {
+    const direction = descending ? -1 : 1;
+    const byName = (a, b) => a.fileName.localeCompare(b.fileName, undefined, { numeric: true });
+
+    let getValue;
+    switch (sortKey) {
+        case 'folder':
+            getValue = asset => Number(asset.folderNumber);
+            break;
+        case 'size':
+            getValue = asset => (asset.blob ? asset.blob.size : null);
+            break;
+        case 'dimensions':
+            getValue = asset => {
+                const dimensions = getCachedImageDimensions(asset);
+                return dimensions ? dimensions.width * dimensions.height : null;
+            };
+            break;
+        case 'name':
+        default:
+            return assets.slice().sort((a, b) => direction * byName(a, b));
+    }
+
+    return assets.slice().sort((a, b) => {
+        const valueA = getValue(a);
+        const valueB = getValue(b);
+        if (valueA === null && valueB === null) return byName(a, b);
+        if (valueA === null) return 1;
+        if (valueB === null) return -1;
+        return direction * (valueA - valueB) || byName(a, b);
+    });
+}
@@ -0,0 +1,165 @@
+// assetGrid.js
+// Windowed (virtualized) asset grid. Only the cards in or near the visible part
+// of the scroll container exist in the DOM: cards are created as they scroll into
+// view and removed again as they scroll out, so the full catalog can be browsed
+// without decoding every texture or creating an audio element per asset.
+
+const CARD_MIN_WIDTH = 250; // Matches the old grid's minmax(250px, 1fr) columns
+const CARD_HEIGHT = 340;
+const GRID_GAP = 20;
+const OVERSCAN_ROWS = 2; // Rows rendered above and below the viewport to hide pop-in while scrolling
+
+let container = null;
+let sizer = null;
+let renderCard = null;
+let onCardRemoved = null;
+
+/** @type {Array<string>} Asset IDs in display order. */
+let itemIds = [];
+/** @type {Map<string, HTMLElement>} Asset ID -> card element currently in the DOM. */
+const renderedCards = new Map();
+
+let columnCount = 1;
+let columnWidth = CARD_MIN_WIDTH;
+let updateScheduled = false;
+
+/**
+ * Turns a scrollable element into the windowed asset grid.
+ * @param {HTMLElement} gridContainer - The scroll container. Its existing content is replaced.
+ * @param {Object} options - Grid callbacks.
+ * @param {function(HTMLElement, string): void} options.renderCard - Fills a card element for an asset ID. Called when the card enters the window and on refresh.
+ * @param {function(string, HTMLElement): void} [options.onCardRemoved] - Called after a card leaves the DOM, e.g. to release its preview URL.
+ */
+export function initAssetGrid(gridContainer, options) {
+    container = gridContainer;
+    renderCard = options.renderCard;
+    onCardRemoved = options.onCardRemoved || (() => {});
+
+    container.innerHTML = '';
+    container.classList.add('virtual-grid');
+    sizer = document.createElement('div');
+    sizer.className = 'virtual-grid-sizer';
+    container.appendChild(sizer);
+
+    container.addEventListener('scroll', scheduleUpdate, { passive: true });
+    new ResizeObserver(() => {
+        measure();
+        scheduleUpdate();
+    }).observe(container);
+
+    measure();
+}
+
+/**
+ * Sets the assets shown by the grid, in display order. Cards of assets that stay
+ * in view are kept as they are.
+ * @param {Array<string>} assetIds - The asset IDs to show.
+ */
+export function setGridItems(assetIds) {
+    itemIds = assetIds.slice();
+    measure();
+    updateVisibleCards();
+}
+
+/**
+ * Gets the asset IDs shown by the grid, in display order.
+ * @returns {Array<string>}
+ */
+export function getGridItems() {
+    return itemIds;
+}
+
+/**
+ * Re-renders the card of an asset if it is currently in the DOM.
+ * @param {string} assetId - The asset ID.
+ */
+export function refreshGridItem(assetId) {
+    const card = renderedCards.get(assetId);
+    if (card) {
+        renderCard(card, assetId);
+    }
+}
+
+/**
+ * Re-renders every card currently in the DOM.
+ */
+export function refreshGrid() {
+    renderedCards.forEach((card, assetId) => renderCard(card, assetId));
+}
+
+/**
+ * Gets the card element of an asset if it is currently in the DOM.
+ * @param {string} assetId - The asset ID.
+ * @returns {HTMLElement|undefined}
+ */
+export function getRenderedCard(assetId) {
+    return renderedCards.get(assetId);
+}
+
+/**
+ * Recomputes the column layout and the total scroll height.
+ */
+function measure() {
+    const style = getComputedStyle(container);
+    const innerWidth = container.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+    columnCount = Math.max(1, Math.floor((innerWidth + GRID_GAP) / (CARD_MIN_WIDTH + GRID_GAP)));
+    columnWidth = Math.max(0, (innerWidth - GRID_GAP * (columnCount - 1)) / columnCount);
+
+    const rowCount = Math.ceil(itemIds.length / columnCount);
+    sizer.style.height = rowCount > 0 ? `${rowCount * (CARD_HEIGHT + GRID_GAP) - GRID_GAP}px` : '0px';
+}
+
+/**
+ * Batches scroll and resize updates into one per animation frame.
+ */
+function scheduleUpdate() {
+    if (updateScheduled) return;
+    updateScheduled = true;
+    requestAnimationFrame(() => {
+        updateScheduled = false;
+        updateVisibleCards();
+    });
+}
+
+/**
+ * Creates the cards that entered the window, removes the ones that left it and
+ * positions everything in between.
+ */
+function updateVisibleCards() {
+    const rowHeight = CARD_HEIGHT + GRID_GAP;
+    const rowCount = Math.ceil(itemIds.length / columnCount);
+    const scrollTop = Math.max(0, container.scrollTop - sizer.offsetTop);
+    const firstRow = Math.max(0, Math.floor(scrollTop / rowHeight) - OVERSCAN_ROWS);
+    const lastRow = Math.min(rowCount - 1, Math.ceil((scrollTop + container.clientHeight) / rowHeight) + OVERSCAN_ROWS);
+
+    const firstIndex = firstRow * columnCount;
+    const endIndex = Math.min(itemIds.length, (lastRow + 1) * columnCount);
+    const visibleIds = new Set(itemIds.slice(firstIndex, endIndex));
+
+    renderedCards.forEach((card, assetId) => {
+        if (!visibleIds.has(assetId)) {
+            card.remove();
+            renderedCards.delete(assetId);
+            onCardRemoved(assetId, card);
+        }
+    });
+
+    for (let index = firstIndex; index < endIndex; index++) {
+        const assetId = itemIds[index];
+        let card = renderedCards.get(assetId);
+        if (!card) {
+            card = document.createElement('div');
+            card.classList.add('asset-card');
+            card.dataset.id = assetId;
+            renderCard(card, assetId);
+            sizer.appendChild(card);
+            renderedCards.set(assetId, card);
+        }
+        const column = index % columnCount;
+        const row = Math.floor(index / columnCount);
+        card.style.width = `${columnWidth}px`;
+        card.style.height = `${CARD_HEIGHT}px`;
+        card.style.left = `${column * (columnWidth + GRID_GAP)}px`;
+        card.style.top = `${row * rowHeight}px`;
+    }
+}
@@ -0,0 +1,658 @@
+// assetStore.js
+// Single owner of every loaded ModAsset. All reads and writes of asset data,
+// exclusion and selection state go through here so that the UI can subscribe
+// to changes instead of patching cards by hand.
+//
+// An asset's data is resolved from three levels, highest first:
+//   1. Local edits (isEdited, with their revisions)
+//   2. Mod layers (e.g. imported mods), ordered by priority; only enabled layers count
+//   3. The original data
+// Resetting an asset removes its local edit and falls back to the layers below.
+
+/**
+ * Names of the events emitted by the store.
+ * - loaded:   a new asset set replaced the previous one. Detail: { assets }
+ * - edited:   an asset's current data changed. Detail: { ids }
+ * - reset:    an asset was restored to its original data. Detail: { ids }
+ * - excluded: the exclusion status of one or more assets changed. Detail: { ids }
+ * - selected: the selection changed. Detail: { ids }
+ * - layers:   the mod layers were added, removed, reordered or toggled. Detail: { layers }
+ *             Assets whose data changed because of it also get edited/reset events.
+ */
+export const ASSET_STORE_EVENTS = ['loaded', 'edited', 'reset', 'excluded', 'selected', 'layers'];
+
+const IMAGE_TYPES = ['jpg', 'png'];
+const AUDIO_TYPES = ['mp3'];
+
+/** @type {Array<import('./fileLoader.js').ModAsset>} */
+let assets = [];
+/** @type {Map<string, import('./fileLoader.js').ModAsset>} */
+const assetsById = new Map();
+/** @type {Set<string>} */
+const selectedAssetIds = new Set();
+/**
+ * Object URLs for previews, created on demand and revoked when the data changes
+ * or the preview goes away.
+ * @type {Map<string, string>}
+ */
+const objectUrls = new Map();
+let nextRevisionNumber = 1;
+
+/**
+ * A mod layer: replacement data for some assets, e.g. from an imported mod.
+ * @typedef {Object} AssetLayer
+ * @property {string} id Unique layer ID.
+ * @property {string} name Display name, e.g. the mod's file name.
+ * @property {boolean} enabled Whether the layer currently supplies data.
+ * @property {Map<string, Blob>} blobs Asset ID -> replacement data, in the asset's format.
+ */
+
+/** @type {Array<AssetLayer>} Lowest priority first. */
+let layers = [];
+let nextLayerNumber = 1;
+
+/** @type {Object<string, Set<Function>>} */
+const listeners = {};
+ASSET_STORE_EVENTS.forEach(eventName => {
+    listeners[eventName] = new Set();
+});
+
+/**
+ * Subscribes to a store event.
+ * @param {string} eventName One of ASSET_STORE_EVENTS.
+ * @param {Function} callback Called with the event detail object.
+ * @returns {Function} A function that removes the subscription.
+ */
+export function onAssetStoreChange(eventName, callback) {
+    if (!listeners[eventName]) {
+        throw new Error(`Unknown asset store event: ${eventName}`);
+    }
+    listeners[eventName].add(callback);
+    return () => listeners[eventName].delete(callback);
+}
+
+/**
+ * Calls every listener of an event. A failing listener is logged and does not
+ * stop the others.
+ * @param {string} eventName The event name.
+ * @param {Object} detail The event detail.
+ */
+function emit(eventName, detail) {
+    listeners[eventName].forEach(callback => {
+        try {
+            callback(detail);
+        } catch (error) {
+            console.error(`Asset store listener for "${eventName}" failed:`, error);
+        }
+    });
+}
+
+/**
+ * Replaces the whole asset set. Each asset's current data is also kept as its
+ * original data, and the selection is cleared. Object URLs of the previous set
+ * are revoked.
+ * @param {Array<import('./fileLoader.js').ModAsset>} newAssets The assets to own.
+ */
+export function setAssets(newAssets) {
+    revokeAllAssetObjectURLs();
+    assets = newAssets;
+    assetsById.clear();
+    selectedAssetIds.clear();
+    layers = []; // Layers refer to the previous asset set
+    assets.forEach(asset => {
+        if (asset.originalBlob === undefined) {
+            asset.originalBlob = asset.blob;
+        }
+        if (!asset.revisions) {
+            asset.revisions = [createRevision('Original', asset.originalBlob, true)];
+        }
+        asset.sourceLayerId = null;
+        assetsById.set(asset.id, asset);
+    });
+    emit('loaded', { assets });
+    emit('layers', { layers });
+}
+
+/**
+ * Creates a revision record with a fresh ID.
+ * @param {string} label The revision label.
+ * @param {Blob} blob The revision data.
+ * @param {boolean} [isOriginal=false] Whether this is the loaded data.
+ * @param {number} [createdAt=Date.now()] Creation time.
+ * @param {import('./adjustmentStack.js').AdjustmentStack|null} [adjustments=null] The adjustment stack the data was rendered from.
+ * @returns {import('./fileLoader.js').AssetRevision}
+ */
+function createRevision(label, blob, isOriginal = false, createdAt = Date.now(), adjustments = null) {
+    return { id: `rev_${nextRevisionNumber++}`, label, blob, createdAt, isOriginal, adjustments };
+}
+
+/**
+ * Removes every asset from the store.
+ */
+export function clearAssets() {
+    setAssets([]);
+}
+
+/**
+ * Gets every asset in the store.
+ * @returns {Array<import('./fileLoader.js').ModAsset>}
+ */
+export function getAllAssets() {
+    return assets;
+}
+
+/**
+ * Gets a single asset by ID.
+ * @param {string} assetId The asset ID.
+ * @returns {import('./fileLoader.js').ModAsset|undefined}
+ */
+export function getAsset(assetId) {
+    return assetsById.get(assetId);
+}
+
+/**
+ * Finds an asset by its location in the game files.
+ * @param {string} folderNumber The folder number.
+ * @param {string} fileName The file name.
+ * @returns {import('./fileLoader.js').ModAsset|undefined}
+ */
+export function findAssetByPath(folderNumber, fileName) {
+    return assets.find(asset => asset.folderNumber === folderNumber && asset.fileName === fileName);
+}
+
+/**
+ * Checks whether an asset's data differs from the original game file, either by a local edit
+ * or because a mod layer supplies it. This is what delta exports contain.
+ * @param {import('./fileLoader.js').ModAsset} asset The asset.
+ * @returns {boolean}
+ */
+export function isAssetModified(asset) {
+    return asset.isEdited || asset.sourceLayerId !== null;
+}
+
+/**
+ * Gets the media group of an asset.
+ * @param {string} assetId The asset ID.
+ * @returns {'image'|'audio'|null}
+ */
+export function getAssetType(assetId) {
+    const asset = assetsById.get(assetId);
+    if (!asset) return null;
+    if (IMAGE_TYPES.includes(asset.fileType)) return 'image';
+    if (AUDIO_TYPES.includes(asset.fileType)) return 'audio';
+    return null;
+}
+
+/**
+ * Gets the current binary data of an asset.
+ * @param {string} assetId The asset ID.
+ * @returns {Blob|null}
+ */
+export function getAssetBlob(assetId) {
+    const asset = assetsById.get(assetId);
+    return asset ? asset.blob : null;
+}
+
+/**
+ * Gets an object URL for an asset's current data, creating it on first use.
+ * Call revokeAssetObjectURL once nothing displays it anymore.
+ * @param {string} assetId The asset ID.
+ * @returns {string|null}
+ */
+export function getAssetObjectURL(assetId) {
+    const asset = assetsById.get(assetId);
+    if (!asset || !asset.blob) return null;
+    if (!objectUrls.has(assetId)) {
+        objectUrls.set(assetId, URL.createObjectURL(asset.blob));
+    }
+    return objectUrls.get(assetId);
+}
+
+/**
+ * Revokes the object URL of an asset, if one was created.
+ * @param {string} assetId The asset ID.
+ */
+export function revokeAssetObjectURL(assetId) {
+    const url = objectUrls.get(assetId);
+    if (url) {
+        URL.revokeObjectURL(url);
+        objectUrls.delete(assetId);
+    }
+}
+
+/**
+ * Revokes every object URL created by the store.
+ */
+export function revokeAllAssetObjectURLs() {
+    objectUrls.forEach(url => URL.revokeObjectURL(url));
+    objectUrls.clear();
+}
+
+/**
+ * Gets the path of an asset relative to the `files/assets/` folder.
+ * @param {string} assetId The asset ID.
+ * @returns {string|null} e.g. "29307612/1/Scar_Normal_OpenGL.jpg"
+ */
+export function getAssetPath(assetId) {
+    const asset = assetsById.get(assetId);
+    return asset ? `${asset.folderNumber}/1/${asset.fileName}` : null;
+}
+
+/**
+ * Replaces an asset's current data, or removes its local edit (falling back to the
+ * mod layers, then the original data). New data is also recorded as a revision of the asset.
+ * Any object URL of the old data is revoked.
+ * @param {string} assetId The asset ID.
+ * @param {Blob|null} newBlob The new data. Ignored when resetting.
+ * @param {'image'|'audio'|null} newAssetType The media group of the new data. Must match the asset's own group.
+ * @param {boolean} [isReset=false] Remove the local edit instead of applying new data.
+ * @param {string} [revisionLabel='Edited'] Label of the revision recorded for the new data.
+ * @param {import('./adjustmentStack.js').AdjustmentStack|null} [adjustments=null] The adjustment stack the new data was rendered from, kept with its revision.
+ * @returns {boolean} Whether the asset was updated.
+ */
+export function updateAssetData(assetId, newBlob, newAssetType, isReset = false, revisionLabel = 'Edited', adjustments = null) {
+    const asset = assetsById.get(assetId);
+    if (!asset) {
+        console.warn(`Asset with ID ${assetId} not found for update.`);
+        return false;
+    }
+
+    if (isReset) {
+        revokeAssetObjectURL(assetId);
+        asset.blob = getLayeredData(asset).blob;
+        asset.isEdited = false;
+        emit('reset', { ids: [assetId] });
+        return true;
+    }
+
+    if (!newBlob) {
+        console.warn(`No data given to update asset ${assetId}.`);
+        return false;
+    }
+    if (newAssetType && newAssetType !== getAssetType(assetId)) {
+        console.warn(`Cannot replace ${getAssetType(assetId)} asset ${assetId} with ${newAssetType} data.`);
+        return false;
+    }
+
+    revokeAssetObjectURL(assetId);
+    asset.blob = newBlob;
+    asset.isEdited = true;
+    asset.revisions.push(createRevision(revisionLabel, newBlob, false, Date.now(), adjustments));
+    emit('edited', { ids: [assetId] });
+    return true;
+}
+
+/**
+ * Gets the revisions of an asset, oldest first. The first one is the original.
+ * @param {string} assetId The asset ID.
+ * @returns {Array<import('./fileLoader.js').AssetRevision>}
+ */
+export function getAssetRevisions(assetId) {
+    const asset = assetsById.get(assetId);
+    return asset ? asset.revisions : [];
+}
+
+/**
+ * Gets the revision whose data the asset currently uses, if any.
+ * @param {string} assetId The asset ID.
+ * @returns {import('./fileLoader.js').AssetRevision|undefined}
+ */
+export function getCurrentAssetRevision(assetId) {
+    const asset = assetsById.get(assetId);
+    if (!asset) return undefined;
+    // Search from the newest, so a restored older version matches the copy it came from
+    for (let i = asset.revisions.length - 1; i >= 0; i--) {
+        if (asset.revisions[i].blob === asset.blob) return asset.revisions[i];
+    }
+    return undefined;
+}
+
+/**
+ * Gets the adjustment stack the asset's current data was rendered from.
+ * @param {string} assetId The asset ID.
+ * @returns {import('./adjustmentStack.js').AdjustmentStack|null} The stack, or null if the data was not made by one.
+ */
+export function getAssetAdjustmentStack(assetId) {
+    const revision = getCurrentAssetRevision(assetId);
+    return revision ? revision.adjustments : null;
+}
+
+/**
+ * Makes one of an asset's revisions its current data. Restoring the original
+ * revision is the same as a reset. No new revision is recorded.
+ * @param {string} assetId The asset ID.
+ * @param {string} revisionId The revision ID.
+ * @returns {boolean} Whether the revision was restored.
+ */
+export function restoreAssetRevision(assetId, revisionId) {
+    const asset = assetsById.get(assetId);
+    const revision = asset && asset.revisions.find(r => r.id === revisionId);
+    if (!revision) {
+        console.warn(`Revision ${revisionId} of asset ${assetId} not found.`);
+        return false;
+    }
+    if (revision.isOriginal) {
+        return updateAssetData(assetId, null, null, true);
+    }
+    revokeAssetObjectURL(assetId);
+    asset.blob = revision.blob;
+    asset.isEdited = true;
+    emit('edited', { ids: [assetId] });
+    return true;
+}
+
+/**
+ * Replaces the non-original revisions of an asset, e.g. when loading a saved
+ * session, and switches the asset to one of them.
+ * @param {string} assetId The asset ID.
+ * @param {Array<{label: string, blob: Blob, createdAt: number, adjustments: (import('./adjustmentStack.js').AdjustmentStack|null)}>} revisions
+ *     The revisions, oldest first, without the original.
+ * @param {number} currentIndex Index into `revisions` of the data to use, or -1 for the original.
+ * @returns {boolean} Whether the asset was updated.
+ */
+export function setAssetRevisions(assetId, revisions, currentIndex) {
+    const asset = assetsById.get(assetId);
+    if (!asset) {
+        console.warn(`Asset with ID ${assetId} not found for revision import.`);
+        return false;
+    }
+    const imported = revisions.map(r => createRevision(r.label, r.blob, false, r.createdAt, r.adjustments || null));
+    asset.revisions = [asset.revisions[0], ...imported];
+
+    revokeAssetObjectURL(assetId);
+    if (currentIndex >= 0 && imported[currentIndex]) {
+        asset.blob = imported[currentIndex].blob;
+        asset.isEdited = true;
+        emit('edited', { ids: [assetId] });
+    } else {
+        asset.blob = getLayeredData(asset).blob;
+        asset.isEdited = false;
+        emit('reset', { ids: [assetId] });
+    }
+    return true;
+}
+
+/**
+ * @typedef {Object} AssetState
+ * @property {string} id The asset ID.
+ * @property {Blob} blob The current data at capture time.
+ * @property {boolean} isEdited The edited flag at capture time.
+ * @property {boolean} isExcluded The exclusion status at capture time.
+ */
+
+/**
+ * Captures the editable state of assets, e.g. before and after an operation so
+ * that it can be undone. Blobs are immutable, so this only copies references.
+ * @param {Array<string>} [assetIds] The asset IDs. Defaults to every asset.
+ * @returns {Array<AssetState>}
+ */
+export function captureAssetStates(assetIds) {
+    const ids = assetIds || assets.map(asset => asset.id);
+    return ids
+        .map(id => assetsById.get(id))
+        .filter(Boolean)
+        .map(asset => ({ id: asset.id, blob: asset.blob, isEdited: asset.isEdited, isExcluded: asset.isExcluded }));
+}
+
+/**
+ * Puts assets back into previously captured states and emits the matching
+ * edited, reset and excluded events for whatever actually changed.
+ * @param {Array<AssetState>} states States from captureAssetStates.
+ */
+export function restoreAssetStates(states) {
+    const editedIds = [];
+    const resetIds = [];
+    const excludedIds = [];
+    states.forEach(state => {
+        const asset = assetsById.get(state.id);
+        if (!asset) return;
+        if (asset.blob !== state.blob || asset.isEdited !== state.isEdited) {
+            revokeAssetObjectURL(asset.id);
+            asset.blob = state.blob;
+            asset.isEdited = state.isEdited;
+            (state.isEdited ? editedIds : resetIds).push(asset.id);
+        }
+        if (asset.isExcluded !== state.isExcluded) {
+            asset.isExcluded = state.isExcluded;
+            excludedIds.push(asset.id);
+        }
+    });
+    if (editedIds.length > 0) emit('edited', { ids: editedIds });
+    if (resetIds.length > 0) emit('reset', { ids: resetIds });
+    if (excludedIds.length > 0) emit('excluded', { ids: excludedIds });
+}
+
+/**
+ * Sets the exclusion status of assets.
+ * @param {Array<string>} assetIds The asset IDs.
+ * @param {boolean} isExcluded The new exclusion status.
+ */
+export function setAssetsExcluded(assetIds, isExcluded) {
+    const changedIds = [];
+    assetIds.forEach(id => {
+        const asset = assetsById.get(id);
+        if (!asset) {
+            console.warn(`Asset with ID ${id} not found for exclusion change.`);
+            return;
+        }
+        if (asset.isExcluded !== isExcluded) {
+            asset.isExcluded = isExcluded;
+            changedIds.push(id);
+        }
+    });
+    if (changedIds.length > 0) {
+        emit('excluded', { ids: changedIds });
+    }
+}
+
+/**
+ * Toggles the exclusion status of assets. All assets follow the first one, so a
+ * mixed group ends up uniformly included or excluded.
+ * @param {Array<string>} assetIds The asset IDs.
+ * @returns {boolean} The new exclusion status.
+ */
+export function toggleAssetExclusion(assetIds) {
+    const firstAsset = assetsById.get(assetIds[0]);
+    const isExcluded = firstAsset ? !firstAsset.isExcluded : true;
+    setAssetsExcluded(assetIds, isExcluded);
+    return isExcluded;
+}
+
+/**
+ * Selects or deselects assets.
+ * @param {Array<string>} assetIds The asset IDs.
+ * @param {boolean} isSelected Whether the assets should be selected.
+ */
+export function setAssetsSelected(assetIds, isSelected) {
+    const changedIds = [];
+    assetIds.forEach(id => {
+        if (!assetsById.has(id) || selectedAssetIds.has(id) === isSelected) return;
+        if (isSelected) {
+            selectedAssetIds.add(id);
+        } else {
+            selectedAssetIds.delete(id);
+        }
+        changedIds.push(id);
+    });
+    if (changedIds.length > 0) {
+        emit('selected', { ids: changedIds });
+    }
+}
+
+/**
+ * Gets the live set of selected asset IDs. Treat it as read-only and change the
+ * selection through setAssetsSelected so that listeners are notified.
+ * @returns {Set<string>}
+ */
+export function getSelectedAssetIds() {
+    return selectedAssetIds;
+}
+
+/**
+ * Checks whether an asset is selected.
+ * @param {string} assetId The asset ID.
+ * @returns {boolean}
+ */
+export function isAssetSelected(assetId) {
+    return selectedAssetIds.has(assetId);
+}
+
+/**
+ * Gets the data an asset has without local edits: that of the highest enabled layer containing it,
+ * or the original data.
+ * @param {import('./fileLoader.js').ModAsset} asset The asset.
+ * @returns {{blob: Blob, layerId: string|null}}
+ */
+function getLayeredData(asset) {
+    for (let i = layers.length - 1; i >= 0; i--) {
+        if (layers[i].enabled && layers[i].blobs.has(asset.id)) {
+            return { blob: layers[i].blobs.get(asset.id), layerId: layers[i].id };
+        }
+    }
+    return { blob: asset.originalBlob, layerId: null };
+}
+
+/**
+ * Re-resolves assets after a layer change. Assets without a local edit take the new data and
+ * get an edited event (data from a layer) or a reset event (original data).
+ * @param {Iterable<string>} assetIds The assets the change may affect.
+ */
+function refreshLayeredAssets(assetIds) {
+    const editedIds = [];
+    const resetIds = [];
+    for (const id of new Set(assetIds)) {
+        const asset = assetsById.get(id);
+        if (!asset) continue;
+        const { blob, layerId } = getLayeredData(asset);
+        asset.sourceLayerId = layerId;
+        if (asset.isEdited || asset.blob === blob) continue;
+        revokeAssetObjectURL(id);
+        asset.blob = blob;
+        (layerId ? editedIds : resetIds).push(id);
+    }
+    if (editedIds.length > 0) emit('edited', { ids: editedIds });
+    if (resetIds.length > 0) emit('reset', { ids: resetIds });
+    emit('layers', { layers });
+}
+
+/**
+ * Creates a mod layer without adding it. Data for unknown assets is left out.
+ * @param {string} name Display name.
+ * @param {Map<string, Blob>} blobs Asset ID -> replacement data, already in the asset's format.
+ * @param {boolean} [enabled=true] Whether the layer supplies data.
+ * @returns {AssetLayer}
+ */
+export function createAssetLayer(name, blobs, enabled = true) {
+    const knownBlobs = new Map(Array.from(blobs).filter(([id]) => assetsById.has(id)));
+    return { id: `layer_${nextLayerNumber++}`, name, enabled, blobs: knownBlobs };
+}
+
+/**
+ * Gets the mod layers, lowest priority first. Treat the array as read-only and change the
+ * layers through the functions below so that listeners are notified.
+ * @returns {Array<AssetLayer>}
+ */
+export function getAssetLayers() {
+    return layers;
+}
+
+/**
+ * Gets a mod layer by ID.
+ * @param {string} layerId The layer ID.
+ * @returns {AssetLayer|undefined}
+ */
+export function getAssetLayer(layerId) {
+    return layers.find(layer => layer.id === layerId);
+}
+
+/**
+ * Adds a mod layer to the stack.
+ * @param {AssetLayer} layer A layer from createAssetLayer (or one removed earlier, to undo the removal).
+ * @param {number} [index] Position in the stack, 0 being the lowest. Defaults to the top.
+ */
+export function addAssetLayer(layer, index = layers.length) {
+    layers.splice(Math.max(0, Math.min(index, layers.length)), 0, layer);
+    refreshLayeredAssets(layer.blobs.keys());
+}
+
+/**
+ * Removes a mod layer from the stack.
+ * @param {string} layerId The layer ID.
+ * @returns {{layer: AssetLayer, index: number}|null} The removed layer and where it was, or null if it was not found.
+ */
+export function removeAssetLayer(layerId) {
+    const index = layers.findIndex(layer => layer.id === layerId);
+    if (index === -1) return null;
+    const [layer] = layers.splice(index, 1);
+    refreshLayeredAssets(layer.blobs.keys());
+    return { layer, index };
+}
+
+/**
+ * Moves a mod layer to another position in the stack.
+ * @param {string} layerId The layer ID.
+ * @param {number} index The new position, 0 being the lowest.
+ * @returns {boolean} Whether the layer was found.
+ */
+export function moveAssetLayer(layerId, index) {
+    const removed = layers.findIndex(layer => layer.id === layerId);
+    if (removed === -1) return false;
+    const [layer] = layers.splice(removed, 1);
+    layers.splice(Math.max(0, Math.min(index, layers.length)), 0, layer);
+    refreshLayeredAssets(layer.blobs.keys());
+    return true;
+}
+
+/**
+ * Turns a mod layer on or off.
+ * @param {string} layerId The layer ID.
+ * @param {boolean} enabled Whether the layer supplies data.
+ * @returns {boolean} Whether the layer was found.
+ */
+export function setAssetLayerEnabled(layerId, enabled) {
+    const layer = getAssetLayer(layerId);
+    if (!layer) return false;
+    layer.enabled = enabled;
+    refreshLayeredAssets(layer.blobs.keys());
+    return true;
+}
+
+/**
+ * Captures the layer stack (order and enabled flags), e.g. before and after an operation
+ * that may replace it, so that it can be undone.
+ * @returns {Array<{layer: AssetLayer, enabled: boolean}>}
+ */
+export function captureLayerStack() {
+    return layers.map(layer => ({ layer, enabled: layer.enabled }));
+}
+
+/**
+ * Checks whether two captured layer stacks are the same.
+ * @param {Array<{layer: AssetLayer, enabled: boolean}>} a A stack from captureLayerStack.
+ * @param {Array<{layer: AssetLayer, enabled: boolean}>} b Another one.
+ * @returns {boolean}
+ */
+export function layerStacksEqual(a, b) {
+    return a.length === b.length && a.every((entry, index) => entry.layer === b[index].layer && entry.enabled === b[index].enabled);
+}
+
+/**
+ * Puts the layer stack back into a captured state.
+ * @param {Array<{layer: AssetLayer, enabled: boolean}>} stack A stack from captureLayerStack.
+ */
+export function restoreLayerStack(stack) {
+    stack.forEach(({ layer, enabled }) => {
+        layer.enabled = enabled;
+    });
+    setAssetLayers(stack.map(({ layer }) => layer));
+}
+
+/**
+ * Replaces the whole layer stack, e.g. when loading a saved session.
+ * @param {Array<AssetLayer>} newLayers The layers, lowest priority first.
+ */
+export function setAssetLayers(newLayers) {
+    const affectedIds = layers.concat(newLayers).flatMap(layer => Array.from(layer.blobs.keys()));
+    layers = newLayers.slice();
+    refreshLayeredAssets(affectedIds);
+}
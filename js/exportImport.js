@@ -1,66 +1,325 @@
 // exportImport.js
 
-import { blobToBase64, base64ToBlob, showLoader } from './utils.js';
+import { base64ToBlob, blobToBase64, blobsEqual, showLoader, hideLoader } from './utils.js';
+import {
+    getAsset, findAssetByPath, updateAssetData, setAssetsExcluded, setAssetRevisions, getCurrentAssetRevision,
+    isAssetModified, getAssetLayers, createAssetLayer, addAssetLayer, setAssetLayers
+} from './assetStore.js';
+import { createSession, migrateSessionData } from './sessionFormat.js';
+import { readModZip, loadAssetCatalog } from './fileLoader.js';
+import { writeFilesToDirectory } from './folderExport.js';
+import { convertToAssetFormat } from './formatConversion.js';
+import { serializeOperations, deserializeOperations } from './adjustmentStack.js';
+import {
+    MANIFEST_FILE_NAME, README_FILE_NAME, createDefaultModMetadata, getModMetadata, setModMetadata,
+    getModPreview, createManifest, createReadme, getExportFileName
+} from './modManifest.js';
 // JSZip library would be required for ZIP functionality.
 // You'd typically include it via a <script> tag in index.html:
 // <script src="https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js"></script>
 
-const CLIENT_EXPORT_BASE_PATH = "Venge Client/Resource Swapper/files/assets/";
-const BROWSER_EXPORT_BASE_PATH = "files/assets/";
+// Layout of the Venge Client documents folder. Client exports contain all four folders,
+// so the ZIP can be extracted over the documents folder as it is.
+const CLIENT_ROOT_FOLDER = "Venge Client/";
+const CLIENT_FOLDERS = {
+    css: "CSS",
+    resourceSwapper: "Resource Swapper",
+    skinSwapper: "Skin Swapper",
+    userscript: "Userscript"
+};
+const CLIENT_EXPORT_BASE_PATH = `${CLIENT_ROOT_FOLDER}${CLIENT_FOLDERS.resourceSwapper}/files/assets/`;
+// Browser exports are an unpacked browser extension: the static files from
+// BROWSER_STATIC_FILES_PATH at the root, with the swapped assets in "files/assets".
+const BROWSER_ROOT_FOLDER = "Venge Client Browser/";
+const BROWSER_EXPORT_BASE_PATH = `${BROWSER_ROOT_FOLDER}files/assets/`;
+const BROWSER_STATIC_FILES_PATH = "assets/browser-export-static-files.json";
+
+/**
+ * An entry of browser-export-static-files.json, keyed by file name in that file.
+ * @typedef {Object} BrowserStaticFile
+ * @property {string} name The file name, relative to the extension root (e.g. "manifest.json").
+ * @property {string} path Where the file came from. Not used for the export.
+ * @property {string} type The MIME type.
+ * @property {number} size The size of the decoded file in bytes.
+ * @property {string} base64 The content as a data URI.
+ */
+
+/**
+ * Gets the path of an asset in an export, e.g.
+ * "Venge Client/Resource Swapper/files/assets/29307612/1/Scar_Normal_OpenGL.jpg".
+ * @param {{folderNumber: string, fileName: string}} asset The asset, or any object naming one.
+ * @param {string} exportMode 'client' or 'browser'.
+ * @returns {string}
+ */
+export function getAssetExportPath(asset, exportMode) {
+    const basePath = exportMode === 'client' ? CLIENT_EXPORT_BASE_PATH : BROWSER_EXPORT_BASE_PATH;
+    return `${basePath}${asset.folderNumber}/1/${asset.fileName}`;
+}
+
+/**
+ * Which assets an export contains:
+ *   "delta"                Modified (edited or supplied by a mod layer), non-excluded assets; a pack for the Resource Swapper
+ *   "full"                 Every asset, including originals and excluded ones; a complete offline build
+ *   "full-minus-excluded"  Every non-excluded asset, including originals
+ *   "selected"             Selected, non-excluded assets, edited or not
+ */
+export const EXPORT_SCOPES = ['delta', 'full', 'full-minus-excluded', 'selected'];
+
+/**
+ * Gets the assets an export scope contains.
+ * @param {Array<import('./fileLoader.js').ModAsset>} assets The array of all ModAsset objects.
+ * @param {string} scope One of EXPORT_SCOPES.
+ * @param {Set<string>} [selectedIds] The selected asset IDs, for the "selected" scope.
+ * @returns {Array<import('./fileLoader.js').ModAsset>}
+ * @throws {Error} If the scope is unknown.
+ */
+export function getExportScopeAssets(assets, scope, selectedIds = new Set()) {
+    switch (scope) {
+        case 'delta':
+            return assets.filter(asset => isAssetModified(asset) && !asset.isExcluded);
+        case 'full':
+            return assets.slice();
+        case 'full-minus-excluded':
+            return assets.filter(asset => !asset.isExcluded);
+        case 'selected':
+            return assets.filter(asset => selectedIds.has(asset.id) && !asset.isExcluded);
+        default:
+            throw new Error(`Unknown export scope: ${scope}`);
+    }
+}
+
+/**
+ * Counts the asset files and bytes each export scope would contain, for the pre-export summary.
+ * Extra client files and browser extension files are not included.
+ * @param {Array<import('./fileLoader.js').ModAsset>} assets The array of all ModAsset objects.
+ * @param {Set<string>} [selectedIds] The selected asset IDs.
+ * @returns {Object<string, {fileCount: number, totalBytes: number}>} Keyed by scope.
+ */
+export function summarizeExportScopes(assets, selectedIds) {
+    const summary = {};
+    EXPORT_SCOPES.forEach(scope => {
+        const scopeAssets = getExportScopeAssets(assets, scope, selectedIds);
+        summary[scope] = {
+            fileCount: scopeAssets.length,
+            totalBytes: scopeAssets.reduce((sum, asset) => sum + asset.blob.size, 0)
+        };
+    });
+    return summary;
+}
+
+/**
+ * User-supplied files for the other folders of a client export.
+ * @typedef {Object} ClientExtraFiles
+ * @property {Array<File>} [css] Stylesheets for the "CSS" folder.
+ * @property {Array<File>} [skinSwapper] Files for the "Skin Swapper" folder.
+ * @property {Array<File>} [userscript] Scripts for the "Userscript" folder.
+ */
+
+// File name checks for the extra client folders; the skin swapper takes any file
+const CLIENT_EXTRA_FILE_PATTERNS = {
+    css: /\.css$/i,
+    skinSwapper: /./,
+    userscript: /\.js$/i
+};
+
+/**
+ * Adds the Venge Client folder skeleton and the user-supplied extra files to an export bundle.
+ * Files whose names do not fit their folder are skipped with a warning.
+ * @param {ExportBundle} bundle The export bundle.
+ * @param {ClientExtraFiles} extraFiles The user-supplied files.
+ * @returns {number} How many extra files were added.
+ */
+function addClientSkeleton(bundle, extraFiles) {
+    let addedCount = 0;
+    for (const key in CLIENT_FOLDERS) {
+        const folderPath = `${CLIENT_ROOT_FOLDER}${CLIENT_FOLDERS[key]}/`;
+        bundle.folders.push(folderPath); // Empty folders are kept, so the client finds its full layout
+        for (const file of extraFiles[key] || []) {
+            if (!CLIENT_EXTRA_FILE_PATTERNS[key].test(file.name)) {
+                console.warn(`Skipping ${file.name}: not a valid file for the ${CLIENT_FOLDERS[key]} folder.`);
+                continue;
+            }
+            bundle.files.push({ path: `${folderPath}${file.name}`, blob: file });
+            addedCount++;
+        }
+    }
+    return addedCount;
+}
+
+/**
+ * Loads the static files of the browser extension and checks each against its declared size.
+ * @returns {Promise<Array<{name: string, blob: Blob}>>}
+ * @throws {Error} If the file list cannot be loaded, or any entry is malformed or does not match its size.
+ *     A browser export without all of its static files would not run, so nothing is skipped.
+ */
+async function loadBrowserStaticFiles() {
+    const response = await fetch(BROWSER_STATIC_FILES_PATH);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${BROWSER_STATIC_FILES_PATH} Status: ${response.status}`);
+    }
+    const entries = Object.values(await response.json());
+
+    const files = [];
+    const problems = [];
+    for (const entry of entries) {
+        const name = entry && typeof entry.name === 'string' ? entry.name : '';
+        // Names become paths inside the export; they must stay inside the extension folder
+        if (!name || name.split('/').some(part => part === '' || part === '.' || part === '..')) {
+            problems.push(`invalid file name "${name}"`);
+            continue;
+        }
+        if (typeof entry.base64 !== 'string' || entry.base64 === '') {
+            problems.push(`${name}: no data`);
+            continue;
+        }
+        let blob;
+        try {
+            const dataUri = entry.base64.startsWith('data:') ? entry.base64 : `data:${entry.type || 'application/octet-stream'};base64,${entry.base64}`;
+            blob = base64ToBlob(dataUri);
+        } catch (error) {
+            problems.push(`${name}: ${error.message}`);
+            continue;
+        }
+        if (blob.size !== entry.size) {
+            problems.push(`${name}: expected ${entry.size} bytes, decoded ${blob.size}`);
+            continue;
+        }
+        files.push({ name, blob });
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Browser static files are damaged (${problems.join('; ')}).`);
+    }
+    return files;
+}
+
+/**
+ * Everything an export writes, before it is turned into a ZIP or written to a folder.
+ * @typedef {Object} ExportBundle
+ * @property {Array<string>} folders Folders to create even when empty, e.g. "Venge Client/CSS/".
+ * @property {Array<import('./folderExport.js').ExportFile>} files The files, with paths from the export root.
+ */
+
+/**
+ * Options of exportMod.
+ * @typedef {Object} ExportOptions
+ * @property {string} [scope="delta"] Which assets to export; one of EXPORT_SCOPES.
+ * @property {Set<string>} [selectedIds] The selected asset IDs, for the "selected" scope.
+ * @property {ClientExtraFiles} [clientExtraFiles] Files for the other client folders. Ignored for browser exports.
+ * @property {import('./folderExport.js').DirectoryHandleLike} [directoryHandle] For 'folder' exports: the folder to write
+ *     into, from pickExportDirectory. Without it, 'folder' exports fall back to an uncompressed ZIP.
+ * @property {boolean} [incremental=false] For folder writes: only write files whose content changed,
+ *     e.g. to update an existing client install.
+ * @property {import('./modManifest.js').ModMetadata} [metadata] The mod metadata, written as mod.json and
+ *     README.txt at the export's root and used to name the ZIP.
+ */
+
+/**
+ * Writes an export bundle into a folder chosen by the user.
+ * If the chosen folder is the export's root folder itself (e.g. an existing "Venge Client"
+ * folder), the bundle is written into it rather than into a second, nested root folder.
+ * @param {ExportBundle} bundle The export bundle.
+ * @param {import('./folderExport.js').DirectoryHandleLike} directoryHandle The chosen folder.
+ * @param {string} rootFolder The bundle's root folder, e.g. "Venge Client/".
+ * @param {boolean} incremental Only write changed files.
+ * @returns {Promise<{writtenCount: number, skippedCount: number}>}
+ */
+async function writeBundleToDirectory(bundle, directoryHandle, rootFolder, incremental) {
+    const stripRoot = path => (directoryHandle.name === rootFolder.slice(0, -1) ? path.slice(rootFolder.length) : path);
+    const files = bundle.files.map(file => ({ path: stripRoot(file.path), blob: file.blob }));
+    const folders = bundle.folders.map(stripRoot);
+    return writeFilesToDirectory(directoryHandle, files, {
+        folders,
+        incremental,
+        onProgress: (done, total, path) => showLoader(`Writing files (${done}/${total}): ${path}`)
+    });
+}
 
 /**
  * Exports the modified assets as a ZIP file or an uncompressed folder.
+ * Client exports contain the complete Venge Client folder layout, including any user-supplied
+ * CSS, skin swapper files and userscripts. Browser exports contain the complete browser
+ * extension ("Venge Client Browser/"), ready to be loaded unpacked. Both contain the mod's
+ * manifest, README and preview image at their root.
  * Requires JSZip library for ZIP functionality.
  * @param {Array<import('./fileLoader.js').ModAsset>} assets The array of all ModAsset objects.
  * @param {string} exportType 'zip' or 'folder'.
  * @param {string} exportMode 'client' or 'browser'.
+ * @param {ExportOptions} [options]
  */
-export async function exportMod(assets, exportType, exportMode) {
-    showLoader(true, 0, 'Preparing export...');
+export async function exportMod(assets, exportType, exportMode, options = {}) {
+    const {
+        scope = 'delta', selectedIds, clientExtraFiles = {}, directoryHandle = null, incremental = false,
+        metadata = createDefaultModMetadata()
+    } = options;
+    showLoader('Preparing export...');
 
-    const zip = new JSZip(); // Assuming JSZip is loaded globally or imported
+    if (exportMode !== 'client' && exportMode !== 'browser') {
+        throw new Error('Invalid export mode specified.');
+    }
+    const rootFolder = exportMode === 'client' ? CLIENT_ROOT_FOLDER : BROWSER_ROOT_FOLDER;
 
-    const filteredAssets = assets.filter(asset => asset.isEdited && !asset.isExcluded);
+    /** @type {ExportBundle} */
+    const bundle = { folders: [], files: [] };
+    const filteredAssets = getExportScopeAssets(assets, scope, selectedIds);
+    const extraFileCount = exportMode === 'client' ? addClientSkeleton(bundle, clientExtraFiles) : 0;
 
-    if (filteredAssets.length === 0) {
-        alert('No edited assets to export. Please modify some assets first.');
-        showLoader(false);
+    if (filteredAssets.length === 0 && extraFileCount === 0) {
+        alert(scope === 'delta'
+            ? 'No edited assets to export. Please modify some assets first.'
+            : 'No assets to export with the chosen export mode.');
+        hideLoader();
         return;
     }
 
-    const totalFiles = filteredAssets.length;
-    let processedFiles = 0;
-
-    for (const asset of filteredAssets) {
-        processedFiles++;
-        showLoader(true, (processedFiles / totalFiles) * 100, `Adding ${asset.fileName} to bundle...`);
-
-        try {
-            const blob = base64ToBlob(asset.base64Data);
+    if (exportMode === 'browser') {
+        showLoader('Adding browser extension files...');
+        const staticFiles = await loadBrowserStaticFiles(); // Errors abort the export
+        staticFiles.forEach(({ name, blob }) => bundle.files.push({ path: `${BROWSER_ROOT_FOLDER}${name}`, blob }));
+    }
 
-            let filePath;
-            if (exportMode === 'client') {
-                filePath = `${CLIENT_EXPORT_BASE_PATH}${asset.folderNumber}/1/${asset.fileName}`;
-            } else if (exportMode === 'browser') {
-                filePath = `${BROWSER_EXPORT_BASE_PATH}${asset.folderNumber}/1/${asset.fileName}`;
-            } else {
-                throw new Error('Invalid export mode specified.');
-            }
+    filteredAssets.forEach(asset => {
+        bundle.files.push({ path: getAssetExportPath(asset, exportMode), blob: asset.blob });
+    });
 
-            zip.file(filePath, blob, { base64: false });
+    const preview = getModPreview(metadata, assets);
+    if (preview) {
+        bundle.files.push({ path: `${rootFolder}${preview.fileName}`, blob: preview.blob });
+    }
+    const manifest = createManifest(metadata, filteredAssets, exportMode, preview ? preview.fileName : null);
+    bundle.files.push({
+        path: `${rootFolder}${MANIFEST_FILE_NAME}`,
+        blob: new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' })
+    });
+    bundle.files.push({
+        path: `${rootFolder}${README_FILE_NAME}`,
+        blob: new Blob([createReadme(metadata, filteredAssets, exportMode)], { type: 'text/plain' })
+    });
 
+    if (exportType === 'folder' && directoryHandle) {
+        try {
+            const { writtenCount, skippedCount } = await writeBundleToDirectory(bundle, directoryHandle, rootFolder, incremental);
+            alert(`Mod exported to the folder "${directoryHandle.name}": ${writtenCount} file(s) written` +
+                (incremental ? `, ${skippedCount} unchanged file(s) skipped.` : '.'));
         } catch (error) {
-            console.error(`Failed to add asset ${asset.id} to zip:`, error);
+            console.error('Error writing export folder:', error);
+            alert('Failed to write the mod folder: ' + error.message);
         }
+        hideLoader();
+        return;
     }
 
+    const zip = new JSZip(); // Assuming JSZip is loaded globally or imported
+    bundle.folders.forEach(folderPath => zip.folder(folderPath));
+    bundle.files.forEach(file => zip.file(file.path, file.blob));
+
     if (exportType === 'zip') {
-        showLoader(true, 0, 'Compressing files...');
+        showLoader('Compressing files...');
         try {
             const content = await zip.generateAsync({ type: "blob", compression: "DEFLATE", compressionOptions: { level: 9 } }, (metadata) => {
-                showLoader(true, metadata.percent, `Compressing: ${metadata.currentFile || '...'}`);
+                showLoader(`Compressing (${metadata.percent.toFixed(0)}%): ${metadata.currentFile || '...'}`);
             });
-            const filename = exportMode === 'client' ? 'Venge_Client_Mod.zip' : 'Venge_Browser_Mod.zip';
+            const filename = getExportFileName(metadata, exportMode);
             saveAs(content, filename); // saveAs function comes from FileSaver.js (another library)
                                        // <script src="https://cdnjs.cloudflare.com/ajax/libs/FileSaver.js/2.0.5/FileSaver.min.js"></script>
             alert('Mod exported successfully as ZIP!'); // Temporary feedback
@@ -69,24 +328,15 @@ export async function exportMod(assets, exportType, exportMode) {
             alert('Failed to generate ZIP file.'); // Temporary feedback
         }
     } else if (exportType === 'folder') {
-        // For 'folder' export, we effectively create a nested zip and immediately extract it
-        // The browser typically handles "downloading a folder" by creating a zip on the fly anyway.
-        // A direct 'folder' export implies downloading individual files into a structured directory
-        // but browsers don't directly support saving to arbitrary local file paths for security.
-        // The common workaround is to still generate a ZIP and prompt the user to extract it.
-        // Or, if targeting a specific environment (like an Electron app), direct folder creation is possible.
-        // For a web browser, ZIP is the practical way to export a "folder structure".
-
-        // For simplicity and browser compatibility, we'll suggest downloading the ZIP and manually extracting.
-        // If a true "uncompressed folder" is strictly required without user interaction for extraction,
-        // this would typically involve a backend service or a browser extension/desktop app.
-        alert('Browser security prevents direct folder creation. The mod will be exported as a ZIP file. Please extract it manually to get the folder structure.');
+        // Fallback for browsers without the File System Access API: an uncompressed ZIP
+        // of the same folder structure, to be extracted by the user.
+        alert('This browser cannot write folders directly. The mod will be exported as an uncompressed ZIP file. Please extract it manually to get the folder structure.');
         try {
-             showLoader(true, 0, 'Generating folder structure (as ZIP)...');
+             showLoader('Generating folder structure (as ZIP)...');
              const content = await zip.generateAsync({ type: "blob", compression: "STORE" }, (metadata) => { // No compression
-                 showLoader(true, metadata.percent, `Bundling: ${metadata.currentFile || '...'}`);
+                 showLoader(`Bundling (${metadata.percent.toFixed(0)}%): ${metadata.currentFile || '...'}`);
              });
-             const filename = exportMode === 'client' ? 'Venge_Client_Mod_Folder.zip' : 'Venge_Browser_Mod_Folder.zip';
+             const filename = getExportFileName(metadata, exportMode, '_Folder');
              saveAs(content, filename); // Using FileSaver.js
              alert('Uncompressed mod folder bundle exported successfully as ZIP. Please extract it manually.');
          } catch (error) {
@@ -94,22 +344,280 @@ export async function exportMod(assets, exportType, exportMode) {
              alert('Failed to generate uncompressed mod folder.');
          }
     }
-    showLoader(false);
+    hideLoader();
 }
 
 /**
- * Saves the current session state to a JSON file.
- * Includes edited assets' base64 data and exclusion status.
+ * Result of applying a session.
+ * @typedef {Object} SessionApplyResult
+ * @property {string} sourceFormat The format the session was detected as (a key of SESSION_FORMAT_NAMES).
+ * @property {Array<string>} appliedIds IDs of the assets that were modified/reloaded.
+ * @property {Array<{path: string, reason: string}>} unmatched Entries that could not be applied, with the reason.
+ */
+
+/**
+ * Builds the session data for the current state of the assets.
+ * Includes exclusion status and every non-original revision of each asset (with the adjustment stack it was
+ * rendered from), the index of the revision currently in use (-1 for the original), the mod layers and the mod metadata.
  * @param {Array<import('./fileLoader.js').ModAsset>} assets The array of all ModAsset objects.
+ * @param {Object} [options]
+ * @param {boolean} [options.binary=false] Keep data as Blobs (`blob` fields) instead of base64 data URIs
+ *     (`base64Data` fields). Use Blobs for IndexedDB, base64 for JSON files.
+ * @returns {Promise<import('./sessionFormat.js').SessionData>}
+ */
+export async function createSessionData(assets, { binary = false } = {}) {
+    const encode = async (blob) => (binary ? { blob } : { base64Data: await blobToBase64(blob) });
+    const entries = [];
+    for (const asset of assets) {
+        const revisions = asset.revisions.filter(revision => !revision.isOriginal);
+        const currentRevision = revisions.indexOf(getCurrentAssetRevision(asset.id));
+        const entry = {
+            id: asset.id,
+            folderNumber: asset.folderNumber,
+            fileName: asset.fileName,
+            isEdited: asset.isEdited,
+            isExcluded: asset.isExcluded
+        };
+        // Only save the data separately if it is edited and not one of the saved revisions
+        if (asset.isEdited && currentRevision === -1) {
+            Object.assign(entry, await encode(asset.blob));
+        }
+        if (revisions.length > 0) {
+            entry.currentRevision = currentRevision;
+            entry.revisions = [];
+            for (const revision of revisions) {
+                const sessionRevision = {
+                    label: revision.label,
+                    createdAt: revision.createdAt,
+                    ...await encode(revision.blob)
+                };
+                if (revision.adjustments) {
+                    const { baseBlob, operations } = revision.adjustments;
+                    // The base is usually the original or another revision; only other data (e.g. a layer's) is saved again
+                    const baseRevision = baseBlob === asset.originalBlob ? -1 : revisions.findIndex(r => r.blob === baseBlob);
+                    const base = baseRevision === -1 && baseBlob !== asset.originalBlob ? await encode(baseBlob) : { baseRevision };
+                    sessionRevision.adjustments = { ...base, operations: await serializeOperations(operations, { binary }) };
+                }
+                entry.revisions.push(sessionRevision);
+            }
+        }
+        entries.push(entry);
+    }
+
+    const layers = [];
+    for (const layer of getAssetLayers()) {
+        const layerAssets = [];
+        for (const [assetId, blob] of layer.blobs) {
+            const asset = getAsset(assetId);
+            layerAssets.push({ id: assetId, folderNumber: asset.folderNumber, fileName: asset.fileName, ...await encode(blob) });
+        }
+        layers.push({ name: layer.name, enabled: layer.enabled, assets: layerAssets });
+    }
+    return createSession(entries, { metadata: getModMetadata(), layers });
+}
+
+/**
+ * Gets the data of a session entry or revision as a Blob, whichever way it was stored.
+ * @param {{blob?: Blob, base64Data?: string}} entry The session entry or revision.
+ * @returns {Blob|null}
+ * @throws {Error} If the base64 data is not a valid data URI.
+ */
+function getSessionEntryBlob(entry) {
+    if (entry.blob instanceof Blob) return entry.blob;
+    if (entry.base64Data) return base64ToBlob(entry.base64Data);
+    return null;
+}
+
+/**
+ * Gets the data a session entry's asset currently uses: its current revision, or its own data.
+ * @param {import('./sessionFormat.js').SessionEntry} entry The session entry.
+ * @returns {Blob|null} Null if the entry is not edited or has no data.
+ * @throws {Error} If the base64 data is not a valid data URI.
+ */
+function getSessionEntryCurrentBlob(entry) {
+    if (!entry.isEdited) return null;
+    if (Array.isArray(entry.revisions) && entry.currentRevision >= 0 && entry.revisions[entry.currentRevision]) {
+        return getSessionEntryBlob(entry.revisions[entry.currentRevision]);
+    }
+    return getSessionEntryBlob(entry);
+}
+
+/**
+ * Gets the media group of data, for the asset store's type check.
+ * @param {Blob} blob The data.
+ * @returns {'image'|'audio'|null} Null for untyped data (e.g. a legacy entry without a type), which is accepted as it is.
+ */
+function getBlobMediaGroup(blob) {
+    return ['image', 'audio'].find(group => blob.type.startsWith(`${group}/`)) || null;
+}
+
+/**
+ * Finds the loaded asset a session entry belongs to: by asset ID, then by folder number and file name.
+ * @param {import('./sessionFormat.js').SessionEntry} entry The session entry.
+ * @returns {import('./fileLoader.js').ModAsset|undefined}
+ */
+function findSessionEntryAsset(entry) {
+    return (entry.id && getAsset(entry.id)) || findAssetByPath(entry.folderNumber, entry.fileName);
+}
+
+/**
+ * Gets the data of a session entry or revision in its asset's format, converting data saved
+ * in another format (e.g. a PNG in an old changes file for a JPG asset).
+ * @param {{blob?: Blob, base64Data?: string}} entry The session entry or revision.
+ * @param {import('./fileLoader.js').ModAsset} asset The asset the entry belongs to.
+ * @returns {Promise<Blob|null>} Null if the entry has no data.
+ * @throws {Error} If the data is invalid or cannot be converted to the asset's format.
+ */
+async function getConvertedEntryBlob(entry, asset) {
+    const blob = getSessionEntryBlob(entry);
+    return blob && (await convertToAssetFormat(blob, asset)).blob;
+}
+
+/**
+ * Reads the adjustment stack saved with a session revision.
+ * @param {import('./sessionFormat.js').SessionAdjustments} data The saved stack.
+ * @param {Array<{blob: Blob}>} revisions The entry's loaded revisions, for stacks based on one of them.
+ * @param {import('./fileLoader.js').ModAsset} asset The asset the entry belongs to.
+ * @returns {Promise<import('./adjustmentStack.js').AdjustmentStack|null>} The stack, or null if it cannot be used.
+ *     The revision's data is still loaded then; only its adjustments cannot be changed later.
+ */
+async function readSessionAdjustments(data, revisions, asset) {
+    try {
+        let baseBlob;
+        if (typeof data.baseRevision === 'number') {
+            baseBlob = data.baseRevision === -1 ? asset.originalBlob : revisions[data.baseRevision]?.blob;
+        } else {
+            baseBlob = await getConvertedEntryBlob(data, asset);
+        }
+        if (!baseBlob) {
+            throw new Error('The data the adjustments start from is missing.');
+        }
+        return { baseBlob, operations: deserializeOperations(data.operations) };
+    } catch (error) {
+        console.warn(`Ignoring the adjustments of a revision of ${asset.fileName}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Turns the mod layers of a session into asset layers. Layer entries are matched to assets
+ * like session entries and converted to the asset's format.
+ * @param {Array<import('./sessionFormat.js').SessionLayer>} sessionLayers The session's layers, lowest priority first.
+ * @param {Array<{path: string, reason: string}>} unmatched Receives the layer entries that cannot be used.
+ * @returns {Promise<Array<import('./assetStore.js').AssetLayer>>}
+ */
+async function readSessionLayers(sessionLayers, unmatched) {
+    const layers = [];
+    for (const sessionLayer of sessionLayers) {
+        showLoader(`Loading mod layer ${sessionLayer.name}...`);
+        const blobs = new Map();
+        for (const entry of sessionLayer.assets) {
+            const path = `${entry.folderNumber}/1/${entry.fileName}`;
+            const asset = findSessionEntryAsset(entry);
+            if (!asset) {
+                unmatched.push({ path, reason: `No matching asset in the loaded files (layer ${sessionLayer.name})` });
+                continue;
+            }
+            try {
+                blobs.set(asset.id, await getConvertedEntryBlob(entry, asset));
+            } catch (error) {
+                unmatched.push({ path, reason: `${error.message} (layer ${sessionLayer.name})` });
+            }
+        }
+        layers.push(createAssetLayer(sessionLayer.name, blobs, sessionLayer.enabled !== false));
+    }
+    return layers;
+}
+
+/**
+ * Applies session data to the assets in the asset store.
+ * Older save formats are upgraded first (see sessionFormat.js). Entries are matched
+ * by asset ID, then by folder number and file name, and their data is converted to the
+ * asset's format where needed. The session's mod layers replace the current ones (sessions
+ * without layers remove them), and its mod metadata replaces the current metadata.
+ * Changes go through the store so that its listeners see every edit, reset and exclusion.
+ * @param {*} sessionData Data from createSessionData, or a parsed session file in any supported format.
+ * @returns {Promise<SessionApplyResult>}
+ * @throws {Error} If the format is not recognized.
  */
-export function saveSession(assets) {
-    const sessionData = assets.map(asset => ({
-        id: asset.id,
-        isEdited: asset.isEdited,
-        isExcluded: asset.isExcluded,
-        base64Data: asset.isEdited ? asset.base64Data : undefined // Only save base64 if edited
-    }));
+export async function applySessionData(sessionData) {
+    const { session, sourceFormat } = migrateSessionData(sessionData);
+    if (session.metadata) {
+        setModMetadata(session.metadata);
+    }
+    const unmatched = [];
+    // Layers first, so that entries without a local edit resolve to the session's layers
+    setAssetLayers(await readSessionLayers(session.layers || [], unmatched));
+    const appliedIds = [];
+    let processedCount = 0;
+    const totalUpdates = session.assets.length;
+
+    for (const entry of session.assets) {
+        processedCount++;
+        const path = `${entry.folderNumber}/1/${entry.fileName}`;
+        showLoader(`Applying session (${processedCount}/${totalUpdates}): ${entry.fileName}`);
 
+        const asset = findSessionEntryAsset(entry);
+        if (!asset) {
+            unmatched.push({ path, reason: 'No matching asset in the loaded files' });
+            continue;
+        }
+
+        try {
+            const currentBlob = entry.isEdited ? await getConvertedEntryBlob(entry, asset) : null;
+            if (Array.isArray(entry.revisions)) {
+                const revisions = [];
+                for (const revision of entry.revisions) {
+                    revisions.push({
+                        label: revision.label,
+                        createdAt: revision.createdAt,
+                        blob: await getConvertedEntryBlob(revision, asset),
+                        adjustments: null
+                    });
+                }
+                // After all revisions are loaded, since a stack can start from any of them
+                for (const [index, revision] of entry.revisions.entries()) {
+                    if (revision.adjustments) {
+                        revisions[index].adjustments = await readSessionAdjustments(revision.adjustments, revisions, asset);
+                    }
+                }
+                const currentRevision = entry.isEdited ? entry.currentRevision : -1;
+                setAssetRevisions(asset.id, revisions, currentRevision);
+                if (currentRevision === -1 && currentBlob) {
+                    updateAssetData(asset.id, currentBlob, null, false, 'Loaded from session');
+                }
+            } else if (currentBlob) {
+                if (!updateAssetData(asset.id, currentBlob, getBlobMediaGroup(currentBlob), false, 'Loaded from session')) {
+                    unmatched.push({ path, reason: `Data of type ${currentBlob.type} does not fit a ${asset.fileType} asset` });
+                    continue;
+                }
+            } else if (entry.isEdited) {
+                unmatched.push({ path, reason: 'Entry is marked as edited but has no data' });
+                continue;
+            } else if (asset.isEdited) {
+                updateAssetData(asset.id, null, null, true);
+            }
+        } catch (error) {
+            console.error(`Could not apply session entry ${path}:`, error);
+            unmatched.push({ path, reason: error.message });
+            continue;
+        }
+        setAssetsExcluded([asset.id], Boolean(entry.isExcluded));
+        appliedIds.push(asset.id);
+    }
+    hideLoader();
+    console.log(`Session (${sourceFormat}) applied to ${appliedIds.length} assets, ${unmatched.length} unmatched.`);
+    return { sourceFormat, appliedIds, unmatched };
+}
+
+/**
+ * Exports the current session state to a JSON file, for sharing or backup.
+ * Asset Blobs are only converted to base64 data URIs here, at the file boundary.
+ * @param {Array<import('./fileLoader.js').ModAsset>} assets The array of all ModAsset objects.
+ * @returns {Promise<void>}
+ */
+export async function saveSession(assets) {
+    const sessionData = await createSessionData(assets);
     const dataStr = JSON.stringify(sessionData, null, 2);
     const blob = new Blob([dataStr], { type: 'application/json' });
     saveAs(blob, 'venge_mod_session.json'); // Using FileSaver.js
@@ -117,57 +625,362 @@ export function saveSession(assets) {
 }
 
 /**
- * Loads a session from a JSON file and applies it to the assets.
+ * Loads a session file and applies it to the assets in the asset store.
+ * Accepts the current format as well as older session files, venge_mod_changes.json
+ * and mod-client-export JSON.
  * @param {File} file The JSON file selected by the user.
- * @param {Array<import('./fileLoader.js').ModAsset>} assets The array of all ModAsset objects (will be modified).
- * @returns {Promise<Array<string>>} A promise that resolves with an array of IDs of the assets that were modified/reloaded.
+ * @returns {Promise<SessionApplyResult>}
  */
-export async function loadSession(file, assets) {
-    showLoader(true, 0, 'Loading session file...');
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
+export async function loadSession(file) {
+    return applySessionData(await readSessionFile(file));
+}
 
-        reader.onload = async (event) => {
-            try {
-                const sessionData = JSON.parse(event.target.result);
-                const updatedAssetIds = [];
-                let processedCount = 0;
-                const totalUpdates = sessionData.length;
-
-                for (const sessionAsset of sessionData) {
-                    processedCount++;
-                    showLoader(true, (processedCount / totalUpdates) * 100, `Applying session: ${sessionAsset.id}`);
-
-                    const asset = assets.find(a => a.id === sessionAsset.id);
-                    if (asset) {
-                        asset.isEdited = sessionAsset.isEdited;
-                        asset.isExcluded = sessionAsset.isExcluded;
-                        if (sessionAsset.isEdited && sessionAsset.base64Data) {
-                            asset.base64Data = sessionAsset.base64Data;
-                        }
-                        updatedAssetIds.push(asset.id);
-                    } else {
-                        console.warn(`Asset ${sessionAsset.id} from session not found in current loaded assets.`);
-                    }
-                }
-                showLoader(false);
-                console.log('Session loaded successfully. Applied to assets:', updatedAssetIds.length);
-                resolve(updatedAssetIds);
-            } catch (e) {
-                showLoader(false);
-                console.error('Error parsing or applying session file:', e);
-                alert('Failed to load session file. Make sure it is a valid JSON.'); // Temporary feedback
-                reject(e);
+/**
+ * Reads and parses a session file. Errors are left to the caller to report.
+ * @param {File} file The JSON file selected by the user.
+ * @returns {Promise<*>} The parsed JSON, in any supported format.
+ * @throws {Error} If the file cannot be read or is not valid JSON.
+ */
+async function readSessionFile(file) {
+    showLoader('Loading session file...');
+    try {
+        return await parseSessionFile(file);
+    } finally {
+        hideLoader();
+    }
+}
+
+/**
+ * Parses a session file without touching the loader, for callers that show their own.
+ * @param {File} file The JSON file selected by the user.
+ * @returns {Promise<*>} The parsed JSON, in any supported format.
+ * @throws {Error} If the file cannot be read or is not valid JSON.
+ */
+async function parseSessionFile(file) {
+    const text = await file.text();
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${file.name} is not a valid JSON file (${error.message}).`);
+    }
+}
+
+/**
+ * An asset edited both in the current session and in the session being merged.
+ * @typedef {Object} MergeConflict
+ * @property {string} assetId The asset ID.
+ * @property {string} path The asset path, e.g. "29307612/1/Scar_Normal_OpenGL.jpg".
+ * @property {Blob} currentBlob The data in the current session ("left").
+ * @property {Blob} incomingBlob The data in the merged session ("right").
+ * @property {boolean} incomingExcluded The exclusion status in the merged session.
+ */
+
+/**
+ * What merging a session would change.
+ * @typedef {Object} SessionMergePlan
+ * @property {string} sourceName Name of the merged session, used in revision labels.
+ * @property {string} sourceFormat The format the session was detected as (a key of SESSION_FORMAT_NAMES).
+ * @property {Array<{assetId: string, path: string, blob: Blob, isExcluded: boolean}>} additions Edits to assets not edited in the current session; merged automatically.
+ * @property {Array<MergeConflict>} conflicts Assets edited differently in both sessions.
+ * @property {number} identicalCount Assets edited identically in both sessions.
+ * @property {Array<{path: string, reason: string}>} unmatched Entries that cannot be merged, with the reason.
+ */
+
+/** Resolutions of a merge conflict: keep the current data, take the merged session's data, or reset to the original. */
+export const MERGE_CHOICES = ['left', 'right', 'original'];
+
+/**
+ * Works out how a second session merges into the current one, without changing anything.
+ * Only edited entries take part; unedited entries of the merged session never undo current edits.
+ * Entries are matched to assets and converted to their format the same way as when loading a session.
+ * @param {*} sessionData A parsed session file in any supported format.
+ * @param {string} sourceName Name of the merged session, e.g. its file name.
+ * @returns {Promise<SessionMergePlan>}
+ * @throws {Error} If the format is not recognized.
+ */
+export async function planSessionMerge(sessionData, sourceName) {
+    const { session, sourceFormat } = migrateSessionData(sessionData);
+    const plan = { sourceName, sourceFormat, additions: [], conflicts: [], identicalCount: 0, unmatched: [] };
+
+    for (const entry of session.assets) {
+        if (!entry.isEdited) continue;
+        const path = `${entry.folderNumber}/1/${entry.fileName}`;
+        const asset = findSessionEntryAsset(entry);
+        if (!asset) {
+            plan.unmatched.push({ path, reason: 'No matching asset in the loaded files' });
+            continue;
+        }
+
+        let incomingBlob;
+        try {
+            incomingBlob = getSessionEntryCurrentBlob(entry);
+            if (incomingBlob) incomingBlob = (await convertToAssetFormat(incomingBlob, asset)).blob;
+        } catch (error) {
+            plan.unmatched.push({ path, reason: error.message });
+            continue;
+        }
+        if (!incomingBlob) {
+            plan.unmatched.push({ path, reason: 'Entry is marked as edited but has no data' });
+            continue;
+        }
+
+        const isExcluded = Boolean(entry.isExcluded);
+        if (!asset.isEdited) {
+            plan.additions.push({ assetId: asset.id, path, blob: incomingBlob, isExcluded });
+        } else if (await blobsEqual(asset.blob, incomingBlob)) {
+            plan.identicalCount++;
+        } else {
+            plan.conflicts.push({ assetId: asset.id, path, currentBlob: asset.blob, incomingBlob, incomingExcluded: isExcluded });
+        }
+    }
+    return plan;
+}
+
+/**
+ * Reads a session file and works out how it merges into the current session.
+ * @param {File} file The JSON file selected by the user.
+ * @returns {Promise<SessionMergePlan>}
+ */
+export async function loadSessionMergePlan(file) {
+    return planSessionMerge(await readSessionFile(file), file.name);
+}
+
+/**
+ * Merges a planned session into the asset store: all additions, plus each conflict as resolved.
+ * @param {SessionMergePlan} plan The plan from planSessionMerge.
+ * @param {Map<string, string>} resolutions Asset ID -> one of MERGE_CHOICES. Unresolved conflicts keep the current data.
+ * @returns {{mergedIds: Array<string>, failed: Array<{path: string, reason: string}>}} The assets that changed, and merges the store rejected.
+ */
+export function applySessionMerge(plan, resolutions) {
+    const label = `Merged from ${plan.sourceName}`;
+    const mergedIds = [];
+    const failed = [];
+
+    const takeIncoming = (assetId, path, blob, isExcluded) => {
+        if (updateAssetData(assetId, blob, getBlobMediaGroup(blob), false, label)) {
+            setAssetsExcluded([assetId], isExcluded);
+            mergedIds.push(assetId);
+        } else {
+            failed.push({ path, reason: `Data of type ${blob.type} does not fit the asset` });
+        }
+    };
+
+    plan.additions.forEach(({ assetId, path, blob, isExcluded }) => takeIncoming(assetId, path, blob, isExcluded));
+    plan.conflicts.forEach(({ assetId, path, incomingBlob, incomingExcluded }) => {
+        const choice = resolutions.get(assetId) || 'left';
+        if (choice === 'right') {
+            takeIncoming(assetId, path, incomingBlob, incomingExcluded);
+        } else if (choice === 'original') {
+            updateAssetData(assetId, null, null, true);
+            mergedIds.push(assetId);
+        }
+    });
+    console.log(`Session ${plan.sourceName} merged into ${mergedIds.length} assets, ${failed.length} failed.`);
+    return { mergedIds, failed };
+}
+
+/**
+ * Result of importing a mod ZIP.
+ * @typedef {Object} ModImportResult
+ * @property {import('./assetStore.js').AssetLayer|null} layer The layer the mod was added as, or null if no file matched an asset.
+ * @property {Array<string>} appliedIds IDs of the assets the layer contains.
+ * @property {number} unchangedCount Files identical to their asset's original data (e.g. in full exports), which are left out.
+ * @property {Array<{path: string, reason: string}>} unmatched Asset files that could not be applied, with the reason.
+ * @property {number} otherFileCount Files outside files/assets (manifests, CSS, extension files...), which are ignored.
+ */
+
+/**
+ * Imports a mod ZIP as a new mod layer on top of the others: every `files/assets/<folderNumber>/1/<fileName>`
+ * file is matched to the loaded asset at that path and, after conversion to the asset's format,
+ * added to the layer. Local edits keep precedence over it. Accepts both export layouts and hand-made ZIPs. Files that do not match a loaded asset are
+ * reported, telling apart game assets missing from the loaded files and unknown files.
+ * @param {File} file The ZIP file selected by the user.
+ * @returns {Promise<ModImportResult>}
+ * @throws {Error} If the ZIP cannot be read or contains no asset files.
+ */
+export async function importModZip(file) {
+    const { assetFiles, otherPaths } = await readModZip(file);
+    if (assetFiles.length === 0) {
+        throw new Error('No files/assets/<folder>/1/<file> entries found in the ZIP.');
+    }
+
+    let catalog = null;
+    try {
+        catalog = await loadAssetCatalog();
+    } catch (error) {
+        console.warn('The asset catalog could not be loaded; unmatched files are not checked against it.', error);
+    }
+
+    const blobs = new Map();
+    const result = { layer: null, appliedIds: [], unchangedCount: 0, unmatched: [], otherFileCount: otherPaths.length };
+    const seenPaths = new Set();
+    let processedCount = 0;
+    for (const assetFile of assetFiles) {
+        processedCount++;
+        const path = `${assetFile.folderNumber}/1/${assetFile.fileName}`;
+        showLoader(`Importing mod (${processedCount}/${assetFiles.length}): ${assetFile.fileName}`);
+
+        if (seenPaths.has(path)) {
+            result.unmatched.push({ path, reason: 'Duplicate file in the ZIP; the first copy was used' });
+            continue;
+        }
+        seenPaths.add(path);
+        if (!assetFile.type) {
+            result.unmatched.push({ path, reason: 'Unsupported file type' });
+            continue;
+        }
+
+        const asset = findAssetByPath(assetFile.folderNumber, assetFile.fileName);
+        if (!asset) {
+            const isCatalogAsset = catalog && catalog.has(`${assetFile.folderNumber}/${assetFile.fileName}`);
+            result.unmatched.push({
+                path,
+                reason: isCatalogAsset ? 'Game asset missing from the loaded files' : 'Not a known game asset'
+            });
+            continue;
+        }
+
+        try {
+            const { blob } = await convertToAssetFormat(assetFile.blob, asset);
+            if (await blobsEqual(blob, asset.originalBlob)) {
+                result.unchangedCount++;
+                continue;
             }
-        };
+            blobs.set(asset.id, blob);
+            result.appliedIds.push(asset.id);
+        } catch (error) {
+            console.error(`Could not import ${assetFile.path}:`, error);
+            result.unmatched.push({ path, reason: error.message });
+        }
+    }
+    if (blobs.size > 0) {
+        result.layer = createAssetLayer(file.name.replace(/\.zip$/i, ''), blobs);
+        addAssetLayer(result.layer);
+    }
+    hideLoader();
+    console.log(`Mod ${file.name} imported as a layer: ${result.appliedIds.length} assets, ${result.unmatched.length} unmatched.`);
+    return result;
+}
 
-        reader.onerror = (error) => {
-            showLoader(false);
-            console.error('Error reading session file:', error);
-            alert('Failed to read session file.'); // Temporary feedback
-            reject(error);
-        };
+/**
+ * An asset a previous release replaces.
+ * @typedef {Object} ReleaseAsset
+ * @property {string} folderNumber The folder number.
+ * @property {string} fileName The file name.
+ * @property {Blob} blob The data the release replaces the asset with.
+ */
 
-        reader.readAsText(file);
+/**
+ * The replaced assets of a previous release.
+ * @typedef {Object} ReleaseContents
+ * @property {Array<ReleaseAsset>} assets The replaced assets.
+ * @property {Array<{path: string, reason: string}>} skipped Files or entries that could not be read, with the reason.
+ */
+
+/**
+ * Reads the replaced assets of a previous release without touching the asset store. Accepts
+ * exported mod ZIPs in either layout and session files in any supported format.
+ * @param {File} file The ZIP or JSON file selected by the user.
+ * @returns {Promise<ReleaseContents>}
+ * @throws {Error} If the file cannot be read, its format is not recognized or a ZIP contains no asset files.
+ */
+export async function readReleaseAssets(file) {
+    if (/\.zip$/i.test(file.name)) {
+        return readReleaseZip(file);
+    }
+    // The caller shows its own loader and reports errors, so the file is only parsed here
+    return readReleaseSession(await parseSessionFile(file));
+}
+
+/**
+ * Reads the asset files of a mod ZIP as a release. Files identical to the loaded asset's
+ * original data (e.g. in full exports) do not replace anything and are left out.
+ * @param {File} file The ZIP file.
+ * @returns {Promise<ReleaseContents>}
+ * @throws {Error} If the ZIP cannot be read or contains no asset files.
+ */
+async function readReleaseZip(file) {
+    const { assetFiles } = await readModZip(file);
+    if (assetFiles.length === 0) {
+        hideLoader();
+        throw new Error('No files/assets/<folder>/1/<file> entries found in the ZIP.');
+    }
+
+    const contents = { assets: [], skipped: [] };
+    const seenPaths = new Set();
+    for (const { type, folderNumber, fileName, blob } of assetFiles) {
+        const path = `${folderNumber}/1/${fileName}`;
+        if (!type) {
+            contents.skipped.push({ path, reason: 'Unsupported file type' });
+            continue;
+        }
+        if (seenPaths.has(path)) {
+            contents.skipped.push({ path, reason: 'Duplicate file in the ZIP; the first copy was used' });
+            continue;
+        }
+        seenPaths.add(path);
+
+        const asset = findAssetByPath(folderNumber, fileName);
+        if (asset && await blobsEqual(blob, asset.originalBlob)) continue;
+        contents.assets.push({ folderNumber, fileName, blob });
+    }
+    hideLoader();
+    return contents;
+}
+
+/**
+ * Reads a session as a release: the assets a delta export of it would contain. That is the
+ * current revision of each edited entry, otherwise the data of the topmost enabled mod layer
+ * providing the asset, leaving out excluded assets. Like a delta export, data is converted to
+ * the loaded asset's format, and data identical to the asset's original data is left out.
+ * @param {*} sessionData A parsed session file in any supported format.
+ * @returns {Promise<ReleaseContents>}
+ * @throws {Error} If the format is not recognized.
+ */
+async function readReleaseSession(sessionData) {
+    const { session } = migrateSessionData(sessionData);
+    const releaseEntries = new Map(); // Path -> {entry, blob}, the data as stored
+    const excludedPaths = new Set();
+    const skipped = [];
+
+    const setReleaseData = (entry, getBlob) => {
+        const path = `${entry.folderNumber}/1/${entry.fileName}`;
+        try {
+            const blob = getBlob(entry);
+            if (blob) {
+                releaseEntries.set(path, { entry, blob });
+            } else {
+                skipped.push({ path, reason: 'Entry has no data' });
+            }
+        } catch (error) {
+            skipped.push({ path, reason: error.message });
+        }
+    };
+
+    // Layers are listed lowest priority first, so higher layers and then edits overwrite their data
+    (session.layers || []).filter(layer => layer.enabled !== false).forEach(layer => {
+        layer.assets.forEach(entry => setReleaseData(entry, getSessionEntryBlob));
+    });
+    session.assets.forEach(entry => {
+        if (entry.isExcluded) excludedPaths.add(`${entry.folderNumber}/1/${entry.fileName}`);
+        if (entry.isEdited) setReleaseData(entry, getSessionEntryCurrentBlob);
     });
-}
\ No newline at end of file
+
+    const assets = [];
+    for (const [path, { entry, blob }] of releaseEntries) {
+        if (excludedPaths.has(path)) continue;
+        const asset = findSessionEntryAsset(entry);
+        let releaseBlob = blob;
+        if (asset) {
+            try {
+                releaseBlob = (await convertToAssetFormat(blob, asset)).blob;
+            } catch (error) {
+                skipped.push({ path, reason: error.message });
+                continue;
+            }
+            if (await blobsEqual(releaseBlob, asset.originalBlob)) continue;
+        }
+        assets.push({ folderNumber: entry.folderNumber, fileName: entry.fileName, blob: releaseBlob });
+    }
+    return { assets, skipped };
+}
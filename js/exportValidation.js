@@ -0,0 +1,325 @@
+// exportValidation.js
+// Pre-export checks of replaced assets against the originals they replace.
+// Errors (data the game cannot use under the asset's file name) block the export;
+// warnings can be ignored. Most image issues can be fixed automatically by
+// re-encoding or resizing, and audio in the wrong format by converting it to MP3.
+
+import { canvasToBlob, formatBytes, sniffMimeType } from './utils.js';
+import { isAssetModified } from './assetStore.js';
+import { DEFAULT_JPEG_QUALITY, convertToAssetFormat, drawImageToCanvas } from './formatConversion.js';
+
+const OVERSIZED_JPEG_QUALITY = 0.85; // Quality used to shrink oversized JPEGs
+const OVERSIZE_FACTOR = 2; // Replacements may be up to this many times the original's size
+const OVERSIZE_MIN_BYTES = 512 * 1024; // Files smaller than this are never flagged as oversized
+const USUAL_SAMPLE_RATES = [44100, 48000];
+
+// MP3 frame header sample rates by MPEG version bits (0 = 2.5, 2 = 2, 3 = 1); index 3 is reserved
+const MP3_SAMPLE_RATES = {
+    0: [11025, 12000, 8000],
+    2: [22050, 24000, 16000],
+    3: [44100, 48000, 32000]
+};
+
+export const VALIDATION_ISSUE_TITLES = {
+    'undecodable': 'Unreadable data',
+    'mime-mismatch': 'Format does not match the file name',
+    'dimensions-changed': 'Dimensions changed',
+    'non-power-of-two': 'Not a power-of-two texture',
+    'alpha-lost': 'Transparency lost',
+    'oversized': 'File much larger than the original',
+    'sample-rate': 'Unusual MP3 sample rate'
+};
+
+/**
+ * A problem found in a replaced asset.
+ * @typedef {Object} ValidationIssue
+ * @property {string} id Unique per asset and code: "<assetId>:<code>".
+ * @property {string} assetId The asset ID.
+ * @property {string} code A key of VALIDATION_ISSUE_TITLES.
+ * @property {string} title Short description, from VALIDATION_ISSUE_TITLES.
+ * @property {'error'|'warning'} severity Errors block the export; warnings can be ignored.
+ * @property {string} message Details for the user.
+ * @property {boolean} canFix Whether fixValidationIssues can fix it.
+ * @property {Object} [target] What a fix produces, e.g. { width, height, mimeType, quality }.
+ */
+
+/** @type {Map<string, Blob>} Issue ID -> the asset data it was ignored for. */
+const ignoredIssues = new Map();
+
+/**
+ * Ignores a warning for as long as the asset keeps its current data.
+ * @param {ValidationIssue} issue The issue. Errors cannot be ignored.
+ * @param {import('./fileLoader.js').ModAsset} asset The asset.
+ */
+export function ignoreValidationIssue(issue, asset) {
+    if (issue.severity === 'error') return;
+    ignoredIssues.set(issue.id, asset.blob);
+}
+
+/**
+ * Checks replaced assets. Assets with their original data are skipped.
+ * @param {Array<import('./fileLoader.js').ModAsset>} assets The assets to check.
+ * @param {function(number, number): void} [onProgress] Called with (checkedCount, totalCount).
+ * @returns {Promise<Array<ValidationIssue>>} The issues, errors first. Ignored warnings are left out.
+ */
+export async function validateAssets(assets, onProgress) {
+    const modifiedAssets = assets.filter(isAssetModified);
+    const issues = [];
+    let checkedCount = 0;
+    for (const asset of modifiedAssets) {
+        const assetIssues = await validateAsset(asset);
+        assetIssues.forEach(issue => {
+            if (ignoredIssues.get(issue.id) !== asset.blob) {
+                issues.push(issue);
+            }
+        });
+        checkedCount++;
+        if (onProgress) onProgress(checkedCount, modifiedAssets.length);
+    }
+    return issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+}
+
+/**
+ * Builds an issue record.
+ * @param {import('./fileLoader.js').ModAsset} asset The asset.
+ * @param {string} code A key of VALIDATION_ISSUE_TITLES.
+ * @param {'error'|'warning'} severity The severity.
+ * @param {string} message Details for the user.
+ * @param {Object} [target] What a fix produces. Without it, the issue cannot be fixed automatically.
+ * @returns {ValidationIssue}
+ */
+function createIssue(asset, code, severity, message, target) {
+    return {
+        id: `${asset.id}:${code}`,
+        assetId: asset.id,
+        code,
+        title: VALIDATION_ISSUE_TITLES[code],
+        severity,
+        message,
+        canFix: Boolean(target),
+        target
+    };
+}
+
+/**
+ * Runs every check on one replaced asset.
+ * @param {import('./fileLoader.js').ModAsset} asset The asset.
+ * @returns {Promise<Array<ValidationIssue>>}
+ */
+async function validateAsset(asset) {
+    const issues = [];
+    const actualType = await sniffMimeType(asset.blob);
+    const isImage = asset.mimeType.startsWith('image/');
+
+    if (actualType !== asset.mimeType) {
+        const canConvert = actualType.split('/')[0] === asset.mimeType.split('/')[0];
+        issues.push(createIssue(asset, 'mime-mismatch', 'error',
+            `${asset.fileName} contains ${actualType} data. The game expects ${asset.mimeType}.` +
+            (canConvert ? '' : ' Replace it with a file of the right format.'),
+            canConvert ? { mimeType: asset.mimeType, quality: DEFAULT_JPEG_QUALITY } : undefined));
+    }
+
+    if (isImage) {
+        issues.push(...await validateImage(asset, actualType));
+    } else if (actualType === 'audio/mpeg') {
+        issues.push(...await validateMp3(asset));
+    }
+
+    if (asset.blob.size > OVERSIZE_MIN_BYTES && asset.blob.size > asset.originalBlob.size * OVERSIZE_FACTOR) {
+        const canShrink = asset.mimeType === 'image/jpeg';
+        issues.push(createIssue(asset, 'oversized', 'warning',
+            `${formatBytes(asset.blob.size)} replaces ${formatBytes(asset.originalBlob.size)}.` +
+            (canShrink ? '' : ' Consider a smaller file.'),
+            canShrink ? { mimeType: asset.mimeType, quality: OVERSIZED_JPEG_QUALITY } : undefined));
+    }
+    return issues;
+}
+
+/**
+ * Image checks: dimensions, power-of-two sizes and transparency, compared with the original.
+ * @param {import('./fileLoader.js').ModAsset} asset The asset.
+ * @param {string} actualType The sniffed MIME type of the asset's data.
+ * @returns {Promise<Array<ValidationIssue>>}
+ */
+async function validateImage(asset, actualType) {
+    let image;
+    let original;
+    try {
+        image = await createImageBitmap(asset.blob);
+    } catch (error) {
+        return [createIssue(asset, 'undecodable', 'error', `The replacement image cannot be decoded: ${error.message}`)];
+    }
+    try {
+        original = await createImageBitmap(asset.originalBlob);
+    } catch (error) {
+        image.close();
+        console.warn(`Could not decode the original of ${asset.fileName}:`, error);
+        return [];
+    }
+
+    const issues = [];
+    const size = { width: image.width, height: image.height };
+    const originalSize = { width: original.width, height: original.height };
+    const sameSize = size.width === originalSize.width && size.height === originalSize.height;
+    const target = { mimeType: asset.mimeType, quality: DEFAULT_JPEG_QUALITY };
+
+    if (!sameSize) {
+        issues.push(createIssue(asset, 'dimensions-changed', 'warning',
+            `${size.width}×${size.height} replaces ${originalSize.width}×${originalSize.height}.`,
+            { ...target, ...originalSize }));
+    }
+    // Only flag sizes the original did not already have
+    if (!isPowerOfTwoSize(size) && isPowerOfTwoSize(originalSize)) {
+        const potSize = { width: nearestPowerOfTwo(size.width), height: nearestPowerOfTwo(size.height) };
+        issues.push(createIssue(asset, 'non-power-of-two', 'warning',
+            `${size.width}×${size.height} is not a power-of-two size, unlike the original. Resizing gives ${potSize.width}×${potSize.height}.`,
+            { ...target, ...potSize }));
+    }
+    if (asset.mimeType === 'image/png' && hasTransparency(original) &&
+        (actualType === 'image/jpeg' || !hasTransparency(image))) {
+        issues.push(createIssue(asset, 'alpha-lost', 'warning',
+            'The original has transparent areas, the replacement is fully opaque. The fix copies the original\'s transparency.',
+            { ...target, copyAlpha: true }));
+    }
+
+    image.close();
+    original.close();
+    return issues;
+}
+
+/**
+ * MP3 checks: sample rates other than the usual ones, or than the original's.
+ * @param {import('./fileLoader.js').ModAsset} asset The asset.
+ * @returns {Promise<Array<ValidationIssue>>}
+ */
+async function validateMp3(asset) {
+    const sampleRate = await readMp3SampleRate(asset.blob);
+    const originalSampleRate = await readMp3SampleRate(asset.originalBlob);
+    if (!sampleRate) {
+        return [createIssue(asset, 'undecodable', 'error', 'No MP3 frame found in the replacement.')];
+    }
+    const expected = originalSampleRate || USUAL_SAMPLE_RATES[0];
+    if (sampleRate !== expected && !USUAL_SAMPLE_RATES.includes(sampleRate)) {
+        return [createIssue(asset, 'sample-rate', 'warning',
+            `${sampleRate} Hz, the original uses ${expected} Hz. Some browsers play unusual rates at the wrong speed.`)];
+    }
+    return [];
+}
+
+/**
+ * Produces fixed data for issues of one asset. The caller stores it in the asset.
+ * The fixes are combined and the data is encoded once: every target of the issues was computed from
+ * the current data, so fixing them one after another would undo earlier fixes (e.g. a power-of-two
+ * resize after the resize to the original's size) and re-encode JPEGs each time.
+ * @param {Array<ValidationIssue>} issues The asset's issues. Each must have canFix set.
+ * @param {import('./fileLoader.js').ModAsset} asset The asset, with its current data.
+ * @returns {Promise<Blob>} The fixed data.
+ * @throws {Error} If an issue cannot be fixed automatically.
+ */
+export async function fixValidationIssues(issues, asset) {
+    const unfixable = issues.find(issue => !issue.canFix);
+    if (unfixable) {
+        throw new Error(`"${unfixable.title}" cannot be fixed automatically.`);
+    }
+    const target = combineFixTargets(issues);
+    const { mimeType, quality, copyAlpha } = target;
+    if (!mimeType.startsWith('image/')) {
+        return (await convertToAssetFormat(asset.blob, asset)).blob;
+    }
+    const canvas = await drawImageToCanvas(asset.blob, mimeType, target.width, target.height);
+    const { width, height } = canvas;
+    const context = canvas.getContext('2d');
+
+    if (copyAlpha) {
+        const original = await createImageBitmap(asset.originalBlob);
+        const alphaCanvas = document.createElement('canvas');
+        alphaCanvas.width = width;
+        alphaCanvas.height = height;
+        const alphaContext = alphaCanvas.getContext('2d');
+        alphaContext.drawImage(original, 0, 0, width, height);
+        original.close();
+
+        const imageData = context.getImageData(0, 0, width, height);
+        const alphaData = alphaContext.getImageData(0, 0, width, height).data;
+        for (let i = 3; i < imageData.data.length; i += 4) {
+            imageData.data[i] = alphaData[i];
+        }
+        context.putImageData(imageData, 0, 0);
+    }
+    return canvasToBlob(canvas, mimeType, quality);
+}
+
+/**
+ * Combines the targets of one asset's issues into one. The original's dimensions win over a
+ * power-of-two size (they are one whenever that issue is raised), and the lowest quality wins,
+ * so that an "oversized" fix still shrinks the file.
+ * @param {Array<ValidationIssue>} issues The issues.
+ * @returns {{mimeType: string, quality: number, width?: number, height?: number, copyAlpha: boolean}}
+ */
+function combineFixTargets(issues) {
+    const targets = issues.map(issue => issue.target);
+    const sizeIssue = issues.find(issue => issue.code === 'dimensions-changed') ||
+        issues.find(issue => issue.code === 'non-power-of-two');
+    return {
+        mimeType: targets[0].mimeType,
+        quality: Math.min(...targets.map(target => target.quality)),
+        width: sizeIssue ? sizeIssue.target.width : undefined,
+        height: sizeIssue ? sizeIssue.target.height : undefined,
+        copyAlpha: targets.some(target => target.copyAlpha)
+    };
+}
+
+/**
+ * Reads the sample rate from the first MP3 frame header, after any ID3v2 tag.
+ * @param {Blob} blob The MP3 data.
+ * @returns {Promise<number|null>} The sample rate in Hz, or null if no valid frame header is found.
+ */
+export async function readMp3SampleRate(blob) {
+    let offset = 0;
+    const header = new Uint8Array(await blob.slice(0, 10).arrayBuffer());
+    if (String.fromCharCode(...header.slice(0, 3)) === 'ID3') {
+        // Tag size is a 28 bit "synchsafe" integer, excluding the 10 byte header
+        offset = 10 + ((header[6] & 0x7F) << 21 | (header[7] & 0x7F) << 14 | (header[8] & 0x7F) << 7 | (header[9] & 0x7F));
+    }
+
+    const bytes = new Uint8Array(await blob.slice(offset, offset + 64 * 1024).arrayBuffer());
+    for (let i = 0; i + 3 < bytes.length; i++) {
+        if (bytes[i] !== 0xFF || (bytes[i + 1] & 0xE0) !== 0xE0) continue;
+        const version = (bytes[i + 1] >> 3) & 0x03;
+        const layer = (bytes[i + 1] >> 1) & 0x03;
+        const sampleRateIndex = (bytes[i + 2] >> 2) & 0x03;
+        if (version === 1 || layer !== 1 || sampleRateIndex === 3) continue; // Reserved values, or not layer III
+        return MP3_SAMPLE_RATES[version][sampleRateIndex];
+    }
+    return null;
+}
+
+/**
+ * Checks whether any pixel of an image is not fully opaque.
+ * @param {ImageBitmap} image The image.
+ * @returns {boolean}
+ */
+function hasTransparency(image) {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0);
+    const pixels = context.getImageData(0, 0, image.width, image.height).data;
+    for (let i = 3; i < pixels.length; i += 4) {
+        if (pixels[i] < 255) return true;
+    }
+    return false;
+}
+
+function isPowerOfTwo(value) {
+    return value > 0 && (value & (value - 1)) === 0;
+}
+
+function isPowerOfTwoSize({ width, height }) {
+    return isPowerOfTwo(width) && isPowerOfTwo(height);
+}
+
+function nearestPowerOfTwo(value) {
+    return 2 ** Math.round(Math.log2(Math.max(1, value)));
+}
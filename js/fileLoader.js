@@ -1,6 +1,7 @@
 // fileLoader.js
 
-import { showLoader } from './utils.js';
+import { showLoader, hideLoader, base64ToBlob } from './utils.js';
+import { setAssets } from './assetStore.js';
 
 /**
  * Represents a single mod asset.
@@ -10,18 +11,43 @@ import { showLoader } from './utils.js';
  * @property {string} fileName The file name (e.g., "Scar_Normal_OpenGL.jpg").
  * @property {string} fileType The base type (e.g., "jpg", "png", "mp3").
  * @property {string} mimeType The MIME type (e.g., "image/jpeg", "image/png", "audio/mpeg").
- * @property {string} base64Data The base64 encoded data URI.
- * @property {boolean} isEdited Whether the asset has been modified.
+ * @property {Blob} blob The current binary data, typed with the asset's MIME type.
+ * @property {Blob} originalBlob The data the asset was loaded with, used for resets.
+ * @property {boolean} isEdited Whether the asset has a local edit, which takes precedence over any mod layer.
  * @property {boolean} isExcluded Whether the asset is excluded from export.
+ * @property {string|null} sourceLayerId ID of the highest enabled mod layer containing the asset, or null.
+ *     Without a local edit, that layer supplies the data. Filled in by the asset store.
+ * @property {Array<AssetRevision>} revisions Every version the asset has had, oldest first. Filled in by the asset store.
+ */
+
+/**
+ * A named version of an asset's data.
+ * @typedef {Object} AssetRevision
+ * @property {string} id Unique revision ID.
+ * @property {string} label Description, e.g. "Original" or "Replaced with sky.png".
+ * @property {Blob} blob The data of this version.
+ * @property {number} createdAt When the revision was made (ms since epoch).
+ * @property {boolean} isOriginal Whether this is the data the asset was loaded with.
+ * @property {import('./adjustmentStack.js').AdjustmentStack|null} adjustments The adjustment stack the data was rendered from, or null.
  */
 
 const ASSET_TYPES = ['jpg', 'png', 'mp3'];
-const ASSET_MIME_TYPES = {
+export const ASSET_MIME_TYPES = {
     jpg: 'image/jpeg',
     png: 'image/png',
     mp3: 'audio/mpeg'
 };
 
+// Matches both the client layout ("Venge Client/Resource Swapper/files/assets/...")
+// and the browser layout ("files/assets/..."), with any wrapping folder in front.
+// Capture groups: 1 = folder number, 2 = file name.
+const ZIP_ASSET_PATH_PATTERN = /(?:^|\/)files\/assets\/(\d+)\/1\/([^/]+)$/;
+
+// The catalog of game assets: one "<folderNumber> <fileName>" line per asset
+const CATALOG_LIST_PATH = 'assets/{type}list.txt';
+
+let catalogPromise = null; // Loaded once, on first use
+
 /**
  * Loads a text file from a given path.
  * @param {string} path The path to the text file.
@@ -93,12 +119,174 @@ function getBase64DataFromJson(jsonContent, folderNumber, fileName) {
     return null;
 }
 
+/**
+ * Builds a fresh, unedited ModAsset record.
+ * @param {string} type The base type ("jpg", "png" or "mp3").
+ * @param {string} folderNumber The folder number.
+ * @param {string} fileName The file name.
+ * @param {Blob} blob The binary data.
+ * @returns {ModAsset}
+ */
+function createModAsset(type, folderNumber, fileName, blob) {
+    return {
+        id: `${type}_${folderNumber}_${fileName}`, // Unique ID
+        folderNumber: folderNumber,
+        fileName: fileName,
+        fileType: type,
+        mimeType: ASSET_MIME_TYPES[type],
+        blob: blob,
+        originalBlob: blob,
+        isEdited: false,
+        isExcluded: false,
+        sourceLayerId: null,
+    };
+}
+
+/**
+ * Gets the asset type from a file name's extension.
+ * @param {string} fileName The file name.
+ * @returns {string|null} "jpg", "png", "mp3", or null for unsupported files.
+ */
+function getTypeFromFileName(fileName) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    const type = extension === 'jpeg' ? 'jpg' : extension;
+    return ASSET_TYPES.includes(type) ? type : null;
+}
+
+/**
+ * An asset file found in a ZIP.
+ * @typedef {Object} ZipAssetEntry
+ * @property {Object} zipEntry The JSZip entry.
+ * @property {string} path The full path in the ZIP.
+ * @property {string|null} type "jpg", "png" or "mp3", or null for unsupported files.
+ * @property {string} folderNumber The folder number.
+ * @property {string} fileName The file name.
+ */
+
+/**
+ * Sorts the files of an opened ZIP into `files/assets/<folderNumber>/1/<fileName>` entries and everything else.
+ * @param {JSZip} zip The opened ZIP.
+ * @returns {{assetEntries: Array<ZipAssetEntry>, otherPaths: Array<string>}} Folders are left out.
+ */
+function listZipAssetEntries(zip) {
+    const assetEntries = [];
+    const otherPaths = [];
+    zip.forEach((relativePath, zipEntry) => {
+        if (zipEntry.dir) return;
+        const match = relativePath.match(ZIP_ASSET_PATH_PATTERN);
+        if (!match) {
+            otherPaths.push(relativePath);
+            return;
+        }
+        const [, folderNumber, fileName] = match;
+        assetEntries.push({ zipEntry, path: relativePath, type: getTypeFromFileName(fileName), folderNumber, fileName });
+    });
+    return { assetEntries, otherPaths };
+}
+
+/**
+ * Opens an uploaded Venge Client ZIP with JSZip and builds ModAsset records from
+ * every `files/assets/<folderNumber>/1/<fileName>` entry it contains.
+ * Both the client layout (`Venge Client/Resource Swapper/files/assets/...`) and the
+ * browser layout (`files/assets/...`) are recognised. If the same asset appears in
+ * both, the first entry in the archive wins.
+ * The loaded assets replace the contents of the asset store.
+ * Requires JSZip to be loaded globally.
+ * @param {File} file The ZIP file selected by the user.
+ * @returns {Promise<Array<ModAsset>>} A promise that resolves with the loaded assets.
+ */
+export async function loadZip(file) {
+    showLoader(`Opening ${file.name}...`);
+    const zip = await JSZip.loadAsync(file);
+
+    const entries = listZipAssetEntries(zip).assetEntries.filter(entry => {
+        if (!entry.type) console.warn(`Skipping unsupported file in ZIP: ${entry.path}`);
+        return entry.type !== null;
+    });
+
+    if (entries.length === 0) {
+        throw new Error('No files/assets/<folder>/1/<file> entries found in the ZIP.');
+    }
+
+    const assetsById = new Map();
+    let processedCount = 0;
+    for (const { zipEntry, type, folderNumber, fileName } of entries) {
+        processedCount++;
+        showLoader(`Reading ${fileName} (${processedCount}/${entries.length})...`);
+
+        const id = `${type}_${folderNumber}_${fileName}`;
+        if (assetsById.has(id)) {
+            console.warn(`Duplicate asset ${folderNumber}/${fileName} in ZIP, keeping the first copy.`);
+            continue;
+        }
+        const arrayBuffer = await zipEntry.async('arraybuffer');
+        const blob = new Blob([arrayBuffer], { type: ASSET_MIME_TYPES[type] });
+        assetsById.set(id, createModAsset(type, folderNumber, fileName, blob));
+    }
+
+    const loadedAssets = Array.from(assetsById.values());
+    setAssets(loadedAssets);
+    console.log(`Loaded ${loadedAssets.length} assets from ${file.name}.`);
+    return loadedAssets;
+}
+
+/**
+ * A file of a mod ZIP, read for importing.
+ * @typedef {Object} ModZipFile
+ * @property {string} path The full path in the ZIP.
+ * @property {string|null} type "jpg", "png" or "mp3", or null for unsupported files.
+ * @property {string} folderNumber The folder number.
+ * @property {string} fileName The file name.
+ * @property {Blob} blob The data, typed after its file extension.
+ */
+
+/**
+ * Reads the asset files of a mod ZIP (an export of this site in either layout, or a
+ * hand-made Resource Swapper ZIP) without touching the asset store.
+ * Requires JSZip to be loaded globally.
+ * @param {File} file The ZIP file selected by the user.
+ * @returns {Promise<{assetFiles: Array<ModZipFile>, otherPaths: Array<string>}>} The asset files in archive
+ *     order, and the paths of every other file (manifests, CSS, extension files...).
+ */
+export async function readModZip(file) {
+    showLoader(`Opening ${file.name}...`);
+    const zip = await JSZip.loadAsync(file);
+    const { assetEntries, otherPaths } = listZipAssetEntries(zip);
+
+    const assetFiles = [];
+    for (const { zipEntry, path, type, folderNumber, fileName } of assetEntries) {
+        showLoader(`Reading ${fileName} (${assetFiles.length + 1}/${assetEntries.length})...`);
+        const arrayBuffer = await zipEntry.async('arraybuffer');
+        const blob = new Blob([arrayBuffer], { type: type ? ASSET_MIME_TYPES[type] : 'application/octet-stream' });
+        assetFiles.push({ path, type, folderNumber, fileName, blob });
+    }
+    return { assetFiles, otherPaths };
+}
+
+/**
+ * Loads the catalog of game assets from the jpg/png/mp3 list files.
+ * @returns {Promise<Map<string, string>>} "<folderNumber>/<fileName>" -> asset type ("jpg", "png" or "mp3").
+ * @throws {Error} If a list file cannot be loaded.
+ */
+export function loadAssetCatalog() {
+    if (!catalogPromise) {
+        catalogPromise = Promise.all(ASSET_TYPES.map(async type => {
+            const list = parseTxtList(await loadTextFile(CATALOG_LIST_PATH.replace('{type}', type)));
+            return list.map(({ folderNumber, fileName }) => [`${folderNumber}/${fileName}`, type]);
+        })).then(lists => new Map(lists.flat()));
+        catalogPromise.catch(() => {
+            catalogPromise = null; // Try again next time
+        });
+    }
+    return catalogPromise;
+}
+
 /**
  * Loads all asset data by combining TXT list and JSON structure files.
  * @returns {Promise<Array<ModAsset>>} A promise that resolves with an array of ModAsset objects.
  */
 export async function loadAllAssets() {
-    showLoader(true, 0, 'Loading file lists...');
+    showLoader('Loading file lists...');
     const allAssets = [];
     let processedCount = 0;
     const totalFiles = ASSET_TYPES.length * 2; // Rough estimate for initial loading
@@ -108,11 +296,11 @@ export async function loadAllAssets() {
             const listPath = `${type}list.txt`;
             const jsonPath = `${type}_files_structure.json`;
 
-            showLoader(true, (processedCount / totalFiles) * 100, `Loading ${listPath}...`);
+            showLoader(`Loading ${listPath} (${processedCount + 1}/${totalFiles})...`);
             const listContent = await loadTextFile(listPath);
             processedCount++;
 
-            showLoader(true, (processedCount / totalFiles) * 100, `Loading ${jsonPath}...`);
+            showLoader(`Loading ${jsonPath} (${processedCount + 1}/${totalFiles})...`);
             const jsonContent = await loadJsonFile(jsonPath);
             processedCount++;
 
@@ -124,64 +312,18 @@ export async function loadAllAssets() {
             for (const { folderNumber, fileName } of parsedList) {
                 const base64Data = getBase64DataFromJson(jsonContent, folderNumber, fileName);
                 if (base64Data) {
-                    const asset = {
-                        id: `${type}_${folderNumber}_${fileName}`, // Unique ID
-                        folderNumber: folderNumber,
-                        fileName: fileName,
-                        fileType: type,
-                        mimeType: ASSET_MIME_TYPES[type],
-                        base64Data: base64Data,
-                        isEdited: false,
-                        isExcluded: false,
-                        // Add original size/lastModified if needed for export fidelity,
-                        // but not strictly required for current display/edit.
-                    };
-                    allAssets.push(asset);
+                    // The JSON only carries base64, decode it once here so the store holds binary data
+                    allAssets.push(createModAsset(type, folderNumber, fileName, base64ToBlob(base64Data)));
                 }
                 filesProcessedForType++;
                 // Update progress for actual data processing
-                showLoader(true, ((processedCount + (filesProcessedForType / totalFilesForType)) / (totalFiles + ASSET_TYPES.length)) * 100, `Processing ${fileName}`);
+                showLoader(`Processing ${fileName} (${filesProcessedForType}/${totalFilesForType})...`);
             }
         } catch (error) {
             console.error(`Error loading assets for type ${type}:`, error);
             // Continue loading other types even if one fails
         }
     }
-    showLoader(false); // Hide loader after all is done
+    hideLoader(); // Hide loader after all is done
     return allAssets;
 }
-
-/**
- * Updates the base64 data for a specific asset in the in-memory array.
- * Marks the asset as 'edited'.
- * @param {Array<ModAsset>} assets The array of all ModAsset objects.
- * @param {string} assetId The ID of the asset to update.
- * @param {string} newBase64Data The new base64 data URI.
- */
-export function updateAssetData(assets, assetId, newBase64Data) {
-    const asset = assets.find(a => a.id === assetId);
-    if (asset) {
-        asset.base64Data = newBase64Data;
-        asset.isEdited = true;
-        console.log(`Asset ${assetId} updated and marked as edited.`);
-    } else {
-        console.warn(`Asset with ID ${assetId} not found for update.`);
-    }
-}
-
-/**
- * Toggles the exclusion status of assets.
- * @param {Array<ModAsset>} assets The array of all ModAsset objects.
- * @param {Array<string>} assetIds The IDs of the assets to toggle exclusion for.
- */
-export function toggleAssetExclusion(assets, assetIds) {
-    assetIds.forEach(id => {
-        const asset = assets.find(a => a.id === id);
-        if (asset) {
-            asset.isExcluded = !asset.isExcluded;
-            console.log(`Asset ${id} exclusion toggled to ${asset.isExcluded}`);
-        } else {
-            console.warn(`Asset with ID ${id} not found for exclusion toggle.`);
-        }
-    });
-}
\ No newline at end of file
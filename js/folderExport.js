@@ -0,0 +1,140 @@
+// folderExport.js
+// Writes an export straight into a folder on disk with the File System Access API.
+// Only a small part of FileSystemDirectoryHandle is used (see DirectoryHandleLike), so
+// the writing logic runs just as well against an in-memory stand-in.
+
+import { blobsEqual } from './utils.js';
+
+/**
+ * The parts of FileSystemDirectoryHandle the folder export uses.
+ * @typedef {Object} DirectoryHandleLike
+ * @property {string} name The folder name.
+ * @property {function(string, {create?: boolean}=): Promise<DirectoryHandleLike>} getDirectoryHandle Gets (or creates) a subfolder. Rejects with a "NotFoundError" DOMException if it is missing and create is not set.
+ * @property {function(string, {create?: boolean}=): Promise<FileHandleLike>} getFileHandle Gets (or creates) a file. Rejects like getDirectoryHandle.
+ */
+
+/**
+ * The parts of FileSystemFileHandle the folder export uses.
+ * @typedef {Object} FileHandleLike
+ * @property {function(): Promise<Blob>} getFile Reads the file.
+ * @property {function(): Promise<{write: function(Blob): Promise<void>, close: function(): Promise<void>}>} createWritable Opens the file for writing, replacing its content on close.
+ */
+
+/**
+ * A file to write, with its path relative to the chosen folder.
+ * @typedef {Object} ExportFile
+ * @property {string} path e.g. "Venge Client/Resource Swapper/files/assets/29307612/1/Scar_Normal_OpenGL.jpg"
+ * @property {Blob} blob The content.
+ */
+
+/**
+ * Whether this browser can write folders directly.
+ * @returns {boolean}
+ */
+export function isFolderExportSupported() {
+    return typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+}
+
+/**
+ * Asks the user for the folder to export into. Must be called while handling a click.
+ * @returns {Promise<FileSystemDirectoryHandle|null>} The folder, or null if the user cancelled.
+ */
+export async function pickExportDirectory() {
+    try {
+        return await window.showDirectoryPicker({ id: 'venge-mod-export', mode: 'readwrite' });
+    } catch (error) {
+        if (error.name === 'AbortError') return null;
+        throw error;
+    }
+}
+
+/**
+ * Gets the folder at a path below a root folder, creating missing folders.
+ * Handles are cached per path, so each folder is only looked up once per export.
+ * @param {DirectoryHandleLike} root The root folder.
+ * @param {Array<string>} parts The folder names, outermost first.
+ * @param {Map<string, DirectoryHandleLike>} cache Path -> handle cache of the current export.
+ * @returns {Promise<DirectoryHandleLike>}
+ */
+async function getDirectoryAtPath(root, parts, cache) {
+    let handle = root;
+    let path = '';
+    for (const part of parts) {
+        path += `${part}/`;
+        if (!cache.has(path)) {
+            cache.set(path, await handle.getDirectoryHandle(part, { create: true }));
+        }
+        handle = cache.get(path);
+    }
+    return handle;
+}
+
+/**
+ * Splits a relative path into its parts, refusing anything that could leave the root folder.
+ * @param {string} path The relative path.
+ * @returns {Array<string>}
+ * @throws {Error} If the path is empty or contains "." or ".." parts.
+ */
+function splitPath(path) {
+    const parts = path.split('/').filter(part => part !== '');
+    if (parts.length === 0 || parts.some(part => part === '.' || part === '..')) {
+        throw new Error(`Invalid export path: ${path}`);
+    }
+    return parts;
+}
+
+/**
+ * Checks whether a file already has the given content.
+ * @param {DirectoryHandleLike} directory The folder of the file.
+ * @param {string} fileName The file name.
+ * @param {Blob} blob The content to compare with.
+ * @returns {Promise<boolean>} False if the file does not exist.
+ */
+async function fileHasContent(directory, fileName, blob) {
+    let fileHandle;
+    try {
+        fileHandle = await directory.getFileHandle(fileName);
+    } catch (error) {
+        if (error.name === 'NotFoundError') return false;
+        throw error;
+    }
+    return blobsEqual(await fileHandle.getFile(), blob);
+}
+
+/**
+ * Writes files (and empty folders) into a folder.
+ * @param {DirectoryHandleLike} root The folder to write into.
+ * @param {Array<ExportFile>} files The files to write.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.folders] Folders to create even if no file is written into them.
+ * @param {boolean} [options.incremental=false] Skip files that already exist with the same content,
+ *     e.g. when updating an existing client install.
+ * @param {function(number, number, string): void} [options.onProgress] Called with (doneCount, totalCount, path) after each file.
+ * @returns {Promise<{writtenCount: number, skippedCount: number}>}
+ */
+export async function writeFilesToDirectory(root, files, { folders = [], incremental = false, onProgress } = {}) {
+    const cache = new Map();
+    for (const folder of folders) {
+        await getDirectoryAtPath(root, splitPath(folder), cache);
+    }
+
+    let writtenCount = 0;
+    let skippedCount = 0;
+    for (const file of files) {
+        const parts = splitPath(file.path);
+        const fileName = parts.pop();
+        const directory = await getDirectoryAtPath(root, parts, cache);
+
+        if (incremental && await fileHasContent(directory, fileName, file.blob)) {
+            skippedCount++;
+        } else {
+            const fileHandle = await directory.getFileHandle(fileName, { create: true });
+            const writable = await fileHandle.createWritable();
+            await writable.write(file.blob);
+            await writable.close();
+            writtenCount++;
+        }
+        if (onProgress) onProgress(writtenCount + skippedCount, files.length, file.path);
+    }
+    return { writtenCount, skippedCount };
+}
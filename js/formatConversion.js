@@ -0,0 +1,174 @@
+// formatConversion.js
+// Converts replacement files to the format of the asset they replace: images are
+// re-encoded on a canvas (JPEG or PNG), audio is decoded and encoded as MP3 with lamejs.
+// Shared by single replace, bulk replace and session import, so every path into the
+// store ends up with data the game can read under the asset's file name.
+
+import { canvasToBlob, sniffMimeType } from './utils.js';
+
+export const DEFAULT_JPEG_QUALITY = 0.92;
+
+const MP3_SAMPLE_RATE = 44100; // Decoded audio is resampled to this rate
+const MP3_BITRATE = 128; // kbps
+const MP3_FRAME_SAMPLES = 1152; // Samples per channel lamejs encodes at a time
+
+const FORMAT_NAMES = {
+    'image/jpeg': 'JPG',
+    'image/png': 'PNG',
+    'audio/mpeg': 'MP3'
+};
+
+// Media groups by file extension, for files whose content is not recognized and that have no MIME
+// type (browsers leave it empty for many audio formats and for files without an extension)
+const EXTENSION_MEDIA_GROUPS = {
+    jpg: 'image', jpeg: 'image', png: 'image', gif: 'image', webp: 'image', bmp: 'image', avif: 'image',
+    mp3: 'audio', wav: 'audio', ogg: 'audio', oga: 'audio', opus: 'audio', m4a: 'audio', aac: 'audio', flac: 'audio', weba: 'audio'
+};
+
+/**
+ * Short display name of a MIME type, e.g. "JPG".
+ * @param {string} mimeType The MIME type.
+ * @returns {string}
+ */
+export function getFormatName(mimeType) {
+    return FORMAT_NAMES[mimeType] || mimeType;
+}
+
+/**
+ * Works out whether a replacement file is an image or audio: from its content if the format is
+ * recognized, otherwise from its MIME type, otherwise from its file extension.
+ * @param {File} file The file.
+ * @returns {Promise<'image'|'audio'|null>} Null if the file is neither (or of an unknown type).
+ */
+export async function getFileMediaGroup(file) {
+    const group = (await sniffMimeType(file)).split('/')[0];
+    if (group === 'image' || group === 'audio') return group;
+    const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+    return EXTENSION_MEDIA_GROUPS[extension] || null;
+}
+
+/**
+ * Converts data to the format of an asset. Data already in that format is returned unchanged
+ * (apart from its Blob type).
+ * @param {Blob} blob The replacement data.
+ * @param {import('./fileLoader.js').ModAsset} asset The asset it replaces.
+ * @param {Object} [options]
+ * @param {number} [options.jpegQuality=DEFAULT_JPEG_QUALITY] Quality (0-1) used when encoding JPEGs.
+ * @returns {Promise<{blob: Blob, sourceType: string, converted: boolean}>} The data in the asset's format,
+ *     the format it was detected as and whether it had to be converted.
+ * @throws {Error} If the data is not of the asset's media type (e.g. audio for an image) or cannot be decoded.
+ */
+export async function convertToAssetFormat(blob, asset, { jpegQuality = DEFAULT_JPEG_QUALITY } = {}) {
+    const sourceType = await sniffMimeType(blob);
+    if (sourceType === asset.mimeType) {
+        const typedBlob = blob.type === asset.mimeType ? blob : new Blob([blob], { type: asset.mimeType });
+        return { blob: typedBlob, sourceType, converted: false };
+    }
+
+    const mediaGroup = asset.mimeType.split('/')[0];
+    if (sourceType.split('/')[0] !== mediaGroup) {
+        throw new Error(`${asset.fileName} is ${mediaGroup === 'image' ? 'an image' : 'audio'}; ${sourceType} data cannot be converted to it.`);
+    }
+
+    const converted = mediaGroup === 'image'
+        ? await reencodeImage(blob, asset.mimeType, { quality: jpegQuality })
+        : encodeMp3(await decodeAudio(blob));
+    return { blob: converted, sourceType, converted: true };
+}
+
+/**
+ * Draws an image onto a canvas and encodes it.
+ * @param {Blob} blob The image data, in any format the browser can decode.
+ * @param {string} mimeType The format to encode to ("image/jpeg" or "image/png").
+ * @param {Object} [options]
+ * @param {number} [options.quality] JPEG quality (0-1).
+ * @param {number} [options.width] Output width. Defaults to the image's width.
+ * @param {number} [options.height] Output height. Defaults to the image's height.
+ * @returns {Promise<Blob>}
+ */
+export async function reencodeImage(blob, mimeType, { quality, width, height } = {}) {
+    const canvas = await drawImageToCanvas(blob, mimeType, width, height);
+    return canvasToBlob(canvas, mimeType, quality);
+}
+
+/**
+ * Draws an image onto a new canvas, scaled to the given size. For JPEG output the canvas is
+ * first filled with black, as JPEG has no transparency (the game's own textures use black).
+ * @param {Blob} blob The image data.
+ * @param {string} mimeType The format the canvas will be encoded to.
+ * @param {number} [width] Canvas width. Defaults to the image's width.
+ * @param {number} [height] Canvas height. Defaults to the image's height.
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export async function drawImageToCanvas(blob, mimeType, width, height) {
+    const image = await createImageBitmap(blob);
+    const canvas = document.createElement('canvas');
+    canvas.width = width || image.width;
+    canvas.height = height || image.height;
+    const context = canvas.getContext('2d');
+    if (mimeType === 'image/jpeg') {
+        context.fillStyle = '#000000';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    image.close();
+    return canvas;
+}
+
+/**
+ * Decodes audio data, resampled to MP3_SAMPLE_RATE.
+ * @param {Blob} blob Audio in any format the browser can decode.
+ * @returns {Promise<AudioBuffer>}
+ * @throws {Error} If the data cannot be decoded.
+ */
+export async function decodeAudio(blob) {
+    // An offline context decodes without needing a user gesture or an audio device
+    const context = new OfflineAudioContext(2, 1, MP3_SAMPLE_RATE);
+    try {
+        return await context.decodeAudioData(await blob.arrayBuffer());
+    } catch (error) {
+        throw new Error(`Could not decode the audio: ${error.message || error}`);
+    }
+}
+
+/**
+ * Converts float samples (-1..1) to the 16-bit integers lamejs expects.
+ * @param {Float32Array} samples The samples.
+ * @returns {Int16Array}
+ */
+function floatTo16BitPcm(samples) {
+    const pcm = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        const sample = Math.max(-1, Math.min(1, samples[i]));
+        pcm[i] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
+    }
+    return pcm;
+}
+
+/**
+ * Encodes decoded audio as MP3. Audio with more than two channels keeps its first two.
+ * @param {AudioBuffer} audioBuffer The audio.
+ * @returns {Blob}
+ */
+function encodeMp3(audioBuffer) {
+    if (typeof lamejs === 'undefined') {
+        throw new Error('The MP3 encoder (lamejs) is not loaded.');
+    }
+    const channelCount = Math.min(audioBuffer.numberOfChannels, 2);
+    const channels = [];
+    for (let channel = 0; channel < channelCount; channel++) {
+        channels.push(floatTo16BitPcm(audioBuffer.getChannelData(channel)));
+    }
+
+    const encoder = new lamejs.Mp3Encoder(channelCount, audioBuffer.sampleRate, MP3_BITRATE);
+    const chunks = [];
+    for (let start = 0; start < channels[0].length; start += MP3_FRAME_SAMPLES) {
+        const frames = channels.map(samples => samples.subarray(start, start + MP3_FRAME_SAMPLES));
+        const chunk = channelCount === 2 ? encoder.encodeBuffer(frames[0], frames[1]) : encoder.encodeBuffer(frames[0]);
+        if (chunk.length > 0) chunks.push(new Uint8Array(chunk));
+    }
+    const lastChunk = encoder.flush();
+    if (lastChunk.length > 0) chunks.push(new Uint8Array(lastChunk));
+
+    return new Blob(chunks, { type: 'audio/mpeg' });
+}
@@ -0,0 +1,196 @@
+// history.js
+// Command-based undo/redo for asset edits. Every user-facing operation that
+// changes asset data or exclusion (replace, filter edits, reset, exclusion
+// toggles, bulk operations, session loads) is recorded as one step, and so is
+// every change to the mod layers.
+
+import { captureAssetStates, restoreAssetStates, captureLayerStack, layerStacksEqual, restoreLayerStack } from './assetStore.js';
+
+const MAX_HISTORY_STEPS = 100;
+
+/**
+ * A single undoable step.
+ * @typedef {Object} HistoryCommand
+ * @property {string} label Human readable description shown in the history panel.
+ * @property {number} timestamp When the step was recorded (ms since epoch).
+ * @property {function(): void} undo Reverts the step.
+ * @property {function(): void} redo Re-applies the step.
+ */
+
+/** @type {Array<HistoryCommand>} */
+const undoStack = [];
+/** @type {Array<HistoryCommand>} */
+const redoStack = [];
+/** @type {Set<Function>} */
+const listeners = new Set();
+
+/**
+ * Subscribes to history changes (record, undo, redo, clear).
+ * @param {Function} callback Called without arguments after every change.
+ * @returns {Function} A function that removes the subscription.
+ */
+export function onHistoryChange(callback) {
+    listeners.add(callback);
+    return () => listeners.delete(callback);
+}
+
+function notify() {
+    listeners.forEach(callback => {
+        try {
+            callback();
+        } catch (error) {
+            console.error('History listener failed:', error);
+        }
+    });
+}
+
+/**
+ * Adds an already applied command to the history. Clears the redo stack.
+ * @param {string} label Description of the step.
+ * @param {function(): void} undo Reverts the step.
+ * @param {function(): void} redo Re-applies the step.
+ */
+export function pushCommand(label, undo, redo) {
+    undoStack.push({ label, timestamp: Date.now(), undo, redo });
+    if (undoStack.length > MAX_HISTORY_STEPS) {
+        undoStack.shift();
+    }
+    redoStack.length = 0;
+    notify();
+}
+
+/**
+ * Runs an operation with an exact inverse (e.g. turning a mod layer on) and records it as one undoable step.
+ * @param {string} label Description of the step.
+ * @param {function(): void} apply Performs the operation. Also used to redo it.
+ * @param {function(): void} revert Reverts the operation.
+ */
+export function recordCommand(label, apply, revert) {
+    apply();
+    pushCommand(label, revert, apply);
+}
+
+/**
+ * Runs an operation on assets and records it as one undoable step.
+ * The affected assets are captured before and after; only the ones that actually
+ * changed are kept, and nothing is recorded if nothing changed. If the operation
+ * replaces the mod layers (e.g. a session load), the layer stack is restored too.
+ * If the operation throws, the changes it made before are still recorded, then the error is rethrown.
+ * @param {string} label Description of the step, e.g. "Replace Scar_Diffuse.jpg".
+ * @param {Array<string>|null} assetIds The assets the operation may touch, or null for all assets.
+ * @param {function(): (void|Promise<void>)} operation The operation. May be async.
+ * @returns {Promise<boolean>} Whether a step was recorded.
+ */
+export async function recordAssetChange(label, assetIds, operation) {
+    const before = captureAssetStates(assetIds || undefined);
+    const layersBefore = captureLayerStack();
+    let isRecorded = false;
+    try {
+        await operation();
+    } finally {
+        isRecorded = pushChangeStep(label, before, layersBefore);
+    }
+    return isRecorded;
+}
+
+/**
+ * Records a step for the assets and layers that changed since they were captured.
+ * @param {string} label Description of the step.
+ * @param {Array<import('./assetStore.js').AssetState>} before The asset states captured before the change.
+ * @param {Array<{layer: import('./assetStore.js').AssetLayer, enabled: boolean}>} layersBefore The layer stack captured before the change.
+ * @returns {boolean} Whether a step was recorded.
+ */
+function pushChangeStep(label, before, layersBefore) {
+    const after = captureAssetStates(before.map(state => state.id));
+    const layersAfter = captureLayerStack();
+    const layersChanged = !layerStacksEqual(layersBefore, layersAfter);
+
+    const changedBefore = [];
+    const changedAfter = [];
+    before.forEach((state, index) => {
+        const next = after[index];
+        if (state.blob !== next.blob || state.isEdited !== next.isEdited || state.isExcluded !== next.isExcluded) {
+            changedBefore.push(state);
+            changedAfter.push(next);
+        }
+    });
+    if (changedBefore.length === 0 && !layersChanged) {
+        return false;
+    }
+
+    // Layers first: restoring them re-resolves assets, which the captured states then override
+    const restore = (layerStack, states) => {
+        if (layersChanged) restoreLayerStack(layerStack);
+        restoreAssetStates(states);
+    };
+    pushCommand(label, () => restore(layersBefore, changedBefore), () => restore(layersAfter, changedAfter));
+    return true;
+}
+
+/**
+ * Undoes the most recent step.
+ * @returns {boolean} Whether there was a step to undo.
+ */
+export function undo() {
+    const command = undoStack.pop();
+    if (!command) return false;
+    command.undo();
+    redoStack.push(command);
+    notify();
+    return true;
+}
+
+/**
+ * Redoes the most recently undone step.
+ * @returns {boolean} Whether there was a step to redo.
+ */
+export function redo() {
+    const command = redoStack.pop();
+    if (!command) return false;
+    command.redo();
+    undoStack.push(command);
+    notify();
+    return true;
+}
+
+/**
+ * Undoes or redoes steps until the given number of steps is applied.
+ * @param {number} appliedCount How many steps should remain applied (0 = everything undone).
+ */
+export function goToHistoryStep(appliedCount) {
+    while (undoStack.length > appliedCount && undo()) { /* keep undoing */ }
+    while (undoStack.length < appliedCount && redo()) { /* keep redoing */ }
+}
+
+/**
+ * Gets every step for display, oldest first. Applied steps come before undone ones.
+ * @returns {Array<{label: string, timestamp: number, isApplied: boolean}>}
+ */
+export function getHistoryEntries() {
+    const applied = undoStack.map(({ label, timestamp }) => ({ label, timestamp, isApplied: true }));
+    const undone = redoStack.slice().reverse().map(({ label, timestamp }) => ({ label, timestamp, isApplied: false }));
+    return applied.concat(undone);
+}
+
+/**
+ * @returns {boolean} Whether there is a step to undo.
+ */
+export function canUndo() {
+    return undoStack.length > 0;
+}
+
+/**
+ * @returns {boolean} Whether there is a step to redo.
+ */
+export function canRedo() {
+    return redoStack.length > 0;
+}
+
+/**
+ * Forgets every step, e.g. when a different set of assets is loaded.
+ */
+export function clearHistory() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    notify();
+}
@@ -0,0 +1,357 @@
+// imageFilters.js
+// The pixel operations of the image editor. They change RGBA pixel data (as in ImageData) in
+// place and leave alpha alone, so the same code renders the live preview and the final image.
+
+/** Blend modes of the tint. "normal" mixes the pixel towards the tint color. */
+export const TINT_BLEND_MODES = ['normal', 'multiply', 'screen', 'overlay', 'color'];
+
+/** Channels with their own levels; "rgb" applies to all three before the per-channel levels. */
+export const LEVELS_CHANNELS = ['rgb', 'r', 'g', 'b'];
+
+// Luminance weights of the "color" blend mode (as in the W3C compositing spec)
+const LUMA_R = 0.3;
+const LUMA_G = 0.59;
+const LUMA_B = 0.11;
+
+// Recolor matching: the distance between two colors is measured in YCbCr, with brightness (Y) counting
+// for only a quarter, so the lit and shaded parts of a color match together
+const RECOLOR_LUMA_WEIGHT = 0.25;
+const RECOLOR_MAX_DISTANCE = 255; // Distance at 100% tolerance
+const RECOLOR_FEATHER = 0.25; // Pixels up to this much (of the tolerance) beyond it are partly recolored, for smooth edges
+const MASK_COLOR = [255, 0, 255]; // Highlight of matching pixels
+
+/**
+ * Input levels of a channel.
+ * @typedef {Object} ChannelLevels
+ * @property {number} black Input value (0-255) that becomes 0.
+ * @property {number} white Input value (0-255) that becomes 255. Greater than black.
+ * @property {number} gamma Midtone gamma; above 1 brightens the midtones, below 1 darkens them.
+ */
+
+/**
+ * Settings of the image editor's adjustments.
+ * @typedef {Object} ImageAdjustments
+ * @property {number} brightness Brightness multiplier; 1 leaves the image unchanged.
+ * @property {number} contrast Contrast, 0 (flat grey) to 2; 1 leaves the image unchanged.
+ * @property {number} saturation Saturation multiplier; 0 is greyscale, 1 leaves the image unchanged.
+ * @property {number} hue Hue rotation in degrees (-180 to 180).
+ * @property {string} tintColor The tint color as "#rrggbb".
+ * @property {number} tintStrength How far pixels move towards the blended tint, 0 (off) to 1.
+ * @property {string} tintBlendMode How the tint color is blended with the pixels; one of TINT_BLEND_MODES.
+ * @property {Object<string, ChannelLevels>} levels Levels keyed by LEVELS_CHANNELS.
+ * @property {string|null} recolorSource The color ("#rrggbb") whose pixels are recolored, or null for no recolor.
+ * @property {string} recolorTarget The color matching pixels get. Their luminance is kept, so shading survives.
+ * @property {number} recolorTolerance How far (0-100) a pixel's color may be from recolorSource to match.
+ */
+
+/**
+ * @returns {ChannelLevels} Levels that leave a channel unchanged.
+ */
+export function createDefaultLevels() {
+    return { black: 0, white: 255, gamma: 1 };
+}
+
+/**
+ * @returns {ImageAdjustments} Adjustments that leave an image unchanged.
+ */
+export function createDefaultImageAdjustments() {
+    return {
+        brightness: 1,
+        contrast: 1,
+        saturation: 1,
+        hue: 0,
+        tintColor: '#ff0000',
+        tintStrength: 0,
+        tintBlendMode: 'normal',
+        levels: Object.fromEntries(LEVELS_CHANNELS.map(channel => [channel, createDefaultLevels()])),
+        recolorSource: null,
+        recolorTarget: '#00ff00',
+        recolorTolerance: 20
+    };
+}
+
+/**
+ * @param {ChannelLevels} levels Levels of a channel.
+ * @returns {boolean} Whether the levels leave the channel unchanged.
+ */
+function isDefaultLevels(levels) {
+    return levels.black === 0 && levels.white === 255 && levels.gamma === 1;
+}
+
+/**
+ * Lists the adjustments that change an image, e.g. for a revision label.
+ * @param {ImageAdjustments} adjustments The adjustments.
+ * @returns {Array<string>} e.g. ["Brightness 120%", "Hue +30°"]; empty if the image stays unchanged.
+ */
+export function describeImageAdjustments(adjustments) {
+    const parts = [];
+    if (adjustments.recolorSource) {
+        parts.push(`Recolor ${adjustments.recolorSource} to ${adjustments.recolorTarget} (${adjustments.recolorTolerance}% tolerance)`);
+    }
+    if (adjustments.brightness !== 1) parts.push(`Brightness ${Math.round(adjustments.brightness * 100)}%`);
+    if (adjustments.contrast !== 1) parts.push(`Contrast ${Math.round(adjustments.contrast * 100)}%`);
+    if (adjustments.saturation !== 1) parts.push(`Saturation ${Math.round(adjustments.saturation * 100)}%`);
+    if (adjustments.hue !== 0) parts.push(`Hue ${adjustments.hue > 0 ? '+' : ''}${adjustments.hue}°`);
+    if (adjustments.tintStrength > 0) {
+        parts.push(`Tint ${adjustments.tintColor} ${Math.round(adjustments.tintStrength * 100)}% (${adjustments.tintBlendMode})`);
+    }
+    if (LEVELS_CHANNELS.some(channel => !isDefaultLevels(adjustments.levels[channel]))) parts.push('Levels');
+    return parts;
+}
+
+/**
+ * Applies adjustments to pixel data in place, in this order: recolor, brightness, contrast,
+ * saturation, hue, tint, levels. Stages that leave the image unchanged are skipped. Alpha is not changed.
+ * @param {Uint8ClampedArray} pixels RGBA pixel data, e.g. ImageData.data.
+ * @param {ImageAdjustments} adjustments The adjustments.
+ * @returns {number} How many pixels the recolor changed (0 without a recolor).
+ */
+export function adjustPixels(pixels, adjustments) {
+    const { brightness, contrast, saturation, hue, tintStrength, tintBlendMode } = adjustments;
+    const matchRecolorSource = adjustments.recolorSource ? createColorMatcher(adjustments.recolorSource, adjustments.recolorTolerance) : null;
+    const recolorTarget = hexToRgb(adjustments.recolorTarget);
+    const hasBasicAdjustments = brightness !== 1 || contrast !== 1 || saturation !== 1;
+    const hueMatrix = hue !== 0 ? createHueRotationMatrix(hue) : null;
+    const tint = tintStrength > 0 ? hexToRgb(adjustments.tintColor) : null;
+    const levels = LEVELS_CHANNELS.some(channel => !isDefaultLevels(adjustments.levels[channel]))
+        ? createLevelsTables(adjustments.levels)
+        : null;
+
+    // Contrast algorithm from: https://stackoverflow.com/questions/10521978/html5-canvas-image-contrast
+    // It expects -255 (flat) to 255, with 0 leaving the image unchanged
+    const contrastValue = (contrast - 1) * 255;
+    const contrastFactor = (259 * (contrastValue + 255)) / (255 * (259 - contrastValue));
+    let recoloredCount = 0;
+
+    for (let i = 0; i < pixels.length; i += 4) {
+        let r = pixels[i];
+        let g = pixels[i + 1];
+        let b = pixels[i + 2];
+
+        if (matchRecolorSource) {
+            const weight = matchRecolorSource(r, g, b);
+            if (weight > 0) {
+                recoloredCount++;
+                const [nr, ng, nb] = setLuminance(...recolorTarget, (LUMA_R * r + LUMA_G * g + LUMA_B * b) / 255);
+                r += (nr * 255 - r) * weight;
+                g += (ng * 255 - g) * weight;
+                b += (nb * 255 - b) * weight;
+            }
+        }
+
+        if (hasBasicAdjustments) {
+            r = contrastFactor * (r * brightness - 128) + 128;
+            g = contrastFactor * (g * brightness - 128) + 128;
+            b = contrastFactor * (b * brightness - 128) + 128;
+
+            // Saturation algorithm from: https://stackoverflow.com/questions/9294437/javascript-image-saturation
+            const luminance = 0.3086 * r + 0.6094 * g + 0.0820 * b;
+            r = luminance + saturation * (r - luminance);
+            g = luminance + saturation * (g - luminance);
+            b = luminance + saturation * (b - luminance);
+        }
+
+        if (hueMatrix) {
+            const hr = hueMatrix[0] * r + hueMatrix[1] * g + hueMatrix[2] * b;
+            const hg = hueMatrix[3] * r + hueMatrix[4] * g + hueMatrix[5] * b;
+            const hb = hueMatrix[6] * r + hueMatrix[7] * g + hueMatrix[8] * b;
+            r = hr;
+            g = hg;
+            b = hb;
+        }
+
+        if (tint) {
+            const [br, bg, bb] = blendTint(clampByte(r) / 255, clampByte(g) / 255, clampByte(b) / 255, tint, tintBlendMode);
+            r += (br * 255 - r) * tintStrength;
+            g += (bg * 255 - g) * tintStrength;
+            b += (bb * 255 - b) * tintStrength;
+        }
+
+        if (levels) {
+            r = levels.r[clampByte(r)];
+            g = levels.g[clampByte(g)];
+            b = levels.b[clampByte(b)];
+        }
+
+        // The clamped array rounds and clamps to 0-255
+        pixels[i] = r;
+        pixels[i + 1] = g;
+        pixels[i + 2] = b;
+    }
+    return recoloredCount;
+}
+
+/**
+ * Shows which pixels a recolor changes, in place: matching pixels in MASK_COLOR (partly matching ones
+ * partly), the others dimmed to grey. Alpha is not changed.
+ * @param {Uint8ClampedArray} pixels RGBA pixel data, e.g. ImageData.data.
+ * @param {ImageAdjustments} adjustments The adjustments; only the recolor settings are used.
+ */
+export function highlightRecolorMatches(pixels, adjustments) {
+    if (!adjustments.recolorSource) return;
+    const matchRecolorSource = createColorMatcher(adjustments.recolorSource, adjustments.recolorTolerance);
+    for (let i = 0; i < pixels.length; i += 4) {
+        const weight = matchRecolorSource(pixels[i], pixels[i + 1], pixels[i + 2]);
+        const dimmed = (LUMA_R * pixels[i] + LUMA_G * pixels[i + 1] + LUMA_B * pixels[i + 2]) * 0.4;
+        pixels[i] = dimmed + (MASK_COLOR[0] - dimmed) * weight;
+        pixels[i + 1] = dimmed + (MASK_COLOR[1] - dimmed) * weight;
+        pixels[i + 2] = dimmed + (MASK_COLOR[2] - dimmed) * weight;
+    }
+}
+
+/**
+ * Creates a function telling how much a pixel matches a color.
+ * @param {string} hex The color as "#rrggbb".
+ * @param {number} tolerance How far (0-100) a color may be from it to match fully.
+ * @returns {function(number, number, number): number} (r, g, b) of 0-255 -> 1 for a full match,
+ *     less than 1 in the feathered band beyond the tolerance, 0 for no match.
+ */
+function createColorMatcher(hex, tolerance) {
+    const [sourceY, sourceCb, sourceCr] = toYCbCr(...hexToRgb(hex).map(value => value * 255));
+    const maxDistance = tolerance / 100 * RECOLOR_MAX_DISTANCE;
+    const feather = maxDistance * RECOLOR_FEATHER + 1;
+    return (r, g, b) => {
+        const [y, cb, cr] = toYCbCr(r, g, b);
+        const distance = Math.hypot((y - sourceY) * RECOLOR_LUMA_WEIGHT, cb - sourceCb, cr - sourceCr);
+        if (distance <= maxDistance) return 1;
+        return Math.max(0, 1 - (distance - maxDistance) / feather);
+    };
+}
+
+/**
+ * @param {number} r Red, 0-255.
+ * @param {number} g Green, 0-255.
+ * @param {number} b Blue, 0-255.
+ * @returns {Array<number>} [Y, Cb, Cr] with Y 0-255 and Cb, Cr around 0 (-128 to 128).
+ */
+function toYCbCr(r, g, b) {
+    return [
+        0.299 * r + 0.587 * g + 0.114 * b,
+        -0.1687 * r - 0.3313 * g + 0.5 * b,
+        0.5 * r - 0.4187 * g - 0.0813 * b
+    ];
+}
+
+/**
+ * @param {number} value A channel value.
+ * @returns {number} The value rounded and clamped to 0-255.
+ */
+function clampByte(value) {
+    return Math.min(255, Math.max(0, Math.round(value)));
+}
+
+/**
+ * @param {string} hex A color as "#rrggbb".
+ * @returns {Array<number>} [r, g, b], each 0-1.
+ */
+function hexToRgb(hex) {
+    return [1, 3, 5].map(start => parseInt(hex.substring(start, start + 2), 16) / 255);
+}
+
+/**
+ * @param {number} r Red, 0-255.
+ * @param {number} g Green, 0-255.
+ * @param {number} b Blue, 0-255.
+ * @returns {string} The color as "#rrggbb", e.g. for a color input.
+ */
+export function rgbToHex(r, g, b) {
+    return '#' + [r, g, b].map(value => clampByte(value).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * The 3x3 matrix (row-major) that rotates hues while keeping luminance roughly constant,
+ * as used by the SVG feColorMatrix "hueRotate" filter.
+ * @param {number} degrees The rotation.
+ * @returns {Array<number>}
+ */
+function createHueRotationMatrix(degrees) {
+    const angle = degrees * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return [
+        0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+        0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+        0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072
+    ];
+}
+
+/**
+ * Blends the tint color with a pixel.
+ * @param {number} r Red of the pixel, 0-1.
+ * @param {number} g Green of the pixel, 0-1.
+ * @param {number} b Blue of the pixel, 0-1.
+ * @param {Array<number>} tint [r, g, b] of the tint color, each 0-1.
+ * @param {string} blendMode One of TINT_BLEND_MODES.
+ * @returns {Array<number>} The blended [r, g, b], each 0-1.
+ */
+function blendTint(r, g, b, tint, blendMode) {
+    const [tr, tg, tb] = tint;
+    switch (blendMode) {
+        case 'multiply':
+            return [r * tr, g * tg, b * tb];
+        case 'screen':
+            return [1 - (1 - r) * (1 - tr), 1 - (1 - g) * (1 - tg), 1 - (1 - b) * (1 - tb)];
+        case 'overlay':
+            return [overlayChannel(r, tr), overlayChannel(g, tg), overlayChannel(b, tb)];
+        case 'color':
+            // The tint's hue and saturation with the pixel's luminance, so shading is kept
+            return setLuminance(tr, tg, tb, LUMA_R * r + LUMA_G * g + LUMA_B * b);
+        default:
+            return tint;
+    }
+}
+
+function overlayChannel(base, blend) {
+    return base < 0.5 ? 2 * base * blend : 1 - 2 * (1 - base) * (1 - blend);
+}
+
+/**
+ * Gives a color another luminance, clipping it back into range without changing its hue
+ * (SetLum and ClipColor of the W3C compositing spec).
+ * @param {number} r Red, 0-1.
+ * @param {number} g Green, 0-1.
+ * @param {number} b Blue, 0-1.
+ * @param {number} luminance The new luminance, 0-1.
+ * @returns {Array<number>} [r, g, b], each 0-1.
+ */
+function setLuminance(r, g, b, luminance) {
+    const delta = luminance - (LUMA_R * r + LUMA_G * g + LUMA_B * b);
+    let channels = [r + delta, g + delta, b + delta];
+    const min = Math.min(...channels);
+    const max = Math.max(...channels);
+    if (min < 0) {
+        channels = channels.map(value => luminance + (value - luminance) * luminance / (luminance - min));
+    }
+    if (max > 1) {
+        channels = channels.map(value => luminance + (value - luminance) * (1 - luminance) / (max - luminance));
+    }
+    return channels;
+}
+
+/**
+ * Builds a lookup table per color channel from the levels: the "rgb" levels first, then the channel's own.
+ * @param {Object<string, ChannelLevels>} levels Levels keyed by LEVELS_CHANNELS.
+ * @returns {{r: Uint8ClampedArray, g: Uint8ClampedArray, b: Uint8ClampedArray}} Input value -> output value.
+ */
+function createLevelsTables(levels) {
+    const tables = {};
+    ['r', 'g', 'b'].forEach(channel => {
+        const table = new Uint8ClampedArray(256);
+        for (let value = 0; value < 256; value++) {
+            table[value] = applyLevels(applyLevels(value, levels.rgb), levels[channel]);
+        }
+        tables[channel] = table;
+    });
+    return tables;
+}
+
+/**
+ * @param {number} value A channel value, 0-255.
+ * @param {ChannelLevels} levels The levels.
+ * @returns {number} The adjusted value, 0-255.
+ */
+function applyLevels(value, levels) {
+    const range = Math.max(1, levels.white - levels.black);
+    const normalized = Math.min(1, Math.max(0, (value - levels.black) / range));
+    return Math.pow(normalized, 1 / levels.gamma) * 255;
+}
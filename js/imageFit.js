@@ -0,0 +1,276 @@
+// imageFit.js
+// Fits replacement images to the size of the asset they replace. Textures of another size
+// look broken in the game, so a replacement can be cropped and then scaled to the original's
+// dimensions in one of FIT_MODES before it is stored.
+
+import { canvasToBlob } from './utils.js';
+
+/**
+ * How an image is fitted to the target size:
+ * "fill" scales it to cover the target, keeping its aspect ratio, and cuts off what sticks out;
+ * "fit" scales it to fit inside, keeping its aspect ratio, and leaves the rest transparent (black in JPEG);
+ * "stretch" scales it to exactly the target size; "center" keeps its size and centers it;
+ * "none" keeps the image's own size.
+ */
+export const FIT_MODES = ['fill', 'fit', 'stretch', 'center', 'none'];
+
+const MIN_CROP_SIZE = 8; // Pixels; a crop rectangle cannot be dragged smaller
+
+/**
+ * A rectangle in an image, in pixels.
+ * @typedef {Object} CropRect
+ * @property {number} x
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * Where a cropped image goes in the fitted image.
+ * @typedef {Object} FitLayout
+ * @property {number} width Width of the fitted image.
+ * @property {number} height Height of the fitted image.
+ * @property {CropRect} source The part of the image that is drawn.
+ * @property {CropRect} destination Where it is drawn in the fitted image.
+ */
+
+/**
+ * The largest crop of an aspect ratio, centered in an image.
+ * @param {{width: number, height: number}} imageSize The image's size.
+ * @param {number|null} aspectRatio Width divided by height, or null for the whole image.
+ * @returns {CropRect}
+ */
+export function createCenteredCrop(imageSize, aspectRatio) {
+    let width = imageSize.width;
+    let height = imageSize.height;
+    if (aspectRatio) {
+        if (width / height > aspectRatio) {
+            width = height * aspectRatio;
+        } else {
+            height = width / aspectRatio;
+        }
+    }
+    return { x: (imageSize.width - width) / 2, y: (imageSize.height - height) / 2, width, height };
+}
+
+/**
+ * Moves a crop, keeping it inside the image.
+ * @param {CropRect} crop The crop.
+ * @param {number} dx Horizontal distance in image pixels.
+ * @param {number} dy Vertical distance in image pixels.
+ * @param {{width: number, height: number}} imageSize The image's size.
+ * @returns {CropRect}
+ */
+export function moveCrop(crop, dx, dy, imageSize) {
+    return {
+        ...crop,
+        x: clamp(crop.x + dx, 0, imageSize.width - crop.width),
+        y: clamp(crop.y + dy, 0, imageSize.height - crop.height)
+    };
+}
+
+/**
+ * Resizes a crop by dragging its bottom right corner, keeping it inside the image.
+ * @param {CropRect} crop The crop.
+ * @param {number} dx Horizontal distance in image pixels.
+ * @param {number} dy Vertical distance in image pixels.
+ * @param {{width: number, height: number}} imageSize The image's size.
+ * @param {number|null} aspectRatio Width divided by height to keep, or null to resize freely.
+ * @returns {CropRect}
+ */
+export function resizeCrop(crop, dx, dy, imageSize, aspectRatio) {
+    const maxWidth = imageSize.width - crop.x;
+    const maxHeight = imageSize.height - crop.y;
+    if (!aspectRatio) {
+        return {
+            ...crop,
+            width: clamp(crop.width + dx, Math.min(MIN_CROP_SIZE, maxWidth), maxWidth),
+            height: clamp(crop.height + dy, Math.min(MIN_CROP_SIZE, maxHeight), maxHeight)
+        };
+    }
+    // The side dragged further decides the size; the other follows the aspect ratio
+    const largestWidth = Math.min(maxWidth, maxHeight * aspectRatio);
+    const draggedWidth = Math.abs(dx) >= Math.abs(dy * aspectRatio) ? crop.width + dx : (crop.height + dy) * aspectRatio;
+    const width = clamp(draggedWidth, Math.min(MIN_CROP_SIZE, largestWidth), largestWidth);
+    return { ...crop, width, height: width / aspectRatio };
+}
+
+/**
+ * Fits a crop into a crop of another aspect ratio, keeping its center where possible.
+ * @param {CropRect} crop The crop.
+ * @param {{width: number, height: number}} imageSize The image's size.
+ * @param {number} aspectRatio Width divided by height.
+ * @returns {CropRect}
+ */
+export function constrainCropAspect(crop, imageSize, aspectRatio) {
+    const fitted = createCenteredCrop(crop, aspectRatio);
+    return moveCrop({ ...fitted, x: crop.x + fitted.x, y: crop.y + fitted.y }, 0, 0, imageSize);
+}
+
+/**
+ * Computes where a cropped image goes when it is fitted to a size.
+ * @param {CropRect} crop The part of the image to use.
+ * @param {{width: number, height: number}} targetSize The size to fit to.
+ * @param {string} mode One of FIT_MODES.
+ * @returns {FitLayout}
+ */
+export function computeFitLayout(crop, targetSize, mode) {
+    const { width, height } = targetSize;
+    switch (mode) {
+        case 'none': {
+            const croppedWidth = Math.max(1, Math.round(crop.width));
+            const croppedHeight = Math.max(1, Math.round(crop.height));
+            return {
+                width: croppedWidth,
+                height: croppedHeight,
+                source: crop,
+                destination: { x: 0, y: 0, width: croppedWidth, height: croppedHeight }
+            };
+        }
+        case 'stretch':
+            return { width, height, source: crop, destination: { x: 0, y: 0, width, height } };
+        case 'fit': {
+            const scale = Math.min(width / crop.width, height / crop.height);
+            const drawnWidth = Math.max(1, Math.round(crop.width * scale));
+            const drawnHeight = Math.max(1, Math.round(crop.height * scale));
+            return {
+                width,
+                height,
+                source: crop,
+                destination: { x: Math.round((width - drawnWidth) / 2), y: Math.round((height - drawnHeight) / 2), width: drawnWidth, height: drawnHeight }
+            };
+        }
+        case 'fill': {
+            // Only the middle of the crop that has the target's aspect ratio is drawn
+            const scale = Math.max(width / crop.width, height / crop.height);
+            const visibleWidth = width / scale;
+            const visibleHeight = height / scale;
+            return {
+                width,
+                height,
+                source: {
+                    x: crop.x + (crop.width - visibleWidth) / 2,
+                    y: crop.y + (crop.height - visibleHeight) / 2,
+                    width: visibleWidth,
+                    height: visibleHeight
+                },
+                destination: { x: 0, y: 0, width, height }
+            };
+        }
+        case 'center': {
+            const drawnWidth = Math.min(Math.round(crop.width), width);
+            const drawnHeight = Math.min(Math.round(crop.height), height);
+            return {
+                width,
+                height,
+                source: {
+                    x: crop.x + (crop.width - drawnWidth) / 2,
+                    y: crop.y + (crop.height - drawnHeight) / 2,
+                    width: drawnWidth,
+                    height: drawnHeight
+                },
+                destination: { x: Math.round((width - drawnWidth) / 2), y: Math.round((height - drawnHeight) / 2), width: drawnWidth, height: drawnHeight }
+            };
+        }
+        default:
+            throw new Error(`Unknown fit mode: ${mode}`);
+    }
+}
+
+/**
+ * Describes a fit for a revision label, e.g. "cropped, fill 512×512".
+ * @param {string} mode One of FIT_MODES.
+ * @param {boolean} cropped Whether the image was cropped.
+ * @param {{width: number, height: number}} targetSize The size it was fitted to.
+ * @returns {string}
+ */
+export function describeFit(mode, cropped, targetSize) {
+    const parts = cropped ? ['cropped'] : [];
+    if (mode !== 'none') {
+        parts.push(`${mode} ${targetSize.width}×${targetSize.height}`);
+    }
+    return parts.join(', ');
+}
+
+/**
+ * Crops an image and fits it to a size.
+ * @param {Blob} blob The image, in any format the browser can decode.
+ * @param {CropRect} crop The part of the image to use.
+ * @param {{width: number, height: number}} targetSize The size to fit to.
+ * @param {string} mode One of FIT_MODES.
+ * @param {string} mimeType The format to encode to ("image/jpeg" or "image/png").
+ * @param {number} [quality] JPEG quality (0-1).
+ * @returns {Promise<Blob>}
+ */
+export async function fitImage(blob, crop, targetSize, mode, mimeType, quality) {
+    const image = await createImageBitmap(blob);
+    try {
+        const layout = computeFitLayout(crop, targetSize, mode);
+        const canvas = document.createElement('canvas');
+        canvas.width = layout.width;
+        canvas.height = layout.height;
+        const context = canvas.getContext('2d');
+        if (mimeType === 'image/jpeg') {
+            // As in formatConversion's drawImageToCanvas: JPEG has no transparency
+            context.fillStyle = '#000000';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        drawScaled(context, image, layout.source, layout.destination);
+        return await canvasToBlob(canvas, mimeType, quality);
+    } finally {
+        image.close();
+    }
+}
+
+/**
+ * Draws a cropped image fitted to a size, e.g. an overlay onto an image of that size.
+ * @param {CanvasRenderingContext2D} context The context to draw into.
+ * @param {CanvasImageSource} image The image.
+ * @param {CropRect} crop The part of the image to use.
+ * @param {{width: number, height: number}} targetSize The size to fit to, from the top left of the context.
+ * @param {string} mode One of FIT_MODES.
+ */
+export function drawFitted(context, image, crop, targetSize, mode) {
+    const layout = computeFitLayout(crop, targetSize, mode);
+    drawScaled(context, image, layout.source, layout.destination);
+}
+
+/**
+ * Draws part of an image scaled. Canvas scaling samples only a few source pixels per output pixel, so
+ * shrinking by more than half at once drops detail and aliases; larger reductions are done in halving steps.
+ * @param {CanvasRenderingContext2D} context The context to draw into.
+ * @param {CanvasImageSource} image The image.
+ * @param {CropRect} source The part of the image to draw.
+ * @param {CropRect} destination Where to draw it.
+ */
+function drawScaled(context, image, source, destination) {
+    let current = image;
+    let region = source;
+    for (;;) {
+        const width = region.width > destination.width * 2 ? Math.round(region.width / 2) : region.width;
+        const height = region.height > destination.height * 2 ? Math.round(region.height / 2) : region.height;
+        if (width === region.width && height === region.height) break;
+        const step = document.createElement('canvas');
+        step.width = Math.ceil(width);
+        step.height = Math.ceil(height);
+        const stepContext = step.getContext('2d');
+        stepContext.imageSmoothingQuality = 'high';
+        stepContext.drawImage(current, region.x, region.y, region.width, region.height, 0, 0, width, height);
+        current = step;
+        region = { x: 0, y: 0, width, height };
+    }
+    context.imageSmoothingEnabled = true;
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(current, region.x, region.y, region.width, region.height,
+        destination.x, destination.y, destination.width, destination.height);
+}
+
+/**
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
@@ -1,9 +1,45 @@
 // main.js
-import { showLoader, hideLoader, fileToBase64, getImageDimensionsFromBase64 } from './utils.js';
-import { loadZip, saveSession, loadSession, updateAssetData, getAssetType, getAssetBase64Data, getAllAssets, getAssetPath } from './fileLoader.js';
-import { exportModAsZip, exportModAsFolder } from './exportImport.js';
-
-let currentSelectedAssets = new Set(); // Stores asset IDs
+import { showLoader, hideLoader, getImageDimensionsFromBlob, canvasToBlob, formatBytes } from './utils.js';
+import { loadZip } from './fileLoader.js';
+import {
+    exportMod, getExportScopeAssets, summarizeExportScopes, saveSession, loadSession, createSessionData, applySessionData, loadSessionMergePlan, applySessionMerge,
+    importModZip, readReleaseAssets, getAssetExportPath
+} from './exportImport.js';
+import {
+    onAssetStoreChange, clearAssets, getAllAssets, getAsset, getAssetType, getAssetBlob, getAssetObjectURL, getAssetPath,
+    revokeAssetObjectURL, getAssetRevisions, getCurrentAssetRevision, getAssetAdjustmentStack, restoreAssetRevision,
+    updateAssetData, toggleAssetExclusion, setAssetsSelected, getSelectedAssetIds, isAssetModified,
+    getAssetLayers, getAssetLayer, addAssetLayer, removeAssetLayer, moveAssetLayer, setAssetLayerEnabled
+} from './assetStore.js';
+import { initAssetGrid, setGridItems, getGridItems, refreshGridItem, getRenderedCard } from './assetGrid.js';
+import { filterAssets, sortAssets, measureImageAssets } from './assetFilter.js';
+import {
+    recordAssetChange, recordCommand, pushCommand, undo, redo, canUndo, canRedo, goToHistoryStep, getHistoryEntries,
+    onHistoryChange, clearHistory
+} from './history.js';
+import {
+    listProjects, createProject, getProjectInfo, getProjectData, saveProjectSession, renameProject, duplicateProject, deleteProject,
+    listPresets, savePreset, deletePreset
+} from './projectStore.js';
+import { SESSION_FORMAT_NAMES } from './sessionFormat.js';
+import { isFolderExportSupported, pickExportDirectory } from './folderExport.js';
+import { validateAssets, fixValidationIssues, ignoreValidationIssue } from './exportValidation.js';
+import { DEFAULT_JPEG_QUALITY, convertToAssetFormat, getFileMediaGroup, getFormatName, reencodeImage } from './formatConversion.js';
+import {
+    createDefaultImageAdjustments, describeImageAdjustments, adjustPixels, highlightRecolorMatches, rgbToHex
+} from './imageFilters.js';
+import { createCenteredCrop, moveCrop, resizeCrop, constrainCropAspect, describeFit, fitImage } from './imageFit.js';
+import {
+    createOperationsFromAdjustments, describeOperation, describeOperations, normalizeOperation, createPresetFile, readPresetFile,
+    renderAdjustmentStack
+} from './adjustmentStack.js';
+import { createDefaultModMetadata, getModMetadata, setModMetadata, getExportFileName, sanitizeFileNamePart } from './modManifest.js';
+import {
+    DIFF_CATEGORIES, DIFF_CATEGORY_TITLES, compareWithRelease, createDiffPreviews, describeDiffEntrySize,
+    createMarkdownChangelog, createHtmlChangelog
+} from './releaseDiff.js';
+
+const currentSelectedAssets = getSelectedAssetIds(); // Live, read-only view of the store's selected asset IDs
 
 // DOM Elements
 const zipFileInput = document.getElementById('zipFileInput');
@@ -11,14 +47,43 @@ const fileNameDisplay = document.getElementById('fileNameDisplay');
 const loadZipButton = document.getElementById('loadZipButton');
 const assetList = document.getElementById('assetList');
 const exportModButton = document.getElementById('exportModButton');
+const modInfoButton = document.getElementById('modInfoButton');
+const compareReleaseButton = document.getElementById('compareReleaseButton');
+const projectsButton = document.getElementById('projectsButton');
 const saveSessionButton = document.getElementById('saveSessionButton');
+const exportSessionButton = document.getElementById('exportSessionButton');
 const loadSessionButton = document.getElementById('loadSessionButton');
+const mergeSessionButton = document.getElementById('mergeSessionButton');
+const importModButton = document.getElementById('importModButton');
 const clearAllButton = document.getElementById('clearAllButton');
 const selectAllButton = document.getElementById('selectAllButton');
 const deselectAllButton = document.getElementById('deselectAllButton');
 const toggleExclusionButton = document.getElementById('toggleExclusionButton');
+const bulkReplaceButton = document.getElementById('bulkReplaceButton');
+const bulkRecolorButton = document.getElementById('bulkRecolorButton');
+const applyPresetButton = document.getElementById('applyPresetButton');
 const selectedCountSpan = document.getElementById('selectedCount');
 const assetManagementSection = document.getElementById('assetManagement');
+const currentProjectNameSpan = document.getElementById('currentProjectName');
+
+// Search, facet and sort bar
+const searchInput = document.getElementById('searchInput');
+const regexSearchToggle = document.getElementById('regexSearchToggle');
+const clearSearchButton = document.getElementById('clearSearchButton');
+const typeFacetInputs = document.querySelectorAll('input[name="typeFacet"]');
+const statusFacetInputs = document.querySelectorAll('input[name="statusFacet"]');
+const selectedOnlyToggle = document.getElementById('selectedOnlyToggle');
+const sortSelect = document.getElementById('sortSelect');
+const sortDirectionButton = document.getElementById('sortDirectionButton');
+const searchResultCount = document.getElementById('searchResultCount');
+
+// History panel
+const undoButton = document.getElementById('undoButton');
+const redoButton = document.getElementById('redoButton');
+const historyList = document.getElementById('historyList');
+
+// Mod layer panel
+const layerList = document.getElementById('layerList');
 
 // Modals
 const replaceModal = document.getElementById('replaceModal');
@@ -26,7 +91,21 @@ const replaceModalCloseButton = replaceModal.querySelector('.close-button');
 const modalAssetInfo = document.getElementById('modalAssetInfo');
 const replaceFileInput = document.getElementById('replaceFileInput');
 const replaceFileNameDisplay = document.getElementById('replaceFileNameDisplay');
+const replaceFormatNote = document.getElementById('replaceFormatNote');
+const jpegQualityControls = document.getElementById('jpegQualityControls');
+const jpegQualitySlider = document.getElementById('jpegQualitySlider');
+const jpegQualityValueSpan = document.getElementById('jpegQualityValue');
+const imageFitControls = document.getElementById('imageFitControls');
+const imageFitSizes = document.getElementById('imageFitSizes');
+const fitModeSelect = document.getElementById('fitModeSelect');
+const cropToggle = document.getElementById('cropToggle');
+const cropAspectLockToggle = document.getElementById('cropAspectLockToggle');
+const cropStage = document.getElementById('cropStage');
+const cropImage = document.getElementById('cropImage');
+const cropRect = document.getElementById('cropRect');
 const confirmReplaceButton = document.getElementById('confirmReplaceButton');
+const revisionList = document.getElementById('revisionList');
+const revisionCompare = document.getElementById('revisionCompare');
 
 // Image Edit Controls
 const imageEditControls = document.getElementById('imageEditControls');
@@ -36,8 +115,51 @@ const contrastSlider = document.getElementById('contrastSlider');
 const contrastValueSpan = document.getElementById('contrastValue');
 const saturationSlider = document.getElementById('saturationSlider');
 const saturationValueSpan = document.getElementById('saturationValue');
+const hueSlider = document.getElementById('hueSlider');
+const hueValueSpan = document.getElementById('hueValue');
 const colorFillPicker = document.getElementById('colorFillPicker');
-const applyEditsButton = document.getElementById('applyEditsButton');
+const colorFillOpaqueOnlyToggle = document.getElementById('colorFillOpaqueOnlyToggle');
+const tintColorPicker = document.getElementById('tintColorPicker');
+const tintBlendModeSelect = document.getElementById('tintBlendModeSelect');
+const tintStrengthSlider = document.getElementById('tintStrengthSlider');
+const tintStrengthValueSpan = document.getElementById('tintStrengthValue');
+const levelsChannelSelect = document.getElementById('levelsChannelSelect');
+const levelsBlackSlider = document.getElementById('levelsBlackSlider');
+const levelsBlackValueSpan = document.getElementById('levelsBlackValue');
+const levelsGammaSlider = document.getElementById('levelsGammaSlider');
+const levelsGammaValueSpan = document.getElementById('levelsGammaValue');
+const levelsWhiteSlider = document.getElementById('levelsWhiteSlider');
+const levelsWhiteValueSpan = document.getElementById('levelsWhiteValue');
+const resetImageEditsButton = document.getElementById('resetImageEditsButton');
+const recolorToggle = document.getElementById('recolorToggle');
+const recolorMaskToggle = document.getElementById('recolorMaskToggle');
+/** Recolor controls of the replace modal; see readRecolorControls. */
+const replaceRecolorControls = {
+    sourcePicker: document.getElementById('recolorSourcePicker'),
+    pickButton: document.getElementById('recolorPickButton'),
+    toleranceSlider: document.getElementById('recolorToleranceSlider'),
+    toleranceValueSpan: document.getElementById('recolorToleranceValue'),
+    targetPicker: document.getElementById('recolorTargetPicker')
+};
+const addAdjustmentsButton = document.getElementById('addAdjustmentsButton');
+const overlayFileInput = document.getElementById('overlayFileInput');
+const overlayFileNameDisplay = document.getElementById('overlayFileNameDisplay');
+const overlayOpacitySlider = document.getElementById('overlayOpacitySlider');
+const overlayOpacityValueSpan = document.getElementById('overlayOpacityValue');
+const overlayModeSelect = document.getElementById('overlayModeSelect');
+const addOverlayButton = document.getElementById('addOverlayButton');
+const resizeWidthInput = document.getElementById('resizeWidthInput');
+const resizeHeightInput = document.getElementById('resizeHeightInput');
+const resizeModeSelect = document.getElementById('resizeModeSelect');
+const addResizeButton = document.getElementById('addResizeButton');
+const adjustmentStackList = document.getElementById('adjustmentStackList');
+const clearStackButton = document.getElementById('clearStackButton');
+const presetSelect = document.getElementById('presetSelect');
+const addPresetButton = document.getElementById('addPresetButton');
+const exportPresetButton = document.getElementById('exportPresetButton');
+const deletePresetButton = document.getElementById('deletePresetButton');
+const savePresetButton = document.getElementById('savePresetButton');
+const importPresetInput = document.getElementById('importPresetInput');
 
 // Audio Edit Controls
 const audioEditControls = document.getElementById('audioEditControls');
@@ -45,14 +167,146 @@ const audioEditControls = document.getElementById('audioEditControls');
 const exportOptionsModal = document.getElementById('exportOptionsModal');
 const exportOptionsCloseButton = exportOptionsModal.querySelector('.close-button');
 const startExportButton = document.getElementById('startExportButton');
+const exportSummary = document.getElementById('exportSummary');
+const exportScopeInputs = document.querySelectorAll('input[name="exportScope"]');
+const exportScopeSummarySpans = document.querySelectorAll('.export-scope-summary');
+const exportFormatInputs = document.querySelectorAll('input[name="exportFormat"]');
+const incrementalExportControls = document.getElementById('incrementalExportControls');
+const incrementalExportToggle = document.getElementById('incrementalExportToggle');
+const exportTargetInputs = document.querySelectorAll('input[name="exportTarget"]');
+const clientExtrasControls = document.getElementById('clientExtrasControls');
+const clientCssInput = document.getElementById('clientCssInput');
+const clientSkinSwapperInput = document.getElementById('clientSkinSwapperInput');
+const clientUserscriptInput = document.getElementById('clientUserscriptInput');
+
+const validationModal = document.getElementById('validationModal');
+const validationCloseButton = validationModal.querySelector('.close-button');
+const validationSummary = document.getElementById('validationSummary');
+const validationIssueList = document.getElementById('validationIssueList');
+const fixAllIssuesButton = document.getElementById('fixAllIssuesButton');
+const ignoreAllWarningsButton = document.getElementById('ignoreAllWarningsButton');
+const continueExportButton = document.getElementById('continueExportButton');
+
+const mergeConflictModal = document.getElementById('mergeConflictModal');
+const mergeConflictCloseButton = mergeConflictModal.querySelector('.close-button');
+const mergeSummary = document.getElementById('mergeSummary');
+const mergeConflictList = document.getElementById('mergeConflictList');
+const applyMergeButton = document.getElementById('applyMergeButton');
+
+const modInfoModal = document.getElementById('modInfoModal');
+const modInfoCloseButton = modInfoModal.querySelector('.close-button');
+const modNameInput = document.getElementById('modNameInput');
+const modAuthorInput = document.getElementById('modAuthorInput');
+const modVersionInput = document.getElementById('modVersionInput');
+const modGameBuildInput = document.getElementById('modGameBuildInput');
+const modDescriptionInput = document.getElementById('modDescriptionInput');
+const modPreviewSelect = document.getElementById('modPreviewSelect');
+const modPreviewImage = document.getElementById('modPreviewImage');
+const saveModInfoButton = document.getElementById('saveModInfoButton');
+
+const bulkReplaceModal = document.getElementById('bulkReplaceModal');
+const bulkReplaceCloseButton = bulkReplaceModal.querySelector('.close-button');
+const bulkReplaceSummary = document.getElementById('bulkReplaceSummary');
+const bulkReplaceFileInput = document.getElementById('bulkReplaceFileInput');
+const bulkReplaceFileNameDisplay = document.getElementById('bulkReplaceFileNameDisplay');
+const bulkJpegQualitySlider = document.getElementById('bulkJpegQualitySlider');
+const bulkJpegQualityValueSpan = document.getElementById('bulkJpegQualityValue');
+const confirmBulkReplaceButton = document.getElementById('confirmBulkReplaceButton');
+
+const bulkRecolorModal = document.getElementById('bulkRecolorModal');
+const bulkRecolorCloseButton = bulkRecolorModal.querySelector('.close-button');
+const bulkRecolorSummary = document.getElementById('bulkRecolorSummary');
+const bulkRecolorSampleSelect = document.getElementById('bulkRecolorSampleSelect');
+const bulkRecolorSampleImage = document.getElementById('bulkRecolorSampleImage');
+const bulkRecolorMaskToggle = document.getElementById('bulkRecolorMaskToggle');
+const bulkRecolorJpegQualityControls = document.getElementById('bulkRecolorJpegQualityControls');
+const bulkRecolorJpegQualitySlider = document.getElementById('bulkRecolorJpegQualitySlider');
+const bulkRecolorJpegQualityValueSpan = document.getElementById('bulkRecolorJpegQualityValue');
+const confirmBulkRecolorButton = document.getElementById('confirmBulkRecolorButton');
+/** Recolor controls of the bulk recolor modal; see readRecolorControls. */
+const bulkRecolorControls = {
+    sourcePicker: document.getElementById('bulkRecolorSourcePicker'),
+    pickButton: document.getElementById('bulkRecolorPickButton'),
+    toleranceSlider: document.getElementById('bulkRecolorToleranceSlider'),
+    toleranceValueSpan: document.getElementById('bulkRecolorToleranceValue'),
+    targetPicker: document.getElementById('bulkRecolorTargetPicker')
+};
+
+const presetApplyModal = document.getElementById('presetApplyModal');
+const presetApplyCloseButton = presetApplyModal.querySelector('.close-button');
+const presetApplySummary = document.getElementById('presetApplySummary');
+const presetApplySelect = document.getElementById('presetApplySelect');
+const presetApplyOperations = document.getElementById('presetApplyOperations');
+const presetApplyJpegQualityControls = document.getElementById('presetApplyJpegQualityControls');
+const presetApplyJpegQualitySlider = document.getElementById('presetApplyJpegQualitySlider');
+const presetApplyJpegQualityValueSpan = document.getElementById('presetApplyJpegQualityValue');
+const confirmPresetApplyButton = document.getElementById('confirmPresetApplyButton');
+
+const releaseDiffModal = document.getElementById('releaseDiffModal');
+const releaseDiffCloseButton = releaseDiffModal.querySelector('.close-button');
+const releaseFileInput = document.getElementById('releaseFileInput');
+const releaseFileNameDisplay = document.getElementById('releaseFileNameDisplay');
+const releaseDiffTargetInputs = document.querySelectorAll('input[name="releaseDiffTarget"]');
+const releaseDiffSummary = document.getElementById('releaseDiffSummary');
+const releaseDiffReport = document.getElementById('releaseDiffReport');
+const downloadMarkdownChangelogButton = document.getElementById('downloadMarkdownChangelogButton');
+const downloadHtmlChangelogButton = document.getElementById('downloadHtmlChangelogButton');
+
+const projectPickerModal = document.getElementById('projectPickerModal');
+const projectPickerCloseButton = projectPickerModal.querySelector('.close-button');
+const projectList = document.getElementById('projectList');
+const newProjectButton = document.getElementById('newProjectButton');
 
 // Image processing canvas
 const imageProcessingCanvas = document.getElementById('imageProcessingCanvas');
 const ctx = imageProcessingCanvas.getContext('2d');
 
 let currentEditingAssetId = null; // Stores the ID of the asset currently being edited in the modal
-let originalBase64Image = null; // Stores the original base64 data for image edits
-let currentBase64Image = null; // Stores the current base64 data after applying edits (not yet committed to fileLoader)
+let originalImageBlob = null; // Stores the asset's image data the edits start from: the base of its adjustment stack
+let previewSourceBlob = null; // originalImageBlob scaled down for the live preview of the edits
+let imageLevels = createDefaultImageAdjustments().levels; // Levels of every channel; the sliders show the selected one
+let editStack = []; // Operations of the adjustment stack edited in the replace modal, applied to originalImageBlob
+let isEditStackChanged = false; // Whether editStack differs from the stack the asset's current data was rendered from
+let presets = []; // Saved adjustment presets, by name
+let replaceFit = null; // {file, imageSize, targetSize, imageUrl} of the replacement image being sized in the replace modal
+let replaceCrop = null; // CropRect of the replacement image, or null to use all of it
+let cropDrag = null; // {resize, startX, startY, startCrop} while the crop rectangle is dragged
+let bulkRecolorSampleSource = null; // Scaled-down image of the asset previewed in the bulk recolor modal
+let bulkRecolorPreviewUrl = null; // Object URL of the bulk recolor preview
+const updateImageEditPreview = createPreviewUpdater(renderImageEditPreview);
+const updateBulkRecolorPreview = createPreviewUpdater(renderBulkRecolorPreview);
+let samplePixelsCache = null; // {blob, imageData} of the image the eyedropper last picked from
+let modalPreviewUrl = null; // Object URL shown in the replace modal's preview, revoked when replaced or closed
+let revisionPreviewUrls = []; // Object URLs of the revision thumbnails/players, revoked on re-render or close
+let pendingMergePlan = null; // The session merge shown in the conflict view
+let pendingExportRequest = null; // The export waiting for its validation report to be resolved
+let modPreviewUrl = null; // Object URL of the preview image in the mod info editor
+let releaseComparison = null; // {diff, skipped} shown in the release comparison
+let validationIssues = []; // Open issues in the validation report
+let isAssetListRenderScheduled = false; // Store events in one frame share one render of the asset list
+const assetIdsToMeasure = new Set(); // Edited images to measure for the dimensions sort at the next scheduled render
+
+const AUTOSAVE_INTERVAL_MS = 30000;
+const IMAGE_PREVIEW_SIZE = 512; // Longest side of the image the live edit preview is rendered from
+let currentProject = null; // ProjectInfo of the open project, or null if the work is not being saved
+let hasUnsavedChanges = false; // Set by asset changes, cleared by a successful save
+let lastSavedAt = null;
+let projectSavePromise = null; // The save in progress, so saves never overlap
+
+// A single shared player for audio card previews, so scrolling never creates audio elements
+const audioPreview = new Audio();
+let playingAudioAssetId = null;
+audioPreview.addEventListener('ended', stopAudioPreview);
+
+initAssetGrid(assetList, {
+    renderCard: (assetCard, assetId) => fillAssetCard(assetCard, getAsset(assetId)),
+    onCardRemoved: (assetId) => {
+        if (playingAudioAssetId === assetId) {
+            stopAudioPreview();
+        }
+        revokeAssetObjectURL(assetId); // The card's preview URL is no longer displayed anywhere
+    }
+});
 
 // --- Event Listeners ---
 
@@ -72,20 +326,32 @@ loadZipButton.addEventListener('click', async () => {
         return;
     }
 
-    if (file.type !== 'application/zip') {
+    // Windows reports ZIPs as application/x-zip-compressed, and some browsers leave the type empty
+    const isZip = /\.zip$/i.test(file.name) || ['application/zip', 'application/x-zip-compressed'].includes(file.type);
+    if (!isZip) {
         alert('Please upload a valid ZIP file.');
         return;
     }
 
+    const projectName = prompt('Name for the new project:', file.name.replace(/\.zip$/i, ''));
+    if (projectName === null) return;
+
     showLoader('Loading Venge.io files...');
     try {
-        await loadZip(file);
-        renderAssetList();
-        assetManagementSection.classList.remove('hidden');
-        alert('Files loaded successfully!');
+        await flushProjectSave(); // Keep the previous project's latest changes
+        setCurrentProject(null);
+        const assets = await loadZip(file); // Fires the store's "loaded" event, which renders the list
+        try {
+            setCurrentProject(await createProject(projectName.trim() || file.name, file, file.name));
+        } catch (error) {
+            console.error('Error creating project:', error);
+            setCurrentProject(null);
+            alert('Your work cannot be saved in this browser. Use "Export Session JSON" to keep your changes.');
+        }
+        alert(`Files loaded successfully! ${assets.length} assets found.`);
     } catch (error) {
         console.error('Error loading ZIP:', error);
-        alert('Failed to load ZIP file. Please ensure it\'s a valid Venge.io client ZIP.');
+        alert('Failed to load ZIP file. Please ensure it\'s a valid Venge.io client ZIP.\n' + error.message);
     } finally {
         hideLoader();
     }
@@ -98,7 +364,9 @@ assetList.addEventListener('click', (event) => {
     const assetId = assetCard.dataset.id;
 
     // Handle clicks on specific buttons/elements within the card
-    if (event.target.classList.contains('select-button')) {
+    if (event.target.classList.contains('play-button')) {
+        toggleAudioPreview(assetId);
+    } else if (event.target.classList.contains('select-button')) {
         toggleAssetSelection(assetId);
     } else if (event.target.classList.contains('replace-button')) {
         openReplaceModal(assetId);
@@ -116,6 +384,30 @@ replaceModalCloseButton.addEventListener('click', () => {
     closeReplaceModal();
 });
 
+revisionList.addEventListener('click', async (event) => {
+    const item = event.target.closest('li[data-revision-id]');
+    if (!item || !currentEditingAssetId) return;
+    const assetId = currentEditingAssetId;
+    const revision = getAssetRevisions(assetId).find(r => r.id === item.dataset.revisionId);
+    if (!revision) return;
+
+    if (event.target.classList.contains('compare-revision-button')) {
+        renderRevisionCompare(assetId, revision);
+    } else if (event.target.classList.contains('restore-revision-button')) {
+        await recordAssetChange(`Restore "${revision.label}" of ${getAsset(assetId).fileName}`, [assetId], () => {
+            restoreAssetRevision(assetId, revision.id);
+        });
+        // Further edits in the modal now start from the restored data and the adjustment stack it was rendered from
+        const modalPreviewElement = modalAssetInfo.querySelector('.asset-preview img, .asset-preview audio');
+        if (getAssetType(assetId) === 'image') {
+            await startImageEdit(assetId); // Also updates the preview
+        } else if (modalPreviewElement) {
+            setModalPreviewBlob(modalPreviewElement, getAssetBlob(assetId));
+        }
+        renderRevisionList(assetId);
+    }
+});
+
 // Close modal when clicking outside
 window.addEventListener('click', (event) => {
     if (event.target === replaceModal) {
@@ -124,79 +416,293 @@ window.addEventListener('click', (event) => {
     if (event.target === exportOptionsModal) {
         closeExportOptionsModal();
     }
+    if (event.target === validationModal) {
+        closeValidationModal();
+    }
+    if (event.target === mergeConflictModal) {
+        closeMergeConflictModal();
+    }
+    if (event.target === bulkReplaceModal) {
+        closeBulkReplaceModal();
+    }
+    if (event.target === modInfoModal) {
+        closeModInfoModal();
+    }
+    if (event.target === releaseDiffModal) {
+        closeReleaseDiffModal();
+    }
+    if (event.target === bulkRecolorModal) {
+        closeBulkRecolorModal();
+    }
+    if (event.target === presetApplyModal) {
+        closePresetApplyModal();
+    }
+    if (event.target === projectPickerModal) {
+        closeProjectPickerModal();
+    }
 });
 
 replaceFileInput.addEventListener('change', (event) => {
     const file = event.target.files[0];
     if (file) {
         replaceFileNameDisplay.textContent = file.name;
-        // If a file is uploaded, disable color fill and brightness/contrast/saturation
-        brightnessSlider.disabled = true;
-        contrastSlider.disabled = true;
-        saturationSlider.disabled = true;
-        colorFillPicker.disabled = true;
     } else {
         replaceFileNameDisplay.textContent = 'No file chosen';
-        // Re-enable image edit controls if no file is chosen
-        brightnessSlider.disabled = false;
-        contrastSlider.disabled = false;
-        saturationSlider.disabled = false;
-        colorFillPicker.disabled = false;
     }
+    // The adjustments edit the asset's current image, so they are off while a replacement file is chosen
+    setImageEditControlsDisabled(Boolean(file));
+    setReplaceFitFile(file);
+    updateImageEditPreview();
 });
 
-brightnessSlider.addEventListener('input', () => {
-    brightnessValueSpan.textContent = `${brightnessSlider.value}%`;
+fitModeSelect.addEventListener('change', updateImageEditPreview);
+
+cropToggle.addEventListener('change', () => {
+    replaceCrop = cropToggle.checked ? createCenteredCrop(replaceFit.imageSize, getCropAspectRatio()) : null;
+    cropStage.classList.toggle('hidden', !replaceCrop);
+    renderCropRect();
+    updateImageEditPreview();
 });
-contrastSlider.addEventListener('input', () => {
-    contrastValueSpan.textContent = `${contrastSlider.value}%`;
+
+cropAspectLockToggle.addEventListener('change', () => {
+    if (replaceCrop && cropAspectLockToggle.checked) {
+        replaceCrop = constrainCropAspect(replaceCrop, replaceFit.imageSize, getCropAspectRatio());
+        renderCropRect();
+        updateImageEditPreview();
+    }
 });
-saturationSlider.addEventListener('input', () => {
-    saturationValueSpan.textContent = `${saturationSlider.value}%`;
+
+// Dragging the rectangle moves the crop; dragging its corner handle resizes it
+cropRect.addEventListener('pointerdown', (event) => {
+    if (!replaceCrop) return;
+    event.preventDefault();
+    cropRect.setPointerCapture(event.pointerId);
+    cropDrag = {
+        resize: event.target.classList.contains('crop-handle'),
+        startX: event.clientX,
+        startY: event.clientY,
+        startCrop: replaceCrop
+    };
 });
 
+cropRect.addEventListener('pointermove', (event) => {
+    if (!cropDrag) return;
+    const { imageSize } = replaceFit;
+    const scale = imageSize.width / cropImage.getBoundingClientRect().width; // Image pixels per screen pixel
+    const dx = (event.clientX - cropDrag.startX) * scale;
+    const dy = (event.clientY - cropDrag.startY) * scale;
+    replaceCrop = cropDrag.resize
+        ? resizeCrop(cropDrag.startCrop, dx, dy, imageSize, getCropAspectRatio())
+        : moveCrop(cropDrag.startCrop, dx, dy, imageSize);
+    renderCropRect();
+    updateImageEditPreview();
+});
 
-applyEditsButton.addEventListener('click', async () => {
-    if (!currentEditingAssetId) return;
+['pointerup', 'pointercancel'].forEach(type => cropRect.addEventListener(type, () => {
+    cropDrag = null;
+}));
 
-    showLoader('Applying image edits...');
-    try {
-        const file = replaceFileInput.files[0];
-        let base64ToProcess = originalBase64Image;
+jpegQualitySlider.addEventListener('input', () => {
+    jpegQualityValueSpan.textContent = `${jpegQualitySlider.value}%`;
+});
 
-        if (file) {
-            // If a new file is provided, use it for processing
-            base64ToProcess = await fileToBase64(file);
-        } else if (colorFillPicker.value && getAssetType(currentEditingAssetId) === 'image') {
-            // If color fill is selected and no new file, generate a colored image
-            const dimensions = await getImageDimensionsFromBase64(originalBase64Image);
-            base64ToProcess = createColorFillImage(colorFillPicker.value, dimensions.width, dimensions.height);
-        }
+bulkRecolorJpegQualitySlider.addEventListener('input', () => {
+    bulkRecolorJpegQualityValueSpan.textContent = `${bulkRecolorJpegQualitySlider.value}%`;
+});
 
-        // Apply filters only if it's an image and no new file was chosen (or if file is also an image)
-        if (getAssetType(currentEditingAssetId) === 'image' && base64ToProcess) {
-            const brightness = parseFloat(brightnessSlider.value) / 100; // 0 to 2
-            const contrast = parseFloat(contrastSlider.value) / 100;     // 0 to 2
-            const saturation = parseFloat(saturationSlider.value) / 100; // 0 to 2
+// Every adjustment control updates its label and the live preview
+[
+    brightnessSlider, contrastSlider, saturationSlider, hueSlider, colorFillPicker, colorFillOpaqueOnlyToggle, tintColorPicker, tintBlendModeSelect, tintStrengthSlider,
+    recolorToggle, recolorMaskToggle, replaceRecolorControls.sourcePicker, replaceRecolorControls.toleranceSlider, replaceRecolorControls.targetPicker
+].forEach(control => control.addEventListener('input', () => {
+    updateImageEditLabels();
+    updateImageEditPreview();
+}));
+
+replaceRecolorControls.pickButton.addEventListener('click', () => {
+    setColorPicking(replaceRecolorControls, replaceModal.querySelector('.asset-preview img'),
+        !replaceRecolorControls.pickButton.classList.contains('active'));
+});
+
+// The replace modal's preview is re-created for each asset, so clicks are handled on its container
+modalAssetInfo.addEventListener('click', async (event) => {
+    if (!event.target.matches('.asset-preview img.picking-color') || !previewSourceBlob) return;
+    try {
+        // The recolor is applied after the stack, so the color is picked from the image as the stack leaves it
+        const sourceBlob = editStack.length > 0 ? await renderAdjustmentStack(previewSourceBlob, editStack) : previewSourceBlob;
+        replaceRecolorControls.sourcePicker.value = await pickImageColor(event, sourceBlob);
+        recolorToggle.checked = true;
+    } catch (error) {
+        console.error('Error picking a color:', error);
+    }
+    setColorPicking(replaceRecolorControls, event.target, false);
+    updateImageEditPreview();
+});
 
-            currentBase64Image = await applyImageFilters(base64ToProcess, brightness, contrast, saturation);
+[levelsBlackSlider, levelsGammaSlider, levelsWhiteSlider].forEach(slider => slider.addEventListener('input', () => {
+    // Keep at least one step between the black and white points
+    if (Number(levelsBlackSlider.value) >= Number(levelsWhiteSlider.value)) {
+        if (slider === levelsBlackSlider) {
+            levelsBlackSlider.value = Number(levelsWhiteSlider.value) - 1;
         } else {
-            currentBase64Image = base64ToProcess; // No filters if audio or new file directly replaces
+            levelsWhiteSlider.value = Number(levelsBlackSlider.value) + 1;
         }
+    }
+    imageLevels[levelsChannelSelect.value] = {
+        black: Number(levelsBlackSlider.value),
+        white: Number(levelsWhiteSlider.value),
+        gamma: Number(levelsGammaSlider.value) / 100
+    };
+    updateImageEditLabels();
+    updateImageEditPreview();
+}));
+
+levelsChannelSelect.addEventListener('change', () => {
+    showChannelLevels();
+});
 
-        // Update the preview in the modal
-        const previewImg = replaceModal.querySelector('.asset-preview img');
-        if (previewImg && currentBase64Image) {
-            previewImg.src = currentBase64Image;
-        }
+resetImageEditsButton.addEventListener('click', () => {
+    resetImageEditControls();
+    updateImageEditPreview();
+});
+
+addAdjustmentsButton.addEventListener('click', () => {
+    const operations = readPendingOperations();
+    if (operations.length === 0) {
+        alert('The adjustments do not change the image.');
+        return;
+    }
+    resetImageEditControls();
+    setEditStack([...editStack, ...operations]);
+});
+
+overlayFileInput.addEventListener('change', () => {
+    const file = overlayFileInput.files[0];
+    overlayFileNameDisplay.textContent = file ? file.name : 'No file chosen';
+});
+
+overlayOpacitySlider.addEventListener('input', () => {
+    overlayOpacityValueSpan.textContent = `${overlayOpacitySlider.value}%`;
+});
+
+addOverlayButton.addEventListener('click', () => {
+    const file = overlayFileInput.files[0];
+    if (!file) {
+        alert('Please choose the image to overlay.');
+        return;
+    }
+    setEditStack([...editStack, {
+        type: 'overlay',
+        enabled: true,
+        image: file,
+        opacity: overlayOpacitySlider.value / 100,
+        mode: overlayModeSelect.value
+    }]);
+    overlayFileInput.value = '';
+    overlayFileNameDisplay.textContent = 'No file chosen';
+});
+
+addResizeButton.addEventListener('click', () => {
+    const width = Number(resizeWidthInput.value);
+    const height = Number(resizeHeightInput.value);
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+        alert('Please enter the new size in whole pixels.');
+        return;
+    }
+    setEditStack([...editStack, normalizeOperation({ type: 'resize', width, height, mode: resizeModeSelect.value })]);
+});
+
+adjustmentStackList.addEventListener('change', (event) => {
+    const item = event.target.closest('li[data-index]');
+    if (!item || !event.target.classList.contains('layer-toggle')) return;
+    const index = Number(item.dataset.index);
+    const operations = editStack.slice();
+    operations[index] = { ...operations[index], enabled: event.target.checked };
+    setEditStack(operations);
+});
+
+adjustmentStackList.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action]');
+    const item = button && button.closest('li[data-index]');
+    if (!item) return;
+    const index = Number(item.dataset.index);
+    const operations = editStack.slice();
+    if (button.dataset.action === 'remove') {
+        operations.splice(index, 1);
+    } else {
+        const newIndex = index + (button.dataset.action === 'raise' ? -1 : 1);
+        [operations[index], operations[newIndex]] = [operations[newIndex], operations[index]];
+    }
+    setEditStack(operations);
+});
+
+clearStackButton.addEventListener('click', () => {
+    setEditStack([]);
+});
+
+addPresetButton.addEventListener('click', () => {
+    const preset = getChosenPreset(presetSelect);
+    if (preset) {
+        setEditStack([...editStack, ...preset.operations]);
+    }
+});
+
+savePresetButton.addEventListener('click', async () => {
+    const operations = [...editStack, ...readPendingOperations()];
+    if (operations.length === 0) {
+        alert('The adjustment stack is empty. Add some adjustments first.');
+        return;
+    }
+    const name = (prompt('Name for the preset:', '') || '').trim();
+    if (!name) return;
+    const existing = presets.find(preset => preset.name === name);
+    if (existing && !confirm(`Replace the preset "${name}"?`)) return;
+    try {
+        const preset = await savePreset({ id: existing ? existing.id : undefined, name, operations });
+        await refreshPresets(preset.id);
+    } catch (error) {
+        console.error('Error saving preset:', error);
+        alert('Failed to save the preset: ' + error.message);
+    }
+});
+
+exportPresetButton.addEventListener('click', async () => {
+    const preset = getChosenPreset(presetSelect);
+    if (!preset) return;
+    try {
+        const presetFile = await createPresetFile(preset);
+        saveAs(new Blob([JSON.stringify(presetFile, null, 2)], { type: 'application/json' }),
+            `${sanitizeFileNamePart(preset.name) || 'Preset'}.preset.json`);
+    } catch (error) {
+        console.error('Error exporting preset:', error);
+        alert('Failed to export the preset: ' + error.message);
+    }
+});
 
-        alert('Edits applied to preview. Click "Confirm Replacement" to finalize.');
+deletePresetButton.addEventListener('click', async () => {
+    const preset = getChosenPreset(presetSelect);
+    if (!preset || !confirm(`Delete the preset "${preset.name}"?`)) return;
+    try {
+        await deletePreset(preset.id);
+        await refreshPresets();
+    } catch (error) {
+        console.error('Error deleting preset:', error);
+        alert('Failed to delete the preset: ' + error.message);
+    }
+});
 
+importPresetInput.addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    try {
+        const preset = await savePreset(await readPresetFile(file));
+        await refreshPresets(preset.id);
+        alert(`Imported the preset "${preset.name}".`);
     } catch (error) {
-        console.error('Error applying edits:', error);
-        alert('Failed to apply edits: ' + error.message);
+        console.error('Error importing preset:', error);
+        alert('Failed to import the preset: ' + error.message);
     } finally {
-        hideLoader();
+        importPresetInput.value = ''; // Allow importing the same file again
     }
 });
 
@@ -207,44 +713,73 @@ confirmReplaceButton.addEventListener('click', async () => {
     showLoader('Confirming replacement...');
     try {
         const file = replaceFileInput.files[0];
-        let newBase64Data = null;
+        let newBlob = null;
         let newAssetType = null;
+        let historyLabel = null;
+        let revisionLabel = null;
+        let adjustments = null;
+
+        let fitDescription = '';
 
         if (file) {
-            // If a file was uploaded, use it directly (or its processed version if image filters applied)
-            newBase64Data = currentBase64Image || await fileToBase64(file);
-            newAssetType = file.type.startsWith('image/') ? 'image' : 'audio'; // Determine type from uploaded file
-        } else if (getAssetType(currentEditingAssetId) === 'image' && (brightnessSlider.value !== '100' || contrastSlider.value !== '100' || saturationSlider.value !== '100' || colorFillPicker.value !== '#ffffff')) {
-            // If no new file, but image edits were made, use the currentBase64Image
-            newBase64Data = currentBase64Image;
+            // If a file was uploaded, use it directly, or cropped and sized to the original
+            newBlob = file;
+            newAssetType = await getFileMediaGroup(file); // Determine type from uploaded file
+            if (!newAssetType) {
+                throw new Error(`${file.name} is not an image or audio file of a known type.`);
+            }
+            historyLabel = `Replace ${getAsset(currentEditingAssetId).fileName} with ${file.name}`;
+            if (needsImageFit()) {
+                showLoader('Resizing image...');
+                fitDescription = describeFit(fitModeSelect.value, Boolean(replaceCrop), replaceFit.targetSize);
+                newBlob = await fitReplacementImage(getAsset(currentEditingAssetId).mimeType, jpegQualitySlider.value / 100);
+            }
+        } else if (getAssetType(currentEditingAssetId) === 'image' && (hasImageEdits() || isEditStackChanged)) {
+            // If no new file, but image edits were made, render the stack with them at full size
+            showLoader('Applying image edits...');
+            const operations = [...editStack, ...readPendingOperations()];
+            if (operations.length > 0) {
+                // Rendered from the stack's base straight to the asset's format, so the conversion below keeps it as it is
+                newBlob = await renderAdjustmentStack(originalImageBlob, operations, {
+                    mimeType: getAsset(currentEditingAssetId).mimeType,
+                    quality: jpegQualitySlider.value / 100
+                });
+                adjustments = { baseBlob: originalImageBlob, operations };
+                revisionLabel = describeOperations(operations);
+            } else {
+                // The stack was cleared, which leaves the data it started from
+                newBlob = originalImageBlob;
+                revisionLabel = 'Adjustments removed';
+            }
             newAssetType = 'image';
+            historyLabel = `Edit ${getAsset(currentEditingAssetId).fileName}`;
         } else {
             alert('No changes detected for replacement.');
             hideLoader();
             return;
         }
 
-        // Ensure we have base64 data to proceed
-        if (!newBase64Data) {
+        // Ensure we have data to proceed
+        if (!newBlob) {
             throw new Error('No valid data to replace asset with.');
         }
 
-        // Update asset data in fileLoader.js
-        updateAssetData(currentEditingAssetId, newBase64Data, newAssetType);
-
-        // Update the asset card in the UI
-        const assetCard = document.querySelector(`.asset-card[data-id="${currentEditingAssetId}"]`);
-        if (assetCard) {
-            const previewElement = assetCard.querySelector('.asset-preview');
-            if (newAssetType === 'image') {
-                previewElement.innerHTML = `<img src="${newBase64Data}" alt="Asset Preview">`;
-            } else if (newAssetType === 'audio') {
-                previewElement.innerHTML = `<audio controls src="${newBase64Data}"></audio>`;
-            }
-            assetCard.classList.add('replaced'); // Mark as replaced
-            assetCard.querySelector('.asset-status').textContent = 'Status: Replaced';
+        const assetId = currentEditingAssetId;
+        if (newAssetType !== getAssetType(assetId)) {
+            throw new Error(`A ${newAssetType} file cannot replace a ${getAssetType(assetId)} asset.`);
+        }
+        // Files in another format are converted to the asset's format
+        showLoader(`Converting to ${getFormatName(getAsset(assetId).mimeType)}...`);
+        const conversion = await convertToAssetFormat(newBlob, getAsset(assetId), { jpegQuality: jpegQualitySlider.value / 100 });
+        if (file) {
+            revisionLabel = describeReplacement(file.name, conversion, fitDescription);
         }
 
+        // The store's "edited" event refreshes the asset card
+        await recordAssetChange(historyLabel, [assetId], () => {
+            updateAssetData(assetId, conversion.blob, newAssetType, false, revisionLabel, adjustments);
+        });
+
         alert('Asset replaced successfully!');
         closeReplaceModal();
     } catch (error) {
@@ -260,241 +795,1196 @@ exportModButton.addEventListener('click', () => {
     openExportOptionsModal();
 });
 
+modInfoButton.addEventListener('click', () => {
+    openModInfoModal();
+});
+
+modInfoCloseButton.addEventListener('click', () => {
+    closeModInfoModal();
+});
+
+compareReleaseButton.addEventListener('click', () => {
+    openReleaseDiffModal();
+});
+
+releaseDiffCloseButton.addEventListener('click', () => {
+    closeReleaseDiffModal();
+});
+
+releaseFileInput.addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    releaseFileNameDisplay.textContent = file.name;
+    showLoader('Reading previous release...');
+    try {
+        const { assets, skipped } = await readReleaseAssets(file);
+        const diff = await compareWithRelease(getAllAssets(), { assets, skipped }, file.name);
+        await createDiffPreviews(diff);
+        if (skipped.length > 0) {
+            console.warn(`Files of ${file.name} that could not be read:`, skipped);
+        }
+        releaseComparison = { diff, skipped };
+        renderReleaseDiff();
+    } catch (error) {
+        console.error('Error comparing with the previous release:', error);
+        alert('Failed to compare with the previous release: ' + error.message);
+    } finally {
+        hideLoader();
+        releaseFileInput.value = ''; // Choosing the same file again compares again
+    }
+});
+
+releaseDiffTargetInputs.forEach(input => {
+    input.addEventListener('change', renderReleaseDiff);
+});
+
+downloadMarkdownChangelogButton.addEventListener('click', () => {
+    if (!releaseComparison) return;
+    const exportMode = getReleaseDiffTarget();
+    const metadata = getModMetadata();
+    const markdown = createMarkdownChangelog(releaseComparison.diff, metadata, exportMode);
+    saveAs(new Blob([markdown], { type: 'text/markdown' }), getExportFileName(metadata, exportMode, '_Changelog', 'md'));
+});
+
+downloadHtmlChangelogButton.addEventListener('click', () => {
+    if (!releaseComparison) return;
+    const exportMode = getReleaseDiffTarget();
+    const metadata = getModMetadata();
+    const html = createHtmlChangelog(releaseComparison.diff, metadata, exportMode);
+    saveAs(new Blob([html], { type: 'text/html' }), getExportFileName(metadata, exportMode, '_Changelog', 'html'));
+});
+
+modPreviewSelect.addEventListener('change', () => {
+    showModPreview(modPreviewSelect.value);
+});
+
+saveModInfoButton.addEventListener('click', () => {
+    setModMetadata({
+        name: modNameInput.value,
+        author: modAuthorInput.value,
+        version: modVersionInput.value,
+        gameBuild: modGameBuildInput.value,
+        description: modDescriptionInput.value,
+        previewAssetId: modPreviewSelect.value || null
+    });
+    markProjectChanged();
+    closeModInfoModal();
+});
+
 exportOptionsCloseButton.addEventListener('click', () => {
     closeExportOptionsModal();
 });
 
 startExportButton.addEventListener('click', async () => {
     closeExportOptionsModal();
-    showLoader('Exporting mod...');
 
     const exportFormat = document.querySelector('input[name="exportFormat"]:checked').value;
     const exportTarget = document.querySelector('input[name="exportTarget"]:checked').value;
+    const exportScope = document.querySelector('input[name="exportScope"]:checked').value;
+
+    // The folder picker needs the click's user activation, so it comes before anything else is awaited
+    let directoryHandle = null;
+    if (exportFormat === 'folder' && isFolderExportSupported()) {
+        try {
+            directoryHandle = await pickExportDirectory();
+        } catch (error) {
+            console.error('Error choosing export folder:', error);
+            alert('Could not open the export folder: ' + error.message);
+            return;
+        }
+        if (!directoryHandle) return; // Cancelled
+    }
+
+    const exportRequest = {
+        exportFormat,
+        exportTarget,
+        options: {
+            scope: exportScope,
+            selectedIds: currentSelectedAssets,
+            clientExtraFiles: {
+                css: Array.from(clientCssInput.files),
+                skinSwapper: Array.from(clientSkinSwapperInput.files),
+                userscript: Array.from(clientUserscriptInput.files)
+            },
+            directoryHandle,
+            incremental: incrementalExportToggle.checked,
+            metadata: getModMetadata()
+        }
+    };
+
+    // Check the replaced assets first; the export only runs once no errors are left
+    const assetsToCheck = getExportScopeAssets(getAllAssets(), exportScope, currentSelectedAssets);
+    let issues;
+    showLoader('Checking assets...');
+    try {
+        issues = await validateAssets(assetsToCheck, (checked, total) => {
+            showLoader(`Checking assets (${checked}/${total})...`);
+        });
+    } catch (error) {
+        console.error('Error checking assets:', error);
+        alert('Failed to check the assets before export: ' + error.message);
+        return;
+    } finally {
+        hideLoader();
+    }
+
+    if (issues.length === 0) {
+        await runExport(exportRequest);
+    } else {
+        openValidationModal(exportRequest, issues);
+    }
+});
+
+validationCloseButton.addEventListener('click', closeValidationModal);
+
+validationIssueList.addEventListener('click', async (event) => {
+    const item = event.target.closest('li[data-issue-id]');
+    if (!item || event.target.tagName !== 'BUTTON') return;
+    const issue = validationIssues.find(candidate => candidate.id === item.dataset.issueId);
+    if (!issue) return;
+
+    if (event.target.classList.contains('fix-issue-button')) {
+        await fixIssues([issue]);
+    } else if (event.target.classList.contains('ignore-issue-button')) {
+        ignoreValidationIssue(issue, getAsset(issue.assetId));
+        validationIssues = validationIssues.filter(candidate => candidate !== issue);
+        renderValidationIssues();
+    }
+});
+
+fixAllIssuesButton.addEventListener('click', () => fixIssues(validationIssues.filter(issue => issue.canFix)));
+
+ignoreAllWarningsButton.addEventListener('click', () => {
+    validationIssues.filter(issue => issue.severity === 'warning').forEach(issue => {
+        ignoreValidationIssue(issue, getAsset(issue.assetId));
+    });
+    validationIssues = validationIssues.filter(issue => issue.severity === 'error');
+    renderValidationIssues();
+});
+
+continueExportButton.addEventListener('click', async () => {
+    const exportRequest = pendingExportRequest;
+    closeValidationModal();
+    await runExport(exportRequest);
+});
+
+exportScopeInputs.forEach(input => input.addEventListener('change', updateExportSummary));
+
+// Incremental writes need a real folder to compare against
+exportFormatInputs.forEach(input => {
+    input.addEventListener('change', () => {
+        incrementalExportControls.classList.toggle('hidden', input.value !== 'folder' || !isFolderExportSupported());
+    });
+});
+
+// The extra client folders only exist in client exports
+exportTargetInputs.forEach(input => {
+    input.addEventListener('change', () => {
+        clientExtrasControls.classList.toggle('hidden', input.value !== 'client'); // Only the checked radio fires "change"
+    });
+});
+
+projectsButton.addEventListener('click', openProjectPickerModal);
+
+projectPickerCloseButton.addEventListener('click', closeProjectPickerModal);
+
+newProjectButton.addEventListener('click', () => {
+    closeProjectPickerModal();
+    zipFileInput.click(); // "Load Files" then creates the project
+});
+
+projectList.addEventListener('click', async (event) => {
+    const item = event.target.closest('li[data-project-id]');
+    if (!item || event.target.tagName !== 'BUTTON') return;
+    const projectId = item.dataset.projectId;
 
     try {
-        if (exportFormat === 'zip') {
-            await exportModAsZip(exportTarget);
-        } else if (exportFormat === 'folder') {
-            await exportModAsFolder(exportTarget);
+        if (event.target.classList.contains('open-project-button')) {
+            closeProjectPickerModal();
+            await openProject(projectId);
+        } else if (event.target.classList.contains('rename-project-button')) {
+            const project = await getProjectInfo(projectId);
+            const name = prompt('New project name:', project.name);
+            if (name && name.trim()) {
+                await renameProject(projectId, name.trim());
+                if (currentProject && currentProject.id === projectId) {
+                    currentProject.name = name.trim();
+                    updateProjectStatus();
+                }
+            }
+        } else if (event.target.classList.contains('duplicate-project-button')) {
+            const project = await getProjectInfo(projectId);
+            const name = prompt('Name for the copy:', `${project.name} (copy)`);
+            if (name && name.trim()) {
+                if (currentProject && currentProject.id === projectId) {
+                    await flushProjectSave(); // Copy the latest changes too
+                }
+                await duplicateProject(projectId, name.trim());
+            }
+        } else if (event.target.classList.contains('delete-project-button')) {
+            const project = await getProjectInfo(projectId);
+            if (confirm(`Delete the project "${project.name}"? This cannot be undone.`)) {
+                await deleteProject(projectId);
+                if (currentProject && currentProject.id === projectId) {
+                    setCurrentProject(null); // The loaded assets stay, but are no longer saved
+                }
+            }
         }
-        alert('Mod exported successfully!');
     } catch (error) {
-        console.error('Error exporting mod:', error);
-        alert('Failed to export mod: ' + error.message);
+        console.error('Project action failed:', error);
+        alert('The project action failed: ' + error.message);
+    }
+    if (projectPickerModal.classList.contains('active')) {
+        renderProjectList();
+    }
+});
+
+saveSessionButton.addEventListener('click', async () => {
+    if (!currentProject) {
+        alert('This work is not part of a saved project. Use "Export Session JSON" to keep your changes.');
+        return;
+    }
+    try {
+        await saveCurrentProject();
+        alert('Project saved successfully!');
+    } catch (error) {
+        console.error('Error saving project:', error);
+        alert('Failed to save project.');
+    }
+});
+
+exportSessionButton.addEventListener('click', async () => {
+    showLoader('Exporting session...');
+    try {
+        await saveSession(getAllAssets());
+    } catch (error) {
+        console.error('Error exporting session:', error);
+        alert('Failed to export session.');
     } finally {
         hideLoader();
     }
 });
 
-saveSessionButton.addEventListener('click', () => {
-    if (confirm('This will save the current state of your loaded files and modifications to your browser. You can load it later.')) {
+loadSessionButton.addEventListener('click', () => {
+    if (confirm('This will load a previously saved session, overwriting any current unsaved work. Continue?')) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        input.onchange = async (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+            showLoader('Loading session...');
+            try {
+                // Store events update the affected cards; the whole load is one undo step
+                let result;
+                await recordAssetChange(`Load session ${file.name}`, null, async () => {
+                    result = await loadSession(file);
+                });
+                alert(describeSessionResult(result));
+            } catch (error) {
+                console.error('Error loading session:', error);
+                alert('Failed to load session. The file is not a supported session file or its data is corrupted.\n' + error.message);
+            } finally {
+                hideLoader();
+            }
+        };
+        input.click();
+    }
+});
+
+mergeSessionButton.addEventListener('click', () => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.onchange = async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        let plan;
         try {
-            saveSession();
-            alert('Session saved successfully!');
+            plan = await loadSessionMergePlan(file);
         } catch (error) {
-            console.error('Error saving session:', error);
-            alert('Failed to save session.');
+            console.error('Error reading session to merge:', error);
+            alert('Failed to merge session. The file is not a supported session file or its data is corrupted.\n' + error.message);
+            return;
         }
-    }
+        if (plan.conflicts.length > 0) {
+            openMergeConflictModal(plan); // Nothing is merged until the conflicts are resolved
+        } else {
+            await applyMerge(plan, new Map());
+        }
+    };
+    input.click();
 });
 
-loadSessionButton.addEventListener('click', async () => {
-    if (confirm('This will load a previously saved session, overwriting any current unsaved work. Continue?')) {
-        showLoader('Loading session...');
+importModButton.addEventListener('click', () => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.zip';
+    input.onchange = async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        showLoader('Importing mod...');
         try {
-            await loadSession();
-            renderAssetList();
-            assetManagementSection.classList.remove('hidden');
-            alert('Session loaded successfully!');
+            // The mod becomes the top layer; undoing the import removes it again
+            const result = await importModZip(file);
+            if (result.layer) {
+                const { layer } = result;
+                const index = getAssetLayers().indexOf(layer);
+                pushCommand(`Import mod ${file.name}`, () => removeAssetLayer(layer.id), () => addAssetLayer(layer, index));
+            }
+            alert(describeModImportResult(file.name, result));
         } catch (error) {
-            console.error('Error loading session:', error);
-            alert('Failed to load session. No saved session found or data is corrupted.');
+            console.error('Error importing mod:', error);
+            alert('Failed to import mod. Make sure it is a mod ZIP with files/assets/<folder>/1/<file> entries.\n' + error.message);
         } finally {
             hideLoader();
         }
-    }
+    };
+    input.click();
+});
+
+mergeConflictCloseButton.addEventListener('click', closeMergeConflictModal);
+
+mergeConflictModal.querySelectorAll('.merge-all-button').forEach(button => {
+    button.addEventListener('click', () => {
+        mergeConflictList.querySelectorAll(`input[type="radio"][value="${button.dataset.choice}"]`).forEach(input => {
+            input.checked = true;
+        });
+    });
+});
+
+applyMergeButton.addEventListener('click', async () => {
+    const plan = pendingMergePlan;
+    const resolutions = new Map();
+    mergeConflictList.querySelectorAll('input[type="radio"]:checked').forEach(input => {
+        resolutions.set(input.closest('li').dataset.id, input.value);
+    });
+    closeMergeConflictModal();
+    await applyMerge(plan, resolutions);
 });
 
 clearAllButton.addEventListener('click', () => {
     if (confirm('Are you sure you want to clear all loaded assets and modifications? This cannot be undone.')) {
-        // Implement logic to clear all assets from fileLoader
-        // For now, let's just clear the UI and state
-        currentSelectedAssets.clear();
-        assetList.innerHTML = '';
-        selectedCountSpan.textContent = '0 selected';
-        assetManagementSection.classList.add('hidden');
-        // A full clear would involve resetting the internal state of fileLoader as well
+        clearAssets(); // The "loaded" event empties the list and hides the management section
+        setCurrentProject(null); // The project stays saved and can be reopened from "Projects"
         alert('All assets cleared.');
     }
 });
 
 selectAllButton.addEventListener('click', () => {
-    const assetCards = assetList.querySelectorAll('.asset-card');
-    assetCards.forEach(card => {
-        const id = card.dataset.id;
-        if (!currentSelectedAssets.has(id)) {
-            currentSelectedAssets.add(id);
-            card.classList.add('selected');
-        }
-    });
-    updateSelectedCount();
+    // Only the assets matching the current search and filters
+    setAssetsSelected(getGridItems(), true);
 });
 
 deselectAllButton.addEventListener('click', () => {
-    const assetCards = assetList.querySelectorAll('.asset-card');
-    assetCards.forEach(card => {
-        const id = card.dataset.id;
-        if (currentSelectedAssets.has(id)) {
-            currentSelectedAssets.delete(id);
-            card.classList.remove('selected');
-        }
-    });
-    updateSelectedCount();
+    setAssetsSelected(Array.from(currentSelectedAssets), false);
 });
 
-toggleExclusionButton.addEventListener('click', () => {
+toggleExclusionButton.addEventListener('click', async () => {
     if (currentSelectedAssets.size === 0) {
         alert('Please select assets to toggle their exclusion status.');
         return;
     }
 
-    const firstAssetId = currentSelectedAssets.values().next().value;
-    const isCurrentlyExcluded = document.querySelector(`.asset-card[data-id="${firstAssetId}"]`).classList.contains('excluded');
-
-    currentSelectedAssets.forEach(id => {
-        const assetCard = document.querySelector(`.asset-card[data-id="${id}"]`);
-        if (assetCard) {
-            if (isCurrentlyExcluded) {
-                assetCard.classList.remove('excluded');
-                assetCard.querySelector('.asset-status').textContent = 'Status: Active';
-            } else {
-                assetCard.classList.add('excluded');
-                assetCard.querySelector('.asset-status').textContent = 'Status: Excluded';
-            }
-        }
+    const selectedIds = Array.from(currentSelectedAssets);
+    let isNowExcluded = false;
+    await recordAssetChange(`Toggle exclusion of ${selectedIds.length} asset(s)`, selectedIds, () => {
+        isNowExcluded = toggleAssetExclusion(selectedIds);
     });
-    alert(`Selected assets are now ${isCurrentlyExcluded ? 'included' : 'excluded'} from export.`);
+    alert(`Selected assets are now ${isNowExcluded ? 'excluded' : 'included'} from export.`);
 });
 
-// --- Functions ---
+bulkReplaceButton.addEventListener('click', () => {
+    if (currentSelectedAssets.size === 0) {
+        alert('Please select the assets to replace.');
+        return;
+    }
+    openBulkReplaceModal();
+});
 
-function renderAssetList() {
-    assetList.innerHTML = '';
-    const allAssets = getAllAssets();
-    allAssets.forEach(asset => {
-        const assetCard = document.createElement('div');
-        assetCard.classList.add('asset-card');
-        assetCard.dataset.id = asset.id;
-
-        const assetType = getAssetType(asset.id);
-        const base64Data = getAssetBase64Data(asset.id);
-
-        let previewHTML = '';
-        if (assetType === 'image' && base64Data) {
-            previewHTML = `<img src="${base64Data}" alt="Asset Preview">`;
-        } else if (assetType === 'audio' && base64Data) {
-            previewHTML = `<audio controls src="${base64Data}"></audio>`;
-        } else {
-            previewHTML = `<div class="no-preview">No preview available</div>`;
-        }
+bulkReplaceCloseButton.addEventListener('click', () => {
+    closeBulkReplaceModal();
+});
 
-        const isReplaced = asset.isReplaced ? 'replaced' : '';
-        const isExcluded = asset.isExcluded ? 'excluded' : '';
-        const statusText = asset.isReplaced ? 'Replaced' : (asset.isExcluded ? 'Excluded' : 'Active');
+bulkReplaceFileInput.addEventListener('change', () => {
+    const file = bulkReplaceFileInput.files[0];
+    bulkReplaceFileNameDisplay.textContent = file ? file.name : 'No file chosen';
+});
 
-        assetCard.innerHTML = `
-            <div class="asset-preview ${isReplaced}">
-                ${previewHTML}
-            </div>
-            <div class="asset-info">
-                <h3>${asset.name}</h3>
-                <p>Path: ${asset.path}</p>
-                <p>Type: ${assetType}</p>
-                <p class="asset-status">Status: ${statusText}</p>
-            </div>
-            <div class="asset-actions">
-                <button class="select-button">Select</button>
-                <button class="replace-button">Replace</button>
-                <button class="reset-button">Reset</button>
-            </div>
-        `;
-        assetList.appendChild(assetCard);
+bulkJpegQualitySlider.addEventListener('input', () => {
+    bulkJpegQualityValueSpan.textContent = `${bulkJpegQualitySlider.value}%`;
+});
+
+confirmBulkReplaceButton.addEventListener('click', async () => {
+    const file = bulkReplaceFileInput.files[0];
+    if (!file) {
+        alert('Please choose a replacement file.');
+        return;
+    }
+    const mediaGroup = await getFileMediaGroup(file);
+    if (!mediaGroup) {
+        alert(`${file.name} is not an image or audio file of a known type.`);
+        return;
+    }
+    const selectedIds = Array.from(currentSelectedAssets);
+    const targetIds = selectedIds.filter(id => getAssetType(id) === mediaGroup);
+    if (targetIds.length === 0) {
+        alert(`None of the selected assets is ${mediaGroup === 'image' ? 'an image' : 'audio'}.`);
+        return;
+    }
 
-        if (currentSelectedAssets.has(asset.id)) {
-            assetCard.classList.add('selected');
+    showLoader('Replacing selected assets...');
+    try {
+        // The file is converted once per target format, e.g. once to JPG and once to PNG
+        const jpegQuality = bulkJpegQualitySlider.value / 100;
+        const conversions = new Map();
+        for (const id of targetIds) {
+            const asset = getAsset(id);
+            if (!conversions.has(asset.mimeType)) {
+                showLoader(`Converting ${file.name} to ${getFormatName(asset.mimeType)}...`);
+                conversions.set(asset.mimeType, await convertToAssetFormat(file, asset, { jpegQuality }));
+            }
         }
-    });
-    updateSelectedCount();
-}
 
-function toggleAssetSelection(assetId) {
-    const assetCard = document.querySelector(`.asset-card[data-id="${assetId}"]`);
-    if (currentSelectedAssets.has(assetId)) {
-        currentSelectedAssets.delete(assetId);
-        assetCard.classList.remove('selected');
-    } else {
-        currentSelectedAssets.add(assetId);
-        assetCard.classList.add('selected');
+        await recordAssetChange(`Replace ${targetIds.length} asset(s) with ${file.name}`, targetIds, () => {
+            targetIds.forEach(id => {
+                const conversion = conversions.get(getAsset(id).mimeType);
+                updateAssetData(id, conversion.blob, mediaGroup, false, describeReplacement(file.name, conversion));
+            });
+        });
+
+        const skippedCount = selectedIds.length - targetIds.length;
+        alert(`Replaced ${targetIds.length} asset(s) with ${file.name}.` +
+            (skippedCount > 0 ? ` ${skippedCount} selected asset(s) of another media type were skipped.` : ''));
+        closeBulkReplaceModal();
+    } catch (error) {
+        console.error('Error replacing selected assets:', error);
+        alert('Failed to replace the selected assets: ' + error.message);
+    } finally {
+        hideLoader();
+    }
+});
+
+bulkRecolorButton.addEventListener('click', () => {
+    if (!Array.from(currentSelectedAssets).some(id => getAssetType(id) === 'image')) {
+        alert('Please select the images to recolor.');
+        return;
+    }
+    openBulkRecolorModal();
+});
+
+bulkRecolorCloseButton.addEventListener('click', () => {
+    closeBulkRecolorModal();
+});
+
+bulkRecolorSampleSelect.addEventListener('change', () => {
+    showBulkRecolorSample(bulkRecolorSampleSelect.value);
+});
+
+[bulkRecolorControls.sourcePicker, bulkRecolorControls.toleranceSlider, bulkRecolorControls.targetPicker, bulkRecolorMaskToggle]
+    .forEach(control => control.addEventListener('input', () => {
+        updateRecolorToleranceLabel(bulkRecolorControls);
+        updateBulkRecolorPreview();
+    }));
+
+bulkRecolorControls.pickButton.addEventListener('click', () => {
+    setColorPicking(bulkRecolorControls, bulkRecolorSampleImage, !bulkRecolorControls.pickButton.classList.contains('active'));
+});
+
+bulkRecolorSampleImage.addEventListener('click', async (event) => {
+    if (!bulkRecolorSampleImage.classList.contains('picking-color') || !bulkRecolorSampleSource) return;
+    try {
+        bulkRecolorControls.sourcePicker.value = await pickImageColor(event, bulkRecolorSampleSource);
+    } catch (error) {
+        console.error('Error picking a color:', error);
+    }
+    setColorPicking(bulkRecolorControls, bulkRecolorSampleImage, false);
+    updateBulkRecolorPreview();
+});
+
+confirmBulkRecolorButton.addEventListener('click', async () => {
+    const selectedIds = Array.from(currentSelectedAssets);
+    const imageIds = selectedIds.filter(id => getAssetType(id) === 'image');
+    const adjustments = { ...createDefaultImageAdjustments(), ...readRecolorControls(bulkRecolorControls) };
+    const label = describeImageAdjustments(adjustments).join(', ');
+
+    showLoader('Recoloring selected images...');
+    try {
+        // Images are recolored first and then changed in one history step; images without matching pixels stay as they are
+        const recolored = new Map();
+        let processedCount = 0;
+        for (const id of imageIds) {
+            processedCount++;
+            showLoader(`Recoloring (${processedCount}/${imageIds.length}): ${getAsset(id).fileName}`);
+            const blob = await recolorImage(getAssetBlob(id), adjustments, getAsset(id).mimeType, bulkRecolorJpegQualitySlider.value / 100);
+            if (blob) {
+                recolored.set(id, blob);
+            }
+        }
+        if (recolored.size === 0) {
+            alert('None of the selected images has pixels close to the chosen color. Try a higher tolerance.');
+            return;
+        }
+
+        const recoloredIds = Array.from(recolored.keys());
+        await recordAssetChange(`Recolor ${recoloredIds.length} image(s)`, recoloredIds, () => {
+            recoloredIds.forEach(id => updateAssetData(id, recolored.get(id), 'image', false, label));
+        });
+
+        const unchangedCount = imageIds.length - recoloredIds.length;
+        const skippedCount = selectedIds.length - imageIds.length;
+        alert(`Recolored ${recoloredIds.length} image(s).` +
+            (unchangedCount > 0 ? ` ${unchangedCount} image(s) had no matching pixels.` : '') +
+            (skippedCount > 0 ? ` ${skippedCount} selected audio asset(s) were skipped.` : ''));
+        closeBulkRecolorModal();
+    } catch (error) {
+        console.error('Error recoloring selected images:', error);
+        alert('Failed to recolor the selected images: ' + error.message);
+    } finally {
+        hideLoader();
+    }
+});
+
+applyPresetButton.addEventListener('click', async () => {
+    if (!Array.from(currentSelectedAssets).some(id => getAssetType(id) === 'image')) {
+        alert('Please select the images to apply a preset to.');
+        return;
+    }
+    await refreshPresets();
+    if (presets.length === 0) {
+        alert('There are no saved presets. Save an adjustment stack as a preset, or import one, in the replace dialog of an image.');
+        return;
+    }
+    openPresetApplyModal();
+});
+
+presetApplyCloseButton.addEventListener('click', () => {
+    closePresetApplyModal();
+});
+
+presetApplySelect.addEventListener('change', () => {
+    showPresetApplyOperations();
+});
+
+presetApplyJpegQualitySlider.addEventListener('input', () => {
+    presetApplyJpegQualityValueSpan.textContent = `${presetApplyJpegQualitySlider.value}%`;
+});
+
+confirmPresetApplyButton.addEventListener('click', async () => {
+    const preset = getChosenPreset(presetApplySelect);
+    if (!preset) return;
+    const selectedIds = Array.from(currentSelectedAssets);
+    const imageIds = selectedIds.filter(id => getAssetType(id) === 'image');
+
+    showLoader('Applying preset...');
+    try {
+        // Images are rendered first and then changed in one history step
+        const rendered = new Map();
+        let processedCount = 0;
+        for (const id of imageIds) {
+            processedCount++;
+            showLoader(`Applying preset (${processedCount}/${imageIds.length}): ${getAsset(id).fileName}`);
+            const stack = extendAdjustmentStack(id, preset.operations);
+            const blob = await renderAdjustmentStack(stack.baseBlob, stack.operations, {
+                mimeType: getAsset(id).mimeType,
+                quality: presetApplyJpegQualitySlider.value / 100
+            });
+            rendered.set(id, { blob, stack });
+        }
+
+        await recordAssetChange(`Apply preset ${preset.name} to ${imageIds.length} image(s)`, imageIds, () => {
+            rendered.forEach(({ blob, stack }, id) => updateAssetData(id, blob, 'image', false, `Preset ${preset.name}`, stack));
+        });
+
+        const skippedCount = selectedIds.length - imageIds.length;
+        alert(`Applied the preset "${preset.name}" to ${imageIds.length} image(s).` +
+            (skippedCount > 0 ? ` ${skippedCount} selected audio asset(s) were skipped.` : ''));
+        closePresetApplyModal();
+    } catch (error) {
+        console.error('Error applying preset:', error);
+        alert('Failed to apply the preset: ' + error.message);
+    } finally {
+        hideLoader();
+    }
+});
+
+[searchInput, regexSearchToggle, selectedOnlyToggle, ...typeFacetInputs, ...statusFacetInputs].forEach(input => {
+    input.addEventListener(input.type === 'text' ? 'input' : 'change', renderAssetList);
+});
+
+clearSearchButton.addEventListener('click', () => {
+    searchInput.value = '';
+    renderAssetList();
+});
+
+sortSelect.addEventListener('change', async () => {
+    if (sortSelect.value === 'dimensions') {
+        // Dimensions are only known once each image has been measured
+        showLoader('Measuring images...');
+        try {
+            await measureImageAssets(getAllAssets(), (measured, total) => {
+                showLoader(`Measuring images (${measured}/${total})...`);
+            });
+        } finally {
+            hideLoader();
+        }
+    }
+    renderAssetList();
+});
+
+sortDirectionButton.addEventListener('click', () => {
+    const isDescending = sortDirectionButton.dataset.descending !== 'true';
+    sortDirectionButton.dataset.descending = String(isDescending);
+    sortDirectionButton.textContent = isDescending ? 'Descending' : 'Ascending';
+    renderAssetList();
+});
+
+undoButton.addEventListener('click', undo);
+redoButton.addEventListener('click', redo);
+
+layerList.addEventListener('change', (event) => {
+    const item = event.target.closest('li[data-layer-id]');
+    if (!item || !event.target.classList.contains('layer-toggle')) return;
+    const layer = getAssetLayer(item.dataset.layerId);
+    const enabled = event.target.checked;
+    recordCommand(`${enabled ? 'Enable' : 'Disable'} layer ${layer.name}`,
+        () => setAssetLayerEnabled(layer.id, enabled),
+        () => setAssetLayerEnabled(layer.id, !enabled));
+});
+
+layerList.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action]');
+    const item = button && button.closest('li[data-layer-id]');
+    if (!item) return;
+    const layer = getAssetLayer(item.dataset.layerId);
+    const index = getAssetLayers().indexOf(layer);
+
+    if (button.dataset.action === 'raise' || button.dataset.action === 'lower') {
+        const newIndex = index + (button.dataset.action === 'raise' ? 1 : -1);
+        if (newIndex < 0 || newIndex >= getAssetLayers().length) return;
+        recordCommand(`Move layer ${layer.name} ${button.dataset.action === 'raise' ? 'up' : 'down'}`,
+            () => moveAssetLayer(layer.id, newIndex),
+            () => moveAssetLayer(layer.id, index));
+    } else if (button.dataset.action === 'remove') {
+        if (!confirm(`Remove the layer "${layer.name}"? Its files stop overriding the assets below it.`)) return;
+        recordCommand(`Remove layer ${layer.name}`,
+            () => removeAssetLayer(layer.id),
+            () => addAssetLayer(layer, index));
+    }
+});
+
+historyList.addEventListener('click', (event) => {
+    const entry = event.target.closest('li[data-step]');
+    if (entry) {
+        goToHistoryStep(Number(entry.dataset.step));
+    }
+});
+
+// Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y). Text fields keep their own native undo.
+document.addEventListener('keydown', (event) => {
+    if (!(event.ctrlKey || event.metaKey)) return;
+    const target = event.target;
+    if (target.tagName === 'TEXTAREA' || (target.tagName === 'INPUT' && target.type === 'text') || target.isContentEditable) return;
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
+    }
+});
+
+// Global right-click prevention
+document.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+});
+
+onHistoryChange(renderHistoryPanel);
+
+// Autosave: periodically, and when the tab is hidden (which also covers closing it)
+setInterval(() => {
+    if (hasUnsavedChanges) {
+        saveCurrentProject().catch(error => console.error('Autosave failed:', error));
+    }
+}, AUTOSAVE_INTERVAL_MS);
+
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden' && hasUnsavedChanges) {
+        saveCurrentProject().catch(error => console.error('Autosave failed:', error));
+    }
+});
+
+// Offer to continue where the user left off
+listProjects().then(projects => {
+    if (projects.length > 0) {
+        openProjectPickerModal();
+    }
+}).catch(error => console.warn('Saved projects are not available:', error));
+
+// --- Asset store subscriptions ---
+
+onAssetStoreChange('loaded', ({ assets }) => {
+    stopAudioPreview();
+    clearHistory(); // Steps refer to the previous asset set
+    setModMetadata(createDefaultModMetadata()); // A project's session brings its own metadata
+    renderAssetList();
+    assetManagementSection.classList.toggle('hidden', assets.length === 0);
+    updateExportSummary();
+});
+
+onAssetStoreChange('edited', ({ ids }) => {
+    ids.forEach(refreshAssetCard);
+    markProjectChanged();
+    ids.forEach(id => assetIdsToMeasure.add(id));
+    scheduleAssetListRender(); // Status and size may have changed what matches the filters
+    updateExportSummary();
+});
+
+onAssetStoreChange('reset', ({ ids }) => {
+    ids.forEach(refreshAssetCard);
+    markProjectChanged();
+    scheduleAssetListRender();
+    updateExportSummary();
+});
+
+onAssetStoreChange('layers', () => {
+    renderLayerPanel();
+    markProjectChanged();
+    updateExportSummary();
+});
+
+onAssetStoreChange('excluded', ({ ids }) => {
+    ids.forEach(refreshAssetCard);
+    markProjectChanged();
+    scheduleAssetListRender();
+    updateExportSummary();
+});
+
+onAssetStoreChange('selected', ({ ids }) => {
+    ids.forEach(id => {
+        const assetCard = getRenderedCard(id);
+        if (assetCard) {
+            assetCard.classList.toggle('selected', currentSelectedAssets.has(id));
+        }
+    });
+    updateSelectedCount();
+    if (selectedOnlyToggle.checked) {
+        scheduleAssetListRender();
+    }
+});
+
+// --- Functions ---
+
+/**
+ * Shows the assets matching the search bar in the grid, in the chosen sort order.
+ * Cards are only created for the visible window; the grid reads selection state while rendering.
+ */
+function renderAssetList() {
+    const allAssets = getAllAssets();
+    let matchingAssets;
+    try {
+        matchingAssets = filterAssets(allAssets, {
+            query: searchInput.value.trim(),
+            isRegex: regexSearchToggle.checked,
+            types: Array.from(typeFacetInputs).filter(input => input.checked).map(input => input.value),
+            statuses: Array.from(statusFacetInputs).filter(input => input.checked).map(input => input.value),
+            selectedIds: selectedOnlyToggle.checked ? currentSelectedAssets : undefined
+        });
+        searchInput.classList.remove('invalid');
+        searchInput.title = '';
+    } catch (error) {
+        // Invalid regular expression: keep showing everything until it is fixed
+        matchingAssets = allAssets;
+        searchInput.classList.add('invalid');
+        searchInput.title = error.message;
     }
+
+    const sortedAssets = sortAssets(matchingAssets, sortSelect.value, sortDirectionButton.dataset.descending === 'true');
+    const visibleIds = sortedAssets.map(asset => asset.id);
+    if (playingAudioAssetId && !new Set(visibleIds).has(playingAudioAssetId)) {
+        stopAudioPreview();
+    }
+    setGridItems(visibleIds);
+    searchResultCount.textContent = `${sortedAssets.length} of ${allAssets.length} assets`;
     updateSelectedCount();
 }
 
+/**
+ * Renders the asset list at the next frame. Bulk changes fire one store event per asset, and each
+ * render filters and sorts every asset, so the events of one frame share a single render.
+ * With the dimensions sort, edited images are measured first and the list is sorted again once they are.
+ */
+function scheduleAssetListRender() {
+    if (isAssetListRenderScheduled) return;
+    isAssetListRenderScheduled = true;
+    requestAnimationFrame(() => {
+        isAssetListRenderScheduled = false;
+        renderAssetList();
+        if (sortSelect.value === 'dimensions' && assetIdsToMeasure.size > 0) {
+            const assets = Array.from(assetIdsToMeasure, getAsset).filter(Boolean);
+            assetIdsToMeasure.clear();
+            measureImageAssets(assets).then(scheduleAssetListRender);
+        } else {
+            assetIdsToMeasure.clear();
+        }
+    });
+}
+
+/**
+ * Rebuilds the contents of an asset card from the asset's current state.
+ * @param {HTMLElement} assetCard - The card element.
+ * @param {import('./fileLoader.js').ModAsset} asset - The asset to display.
+ */
+function fillAssetCard(assetCard, asset) {
+    const assetType = getAssetType(asset.id);
+    const previewUrl = getAssetObjectURL(asset.id);
+
+    let previewHTML = '';
+    if (assetType === 'image' && previewUrl) {
+        // Cards only exist while visible, so decoding can happen off the main thread as they appear
+        previewHTML = `<img src="${previewUrl}" alt="Asset Preview" loading="lazy" decoding="async">`;
+    } else if (assetType === 'audio' && previewUrl) {
+        const isPlaying = playingAudioAssetId === asset.id;
+        previewHTML = `<button class="play-button">${isPlaying ? '&#9632; Stop' : '&#9654; Play'}</button>`;
+    } else {
+        previewHTML = `<div class="no-preview">No preview available</div>`;
+    }
+
+    const statusText = asset.isExcluded ? 'Excluded' : (isAssetModified(asset) ? 'Replaced' : 'Active');
+    const sourceLayer = asset.sourceLayerId ? getAssetLayer(asset.sourceLayerId) : null;
+    const sourceText = asset.isEdited ? 'Local edit' : (sourceLayer ? `Layer "${sourceLayer.name}"` : 'Original');
+
+    assetCard.classList.toggle('replaced', isAssetModified(asset));
+    assetCard.classList.toggle('excluded', asset.isExcluded);
+    assetCard.classList.toggle('selected', currentSelectedAssets.has(asset.id));
+    assetCard.innerHTML = `
+        <div class="asset-preview">
+            ${previewHTML}
+        </div>
+        <div class="asset-info">
+            <h3></h3>
+            <p class="asset-path"></p>
+            <p>Type: ${assetType}</p>
+            <p class="asset-status">Status: ${statusText}</p>
+            <p class="asset-source"></p>
+        </div>
+        <div class="asset-actions">
+            <button class="select-button">Select</button>
+            <button class="replace-button">Replace</button>
+            <button class="reset-button">Reset</button>
+        </div>
+    `;
+    // File and layer names come from uploaded files, so they are never parsed as HTML
+    assetCard.querySelector('.asset-info h3').textContent = asset.fileName;
+    assetCard.querySelector('.asset-path').textContent = `Path: ${getAssetPath(asset.id)}`;
+    assetCard.querySelector('.asset-source').textContent = `Source: ${sourceText}`;
+}
+
+/**
+ * Re-renders the card of a single asset, if it is in the list.
+ * @param {string} assetId - The asset ID.
+ */
+function refreshAssetCard(assetId) {
+    if (playingAudioAssetId === assetId) {
+        stopAudioPreview(); // The data being played was replaced or reset
+    }
+    refreshGridItem(assetId);
+}
+
+/**
+ * Plays an audio asset in the shared preview player, or stops it if it is already playing.
+ * @param {string} assetId - The asset ID.
+ */
+function toggleAudioPreview(assetId) {
+    if (playingAudioAssetId === assetId) {
+        stopAudioPreview();
+        return;
+    }
+    stopAudioPreview();
+    playingAudioAssetId = assetId;
+    audioPreview.src = getAssetObjectURL(assetId);
+    audioPreview.play().catch(error => {
+        console.error('Error playing audio preview:', error);
+        stopAudioPreview();
+    });
+    refreshGridItem(assetId);
+}
+
+/**
+ * Stops the shared audio preview player.
+ */
+function stopAudioPreview() {
+    const previousAssetId = playingAudioAssetId;
+    audioPreview.pause();
+    audioPreview.removeAttribute('src');
+    playingAudioAssetId = null;
+    if (previousAssetId) {
+        refreshGridItem(previousAssetId);
+    }
+}
+
+function toggleAssetSelection(assetId) {
+    setAssetsSelected([assetId], !currentSelectedAssets.has(assetId));
+}
+
 function updateSelectedCount() {
     selectedCountSpan.textContent = `${currentSelectedAssets.size} selected`;
 }
 
+/**
+ * Lists every history step, marking the current position. Clicking a step
+ * (or "Loaded files") undoes or redoes everything up to it.
+ */
+function renderHistoryPanel() {
+    undoButton.disabled = !canUndo();
+    redoButton.disabled = !canRedo();
+
+    const entries = getHistoryEntries();
+    const appliedCount = entries.filter(entry => entry.isApplied).length;
+    historyList.innerHTML = '';
+
+    const items = [{ label: 'Loaded files', isApplied: true }, ...entries];
+    items.forEach((entry, step) => {
+        const item = document.createElement('li');
+        item.dataset.step = step;
+        item.textContent = entry.timestamp
+            ? `${entry.label} (${new Date(entry.timestamp).toLocaleTimeString()})`
+            : entry.label;
+        item.classList.toggle('undone', !entry.isApplied);
+        item.classList.toggle('current', step === appliedCount);
+        historyList.appendChild(item);
+    });
+}
+
+/**
+ * Lists the mod layers, highest priority first, under the always-on-top local edits.
+ * Each layer can be turned on or off, moved and removed; all of it is undoable.
+ */
+function renderLayerPanel() {
+    layerList.innerHTML = '';
+    const localEditsItem = document.createElement('li');
+    localEditsItem.innerHTML = '<span class="layer-name">Local edits</span>';
+    layerList.appendChild(localEditsItem);
+
+    const layers = getAssetLayers();
+    layers.slice().reverse().forEach((layer, position) => {
+        const item = document.createElement('li');
+        item.dataset.layerId = layer.id;
+        item.classList.toggle('disabled', !layer.enabled);
+        item.innerHTML = `
+            <input type="checkbox" class="layer-toggle" title="Use this layer" ${layer.enabled ? 'checked' : ''}>
+            <span class="layer-name"></span>
+            <span class="layer-info">${layer.blobs.size} file(s)</span>
+            <button data-action="raise" title="Higher priority" ${position === 0 ? 'disabled' : ''}>&#9650;</button>
+            <button data-action="lower" title="Lower priority" ${position === layers.length - 1 ? 'disabled' : ''}>&#9660;</button>
+            <button data-action="remove" title="Remove layer">&times;</button>
+        `;
+        item.querySelector('.layer-name').textContent = layer.name;
+        layerList.appendChild(item);
+    });
+
+    if (layers.length === 0) {
+        const emptyItem = document.createElement('li');
+        emptyItem.textContent = 'No mod layers. Use "Import Mod ZIP" to add one.';
+        layerList.appendChild(emptyItem);
+    }
+}
+
+/**
+ * Runs an export whose options were chosen in the export modal.
+ * @param {{exportFormat: string, exportTarget: string, options: import('./exportImport.js').ExportOptions}} exportRequest - The export.
+ */
+async function runExport(exportRequest) {
+    showLoader('Exporting mod...');
+    try {
+        await exportMod(getAllAssets(), exportRequest.exportFormat, exportRequest.exportTarget, exportRequest.options);
+    } catch (error) {
+        console.error('Error exporting mod:', error);
+        alert('Failed to export mod: ' + error.message);
+    } finally {
+        hideLoader();
+    }
+}
+
+/**
+ * Shows the validation report of an export that found issues.
+ * @param {Object} exportRequest - The export to continue with, see runExport.
+ * @param {Array<import('./exportValidation.js').ValidationIssue>} issues - The issues found.
+ */
+function openValidationModal(exportRequest, issues) {
+    pendingExportRequest = exportRequest;
+    validationIssues = issues;
+    renderValidationIssues();
+    validationModal.classList.add('active');
+}
+
+function closeValidationModal() {
+    validationModal.classList.remove('active');
+    validationIssueList.innerHTML = '';
+    validationIssues = [];
+    pendingExportRequest = null;
+}
+
+/**
+ * Lists the open validation issues. The export can only continue once no errors are left.
+ */
+function renderValidationIssues() {
+    validationIssueList.innerHTML = '';
+    validationIssues.forEach(issue => {
+        const asset = getAsset(issue.assetId);
+        const item = document.createElement('li');
+        item.dataset.issueId = issue.id;
+        item.classList.add(issue.severity);
+        item.innerHTML = `
+            <div class="validation-issue-info">
+                <strong><span class="validation-severity">${issue.severity === 'error' ? 'Error' : 'Warning'}</span>: ${issue.title}</strong>
+                <span class="validation-issue-path"></span>
+                <span class="validation-issue-message"></span>
+            </div>
+            <div class="validation-issue-actions">
+                ${issue.canFix ? '<button class="fix-issue-button">Fix</button>' : ''}
+                ${issue.severity === 'warning' ? '<button class="ignore-issue-button">Ignore</button>' : ''}
+            </div>
+        `;
+        // File names are user-visible data, not markup
+        item.querySelector('.validation-issue-path').textContent = asset ? getAssetPath(asset.id) : issue.assetId;
+        item.querySelector('.validation-issue-message').textContent = issue.message;
+        validationIssueList.appendChild(item);
+    });
+
+    const errorCount = validationIssues.filter(issue => issue.severity === 'error').length;
+    const warningCount = validationIssues.length - errorCount;
+    validationSummary.textContent = validationIssues.length === 0
+        ? 'All issues are fixed or ignored.'
+        : `${errorCount} error(s) and ${warningCount} warning(s) found.` +
+            (errorCount > 0 ? ' Errors must be fixed (or the assets reset or excluded) before exporting.' : '');
+    fixAllIssuesButton.disabled = !validationIssues.some(issue => issue.canFix);
+    ignoreAllWarningsButton.disabled = warningCount === 0;
+    continueExportButton.disabled = errorCount > 0;
+}
+
+/**
+ * Fixes validation issues as one undoable step, then checks the affected assets again.
+ * The issues of each asset are fixed together, so each asset is encoded once and gets one revision.
+ * @param {Array<import('./exportValidation.js').ValidationIssue>} issues - Fixable issues.
+ */
+async function fixIssues(issues) {
+    const issuesByAsset = new Map();
+    issues.forEach(issue => {
+        if (!issuesByAsset.has(issue.assetId)) issuesByAsset.set(issue.assetId, []);
+        issuesByAsset.get(issue.assetId).push(issue);
+    });
+    const assetIds = Array.from(issuesByAsset.keys());
+    if (assetIds.length === 0) return;
+
+    const label = issues.length === 1
+        ? `Fix "${issues[0].title}" in ${getAsset(issues[0].assetId).fileName}`
+        : `Fix ${issues.length} export issue(s)`;
+    showLoader('Fixing assets...');
+    try {
+        // Everything is fixed before anything is applied, so a failure leaves all assets as they were
+        const fixedBlobs = new Map();
+        for (const [assetId, assetIssues] of issuesByAsset) {
+            fixedBlobs.set(assetId, await fixValidationIssues(assetIssues, getAsset(assetId)));
+        }
+        await recordAssetChange(label, assetIds, () => {
+            issuesByAsset.forEach((assetIssues, assetId) => {
+                updateAssetData(assetId, fixedBlobs.get(assetId), getAssetType(assetId), false,
+                    `Fixed: ${assetIssues.map(issue => issue.title).join(', ')}`);
+            });
+        });
+        showLoader('Checking fixed assets...');
+        const recheckedIssues = await validateAssets(assetIds.map(getAsset));
+        validationIssues = validationIssues.filter(issue => !assetIds.includes(issue.assetId)).concat(recheckedIssues);
+    } catch (error) {
+        console.error('Error fixing assets:', error);
+        alert('Failed to fix: ' + error.message);
+    } finally {
+        hideLoader();
+    }
+    renderValidationIssues();
+}
+
+/**
+ * Updates the export modal's file counts and sizes of each export mode, and the summary of the chosen one.
+ */
+function updateExportSummary() {
+    if (!exportOptionsModal.classList.contains('active')) return; // Recomputed when the modal opens
+
+    const assets = getAllAssets();
+    const scopeSummary = summarizeExportScopes(assets, currentSelectedAssets);
+    exportScopeSummarySpans.forEach(span => {
+        const { fileCount, totalBytes } = scopeSummary[span.dataset.scope];
+        span.textContent = `(${fileCount} file(s), ${formatBytes(totalBytes)})`;
+    });
+
+    const scope = document.querySelector('input[name="exportScope"]:checked').value;
+    const { fileCount, totalBytes } = scopeSummary[scope];
+    const excludedCount = assets.filter(asset => isAssetModified(asset) && asset.isExcluded).length;
+    exportSummary.textContent = `${fileCount} asset file(s) (${formatBytes(totalBytes)}) will be exported` +
+        (excludedCount > 0 && scope !== 'full' ? `, ${excludedCount} edited asset(s) excluded.` : '.');
+}
+
 async function openReplaceModal(assetId) {
     currentEditingAssetId = assetId;
     replaceFileInput.value = ''; // Clear previous file selection
     replaceFileNameDisplay.textContent = 'No file chosen';
-    brightnessSlider.value = 100;
-    brightnessValueSpan.textContent = '100%';
-    contrastSlider.value = 100;
-    contrastValueSpan.textContent = '100%';
-    saturationSlider.value = 100;
-    saturationValueSpan.textContent = '100%';
-    colorFillPicker.value = '#ffffff';
+    clearReplaceFit();
+    resetImageEditControls();
+    jpegQualitySlider.value = DEFAULT_JPEG_QUALITY * 100;
+    jpegQualityValueSpan.textContent = `${jpegQualitySlider.value}%`;
 
     // Re-enable image edit controls by default
-    brightnessSlider.disabled = false;
-    contrastSlider.disabled = false;
-    saturationSlider.disabled = false;
-    colorFillPicker.disabled = false;
+    setImageEditControlsDisabled(false);
 
-
-    const asset = getAllAssets().find(a => a.id === assetId);
+    const asset = getAsset(assetId);
     if (!asset) {
         alert('Asset not found.');
         return;
     }
 
     modalAssetInfo.innerHTML = `
-        <h3>Editing: ${asset.name}</h3>
-        <p>Path: ${asset.path}</p>
+        <h3></h3>
+        <p class="asset-path"></p>
         <p>Type: ${getAssetType(assetId)}</p>
         <div class="asset-preview">
-            ${getAssetType(assetId) === 'image' ? `<img src="${getAssetBase64Data(assetId)}" alt="Current Asset Preview">` :
-             getAssetType(assetId) === 'audio' ? `<audio controls src="${getAssetBase64Data(assetId)}"></audio>` :
+            ${getAssetType(assetId) === 'image' ? `<img alt="Current Asset Preview">` :
+             getAssetType(assetId) === 'audio' ? `<audio controls></audio>` :
              `<div class="no-preview">No preview available</div>`}
         </div>
     `;
+    // The file name comes from an uploaded ZIP, so it is never parsed as HTML
+    modalAssetInfo.querySelector('h3').textContent = `Editing: ${asset.fileName}`;
+    modalAssetInfo.querySelector('.asset-path').textContent = `Path: ${getAssetPath(assetId)}`;
+    const modalPreviewElement = modalAssetInfo.querySelector('.asset-preview img, .asset-preview audio');
+    if (modalPreviewElement) {
+        setModalPreviewBlob(modalPreviewElement, getAssetBlob(assetId));
+    }
+
+    renderRevisionList(assetId);
+
+    replaceFormatNote.textContent = `Files in another format are converted to ${getFormatName(asset.mimeType)}. Edits are saved as ${getFormatName(asset.mimeType)}.`;
+    jpegQualityControls.classList.toggle('hidden', asset.mimeType !== 'image/jpeg');
 
     // Show/hide image/audio controls based on asset type
     if (getAssetType(assetId) === 'image') {
         imageEditControls.classList.remove('hidden');
         audioEditControls.classList.add('hidden');
-        originalBase64Image = getAssetBase64Data(assetId);
-        currentBase64Image = originalBase64Image; // Initialize current with original
+        // The preview source is prepared in the background; edits can be confirmed before it is ready
+        startImageEdit(assetId).catch(error => console.error('Error preparing the edit preview:', error));
+        refreshPresets();
     } else if (getAssetType(assetId) === 'audio') {
         imageEditControls.classList.add('hidden');
         audioEditControls.classList.remove('hidden');
-        originalBase64Image = null; // Clear image specific state
-        currentBase64Image = null;
+        originalImageBlob = null; // Clear image specific state
+        previewSourceBlob = null;
     } else {
         imageEditControls.classList.add('hidden');
         audioEditControls.classList.add('hidden');
-        originalBase64Image = null;
-        currentBase64Image = null;
+        originalImageBlob = null;
+        previewSourceBlob = null;
     }
 
     replaceModal.classList.add('active');
@@ -503,129 +1993,1233 @@ async function openReplaceModal(assetId) {
 function closeReplaceModal() {
     replaceModal.classList.remove('active');
     currentEditingAssetId = null;
-    originalBase64Image = null;
-    currentBase64Image = null;
+    originalImageBlob = null;
+    previewSourceBlob = null;
+    editStack = [];
+    isEditStackChanged = false;
+    if (modalPreviewUrl) {
+        URL.revokeObjectURL(modalPreviewUrl);
+        modalPreviewUrl = null;
+    }
+    revokeRevisionPreviewUrls();
+    revisionList.innerHTML = '';
+    revisionCompare.innerHTML = '';
+    revisionCompare.classList.add('hidden');
     replaceFileInput.value = ''; // Clear file input
     replaceFileNameDisplay.textContent = 'No file chosen';
+    clearReplaceFit();
     // Hide controls when closing
     imageEditControls.classList.add('hidden');
     audioEditControls.classList.add('hidden');
+    jpegQualityControls.classList.add('hidden');
 }
 
-async function resetAsset(assetId) {
-    showLoader('Resetting asset...');
+/**
+ * Revision label of data replaced with a file, noting the format it was converted from and how it was sized.
+ * @param {string} fileName - Name of the replacement file.
+ * @param {{sourceType: string, converted: boolean}} conversion - The result of convertToAssetFormat.
+ * @param {string} [fitDescription=''] - How the image was cropped and sized, from describeFit.
+ * @returns {string}
+ */
+function describeReplacement(fileName, conversion, fitDescription = '') {
+    const notes = [];
+    if (conversion.converted) notes.push(`converted from ${getFormatName(conversion.sourceType)}`);
+    if (fitDescription) notes.push(fitDescription);
+    return `Replaced with ${fileName}` + (notes.length > 0 ? ` (${notes.join(', ')})` : '');
+}
+
+/**
+ * Shows the size controls for a replacement file if it is an image replacing an image, and hides them otherwise.
+ * @param {File|undefined} file - The chosen replacement file.
+ * @returns {Promise<void>}
+ */
+async function setReplaceFitFile(file) {
+    clearReplaceFit();
+    const assetId = currentEditingAssetId;
+    if (!file || getAssetType(assetId) !== 'image' || await getFileMediaGroup(file) !== 'image') return;
+
+    let imageSize, targetSize;
     try {
-        const success = updateAssetData(assetId, null, null, true); // Pass true to indicate reset
-        if (success) {
-            const assetCard = document.querySelector(`.asset-card[data-id="${assetId}"]`);
-            if (assetCard) {
-                assetCard.classList.remove('replaced', 'excluded');
-                assetCard.querySelector('.asset-status').textContent = 'Status: Active';
-                // Re-render preview based on original asset
-                const asset = getAllAssets().find(a => a.id === assetId);
-                const previewElement = assetCard.querySelector('.asset-preview');
-                if (asset.type === 'image' && asset.originalBase64Data) {
-                    previewElement.innerHTML = `<img src="${asset.originalBase64Data}" alt="Asset Preview">`;
-                } else if (asset.type === 'audio' && asset.originalBase64Data) {
-                    previewElement.innerHTML = `<audio controls src="${asset.originalBase64Data}"></audio>`;
-                } else {
-                    previewElement.innerHTML = `<div class="no-preview">No preview available</div>`;
-                }
-            }
-            alert('Asset reset to original successfully!');
-        } else {
-            alert('Failed to reset asset.');
-        }
+        // Sized to the loaded original, not the current data, which may already have the wrong size
+        [imageSize, targetSize] = await Promise.all([getImageDimensionsFromBlob(file), getImageDimensionsFromBlob(getAsset(assetId).originalBlob)]);
     } catch (error) {
-        console.error('Error resetting asset:', error);
-        alert('Error resetting asset: ' + error.message);
-    } finally {
-        hideLoader();
+        // The file is stored as it is; its conversion reports whether it can be read
+        console.error('Error measuring the replacement image:', error);
+        return;
     }
+    if (replaceFileInput.files[0] !== file || currentEditingAssetId !== assetId) return; // Another file or asset was chosen meanwhile
+
+    replaceFit = { file, imageSize, targetSize, imageUrl: URL.createObjectURL(file) };
+    imageFitSizes.textContent = `Original: ${targetSize.width}×${targetSize.height}, replacement: ${imageSize.width}×${imageSize.height}` +
+        (imageSize.width === targetSize.width && imageSize.height === targetSize.height ? ' (same size)' : '');
+    fitModeSelect.value = 'fill';
+    cropToggle.checked = false;
+    cropAspectLockToggle.checked = true;
+    cropStage.classList.add('hidden');
+    cropImage.src = replaceFit.imageUrl;
+    imageFitControls.classList.remove('hidden');
+    updateImageEditPreview();
 }
 
-function openExportOptionsModal() {
-    exportOptionsModal.classList.add('active');
+function clearReplaceFit() {
+    if (replaceFit) {
+        URL.revokeObjectURL(replaceFit.imageUrl);
+    }
+    replaceFit = null;
+    replaceCrop = null;
+    cropDrag = null;
+    cropImage.removeAttribute('src');
+    imageFitControls.classList.add('hidden');
 }
 
-function closeExportOptionsModal() {
-    exportOptionsModal.classList.remove('active');
+/**
+ * @returns {number|null} The aspect ratio the crop is locked to (the original's), or null if it is free.
+ */
+function getCropAspectRatio() {
+    const { targetSize } = replaceFit;
+    return cropAspectLockToggle.checked ? targetSize.width / targetSize.height : null;
 }
 
-/**
- * Applies brightness, contrast, and saturation filters to an image using canvas.
- * @param {string} base64Data - The input image as a Base64 data URL.
- * @param {number} brightness - Brightness multiplier (e.g., 1.0 for original, 0.5 for half, 2.0 for double).
- * @param {number} contrast - Contrast multiplier (e.g., 1.0 for original, 0.5 for half, 2.0 for double).
- * @param {number} saturation - Saturation multiplier (e.g., 1.0 for original, 0.5 for half, 2.0 for double).
- * @returns {Promise<string>} A promise that resolves with the filtered image as a Base64 data URL.
- */
-async function applyImageFilters(base64Data, brightness, contrast, saturation) {
-    return new Promise((resolve, reject) => {
-        const img = new Image();
-        img.onload = () => {
-            imageProcessingCanvas.width = img.width;
-            imageProcessingCanvas.height = img.height;
-            ctx.clearRect(0, 0, imageProcessingCanvas.width, imageProcessingCanvas.height);
-            ctx.drawImage(img, 0, 0);
-
-            let imageData = ctx.getImageData(0, 0, imageProcessingCanvas.width, imageProcessingCanvas.height);
-            let pixels = imageData.data;
-            const length = pixels.length;
-
-            // Apply filters pixel by pixel
-            for (let i = 0; i < length; i += 4) {
-                let r = pixels[i];
-                let g = pixels[i + 1];
-                let b = pixels[i + 2];
-
-                // Brightness
-                r = r * brightness;
-                g = g * brightness;
-                b = b * brightness;
-
-                // Contrast
-                // Algorithm from: https://stackoverflow.com/questions/10521978/html5-canvas-image-contrast
-                const factor = (259 * (contrast * 255 + 255)) / (255 * (259 - contrast * 255));
-                r = factor * (r - 128) + 128;
-                g = factor * (g - 128) + 128;
-                b = factor * (b - 128) + 128;
-
-                // Saturation
-                // Algorithm from: https://stackoverflow.com/questions/9294437/javascript-image-saturation
-                const L = 0.3086 * r + 0.6094 * g + 0.0820 * b; // Luminance
-                r = L + saturation * (r - L);
-                g = L + saturation * (g - L);
-                b = L + saturation * (b - L);
-
-                // Clamp values to 0-255
-                pixels[i] = Math.min(255, Math.max(0, r));
-                pixels[i + 1] = Math.min(255, Math.max(0, g));
-                pixels[i + 2] = Math.min(255, Math.max(0, b));
+function renderCropRect() {
+    if (!replaceCrop) return;
+    const { imageSize } = replaceFit;
+    cropRect.style.left = `${(replaceCrop.x / imageSize.width) * 100}%`;
+    cropRect.style.top = `${(replaceCrop.y / imageSize.height) * 100}%`;
+    cropRect.style.width = `${(replaceCrop.width / imageSize.width) * 100}%`;
+    cropRect.style.height = `${(replaceCrop.height / imageSize.height) * 100}%`;
+}
+
+/**
+ * Whether the replacement image has to be cropped or resized to be stored as the size controls say.
+ * @returns {boolean}
+ */
+function needsImageFit() {
+    if (!replaceFit) return false;
+    const { imageSize, targetSize } = replaceFit;
+    const isSameSize = imageSize.width === targetSize.width && imageSize.height === targetSize.height;
+    return Boolean(replaceCrop) || (fitModeSelect.value !== 'none' && !isSameSize);
+}
+
+/**
+ * Crops the replacement image and sizes it as the size controls say.
+ * @param {string} mimeType - The format of the result.
+ * @param {number} [quality] - Encoder quality between 0 and 1, used for JPEG.
+ * @returns {Promise<Blob>}
+ */
+function fitReplacementImage(mimeType, quality) {
+    const { file, imageSize, targetSize } = replaceFit;
+    return fitImage(file, replaceCrop || createCenteredCrop(imageSize, null), targetSize, fitModeSelect.value, mimeType, quality);
+}
+
+function openBulkReplaceModal() {
+    bulkReplaceFileInput.value = '';
+    bulkReplaceFileNameDisplay.textContent = 'No file chosen';
+    bulkJpegQualitySlider.value = DEFAULT_JPEG_QUALITY * 100;
+    bulkJpegQualityValueSpan.textContent = `${bulkJpegQualitySlider.value}%`;
+
+    const selectedIds = Array.from(currentSelectedAssets);
+    const imageCount = selectedIds.filter(id => getAssetType(id) === 'image').length;
+    bulkReplaceSummary.textContent = `${selectedIds.length} asset(s) selected: ${imageCount} image(s), ${selectedIds.length - imageCount} audio.`;
+    bulkReplaceModal.classList.add('active');
+}
+
+function closeBulkReplaceModal() {
+    bulkReplaceModal.classList.remove('active');
+    bulkReplaceFileInput.value = '';
+}
+
+async function resetAsset(assetId) {
+    showLoader('Resetting asset...');
+    try {
+        let success = false;
+        await recordAssetChange(`Reset ${getAsset(assetId).fileName}`, [assetId], () => {
+            success = updateAssetData(assetId, null, null, true); // Pass true to indicate reset
+        });
+        if (success) {
+            // The store's "reset" event re-renders the card from the original data
+            alert('Asset reset to original successfully!');
+        } else {
+            alert('Failed to reset asset.');
+        }
+    } catch (error) {
+        console.error('Error resetting asset:', error);
+        alert('Error resetting asset: ' + error.message);
+    } finally {
+        hideLoader();
+    }
+}
+
+/**
+ * Shows a Blob in the replace modal's preview element, revoking the previous preview URL.
+ * @param {HTMLImageElement|HTMLAudioElement} element - The preview element.
+ * @param {Blob} blob - The data to preview.
+ */
+function setModalPreviewBlob(element, blob) {
+    if (modalPreviewUrl) {
+        URL.revokeObjectURL(modalPreviewUrl);
+    }
+    modalPreviewUrl = URL.createObjectURL(blob);
+    element.src = modalPreviewUrl;
+}
+
+/**
+ * Creates an object URL for a revision preview and remembers it for revocation.
+ * @param {Blob} blob - The revision data.
+ * @returns {string} The object URL.
+ */
+function createRevisionPreviewUrl(blob) {
+    const url = URL.createObjectURL(blob);
+    revisionPreviewUrls.push(url);
+    return url;
+}
+
+function revokeRevisionPreviewUrls() {
+    revisionPreviewUrls.forEach(url => URL.revokeObjectURL(url));
+    revisionPreviewUrls = [];
+}
+
+/**
+ * Builds preview markup for a revision: a thumbnail for images, a player for audio.
+ * @param {string} assetId - The asset ID.
+ * @param {Blob} blob - The revision data.
+ * @returns {string} HTML.
+ */
+function getRevisionPreviewHTML(assetId, blob) {
+    const url = createRevisionPreviewUrl(blob);
+    return getAssetType(assetId) === 'image'
+        ? `<img src="${url}" alt="Revision Preview" decoding="async">`
+        : `<audio controls preload="none" src="${url}"></audio>`;
+}
+
+/**
+ * Lists the revisions of the asset open in the replace modal, newest first.
+ * @param {string} assetId - The asset ID.
+ */
+function renderRevisionList(assetId) {
+    revokeRevisionPreviewUrls();
+    revisionCompare.innerHTML = '';
+    revisionCompare.classList.add('hidden');
+    revisionList.innerHTML = '';
+
+    const currentRevision = getCurrentAssetRevision(assetId);
+    getAssetRevisions(assetId).slice().reverse().forEach(revision => {
+        const isCurrent = revision === currentRevision;
+        const item = document.createElement('li');
+        item.dataset.revisionId = revision.id;
+        item.classList.toggle('current', isCurrent);
+        item.innerHTML = `
+            <div class="revision-preview">${getRevisionPreviewHTML(assetId, revision.blob)}</div>
+            <div class="revision-info">
+                <strong class="revision-label"></strong>
+                <span>${new Date(revision.createdAt).toLocaleString()}${isCurrent ? ' (current)' : ''}</span>
+            </div>
+            <div class="revision-actions">
+                <button class="compare-revision-button" ${isCurrent ? 'disabled' : ''}>Compare</button>
+                <button class="restore-revision-button" ${isCurrent ? 'disabled' : ''}>Restore</button>
+            </div>
+        `;
+        item.querySelector('.revision-label').textContent = revision.label; // Labels contain user file names
+        revisionList.appendChild(item);
+    });
+}
+
+/**
+ * Shows a revision side by side with the asset's current data.
+ * @param {string} assetId - The asset ID.
+ * @param {import('./fileLoader.js').AssetRevision} revision - The revision to compare.
+ */
+function renderRevisionCompare(assetId, revision) {
+    revisionCompare.innerHTML = `
+        <div class="revision-compare-side">
+            <h4>Current</h4>
+            ${getRevisionPreviewHTML(assetId, getAssetBlob(assetId))}
+        </div>
+        <div class="revision-compare-side">
+            <h4 class="revision-label"></h4>
+            ${getRevisionPreviewHTML(assetId, revision.blob)}
+        </div>
+    `;
+    revisionCompare.querySelector('.revision-label').textContent = revision.label;
+    revisionCompare.classList.remove('hidden');
+}
+
+/**
+ * Reads the adjustment controls of the replace modal.
+ * @returns {import('./imageFilters.js').ImageAdjustments}
+ */
+function readImageAdjustments() {
+    return {
+        brightness: Number(brightnessSlider.value) / 100,
+        contrast: Number(contrastSlider.value) / 100,
+        saturation: Number(saturationSlider.value) / 100,
+        hue: Number(hueSlider.value),
+        tintColor: tintColorPicker.value,
+        tintStrength: Number(tintStrengthSlider.value) / 100,
+        tintBlendMode: tintBlendModeSelect.value,
+        levels: structuredClone(imageLevels),
+        ...readRecolorControls(replaceRecolorControls),
+        recolorSource: recolorToggle.checked ? replaceRecolorControls.sourcePicker.value : null
+    };
+}
+
+/**
+ * Reads a set of recolor controls (of the replace modal or the bulk recolor modal).
+ * @param {{sourcePicker: HTMLInputElement, targetPicker: HTMLInputElement, toleranceSlider: HTMLInputElement}} controls - The controls.
+ * @returns {{recolorSource: string, recolorTarget: string, recolorTolerance: number}} The recolor part of ImageAdjustments.
+ */
+function readRecolorControls(controls) {
+    return {
+        recolorSource: controls.sourcePicker.value,
+        recolorTarget: controls.targetPicker.value,
+        recolorTolerance: Number(controls.toleranceSlider.value)
+    };
+}
+
+/**
+ * Sets a set of recolor controls to the default recolor settings.
+ * @param {Object} controls - The controls, as in readRecolorControls.
+ */
+function resetRecolorControls(controls) {
+    const defaults = createDefaultImageAdjustments();
+    controls.sourcePicker.value = '#ff0000';
+    controls.targetPicker.value = defaults.recolorTarget;
+    controls.toleranceSlider.value = defaults.recolorTolerance;
+    updateRecolorToleranceLabel(controls);
+}
+
+function updateRecolorToleranceLabel(controls) {
+    controls.toleranceValueSpan.textContent = `${controls.toleranceSlider.value}%`;
+}
+
+/**
+ * Whether the color fill is in use. White means no fill.
+ * @returns {boolean}
+ */
+function isColorFillActive() {
+    return colorFillPicker.value !== '#ffffff';
+}
+
+/**
+ * Reads the color fill controls.
+ * @returns {{color: string, opaqueOnly: boolean}|null} The fill, or null if it is not in use.
+ */
+function readColorFill() {
+    return isColorFillActive() ? { color: colorFillPicker.value, opaqueOnly: colorFillOpaqueOnlyToggle.checked } : null;
+}
+
+/**
+ * Reads the adjustment controls as adjustment stack operations, in the order they are applied.
+ * @returns {Array<import('./adjustmentStack.js').AdjustmentOperation>} Only the settings that change the image.
+ */
+function readPendingOperations() {
+    return createOperationsFromAdjustments(readImageAdjustments(), readColorFill());
+}
+
+/**
+ * Whether the adjustment controls change the image.
+ * @returns {boolean}
+ */
+function hasImageEdits() {
+    return readPendingOperations().length > 0;
+}
+
+function resetImageEditControls() {
+    const defaults = createDefaultImageAdjustments();
+    brightnessSlider.value = defaults.brightness * 100;
+    contrastSlider.value = defaults.contrast * 100;
+    saturationSlider.value = defaults.saturation * 100;
+    hueSlider.value = defaults.hue;
+    colorFillPicker.value = '#ffffff';
+    colorFillOpaqueOnlyToggle.checked = true;
+    tintColorPicker.value = defaults.tintColor;
+    tintStrengthSlider.value = defaults.tintStrength * 100;
+    tintBlendModeSelect.value = defaults.tintBlendMode;
+    imageLevels = defaults.levels;
+    levelsChannelSelect.value = 'rgb';
+    recolorToggle.checked = false;
+    recolorMaskToggle.checked = false;
+    resetRecolorControls(replaceRecolorControls);
+    setColorPicking(replaceRecolorControls, replaceModal.querySelector('.asset-preview img'), false);
+    showChannelLevels();
+}
+
+/**
+ * Shows the levels of the channel selected in the levels controls.
+ */
+function showChannelLevels() {
+    const levels = imageLevels[levelsChannelSelect.value];
+    levelsBlackSlider.value = levels.black;
+    levelsWhiteSlider.value = levels.white;
+    levelsGammaSlider.value = Math.round(levels.gamma * 100);
+    updateImageEditLabels();
+}
+
+function updateImageEditLabels() {
+    brightnessValueSpan.textContent = `${brightnessSlider.value}%`;
+    contrastValueSpan.textContent = `${contrastSlider.value}%`;
+    saturationValueSpan.textContent = `${saturationSlider.value}%`;
+    hueValueSpan.textContent = `${hueSlider.value}°`;
+    tintStrengthValueSpan.textContent = `${tintStrengthSlider.value}%`;
+    levelsBlackValueSpan.textContent = levelsBlackSlider.value;
+    levelsGammaValueSpan.textContent = (levelsGammaSlider.value / 100).toFixed(2);
+    levelsWhiteValueSpan.textContent = levelsWhiteSlider.value;
+    updateRecolorToleranceLabel(replaceRecolorControls);
+}
+
+/**
+ * @param {boolean} disabled - Whether the adjustment controls are disabled.
+ */
+function setImageEditControlsDisabled(disabled) {
+    imageEditControls.querySelectorAll('input, select, button').forEach(control => {
+        control.disabled = disabled;
+    });
+}
+
+/**
+ * Starts editing an image in the replace modal with the adjustment stack its current data was rendered from.
+ * Data that was not made by a stack becomes the base of a new, empty one.
+ * @param {string} assetId - The asset ID.
+ * @returns {Promise<void>} Resolves once the preview source is ready.
+ */
+function startImageEdit(assetId) {
+    const stack = getAssetAdjustmentStack(assetId);
+    const baseBlob = stack ? stack.baseBlob : getAssetBlob(assetId);
+    editStack = stack ? stack.operations.slice() : [];
+    isEditStackChanged = false;
+    renderAdjustmentStackList();
+    overlayFileInput.value = '';
+    overlayFileNameDisplay.textContent = 'No file chosen';
+    overlayOpacitySlider.value = 100;
+    overlayOpacityValueSpan.textContent = '100%';
+    // A resize starts at the size of the current data
+    getImageDimensionsFromBlob(getAssetBlob(assetId)).then(({ width, height }) => {
+        resizeWidthInput.value = width;
+        resizeHeightInput.value = height;
+    }).catch(error => console.error('Error measuring the image:', error));
+    return setImageEditSource(baseBlob);
+}
+
+/**
+ * Replaces the adjustment stack edited in the replace modal and updates its list and the preview.
+ * @param {Array<import('./adjustmentStack.js').AdjustmentOperation>} operations - The new operations.
+ */
+function setEditStack(operations) {
+    editStack = operations;
+    isEditStackChanged = true;
+    renderAdjustmentStackList();
+    updateImageEditPreview();
+}
+
+/**
+ * Lists the steps of the edited adjustment stack in the order they are applied.
+ * Each step can be turned on or off, moved and removed.
+ */
+function renderAdjustmentStackList() {
+    adjustmentStackList.innerHTML = '';
+    editStack.forEach((operation, index) => {
+        const item = document.createElement('li');
+        item.dataset.index = index;
+        item.classList.toggle('disabled', !operation.enabled);
+        item.innerHTML = `
+            <input type="checkbox" class="layer-toggle" title="Apply this step" ${operation.enabled ? 'checked' : ''}>
+            <span class="layer-name"></span>
+            <button data-action="raise" title="Apply earlier" ${index === 0 ? 'disabled' : ''}>&#9650;</button>
+            <button data-action="lower" title="Apply later" ${index === editStack.length - 1 ? 'disabled' : ''}>&#9660;</button>
+            <button data-action="remove" title="Remove step">&times;</button>
+        `;
+        item.querySelector('.layer-name').textContent = describeOperation(operation);
+        adjustmentStackList.appendChild(item);
+    });
+
+    if (editStack.length === 0) {
+        const emptyItem = document.createElement('li');
+        emptyItem.textContent = 'No steps yet.';
+        adjustmentStackList.appendChild(emptyItem);
+    }
+}
+
+/**
+ * The adjustment stack of an image with more operations at its end. Data that was not made
+ * by a stack becomes the base of a new one.
+ * @param {string} assetId - The asset ID.
+ * @param {Array<import('./adjustmentStack.js').AdjustmentOperation>} operations - The operations to add.
+ * @returns {import('./adjustmentStack.js').AdjustmentStack}
+ */
+function extendAdjustmentStack(assetId, operations) {
+    const stack = getAssetAdjustmentStack(assetId);
+    return stack
+        ? { baseBlob: stack.baseBlob, operations: [...stack.operations, ...operations] }
+        : { baseBlob: getAssetBlob(assetId), operations: operations.slice() };
+}
+
+/**
+ * Reloads the saved presets into the preset lists of the replace modal and the preset modal.
+ * Presets are unavailable (not an error) where IndexedDB is.
+ * @param {string} [selectedId] - ID of the preset to select; by default the replace modal's choice is kept.
+ * @returns {Promise<void>}
+ */
+async function refreshPresets(selectedId = presetSelect.value) {
+    try {
+        presets = await listPresets();
+    } catch (error) {
+        console.error('Error loading presets:', error);
+        presets = [];
+    }
+    [presetSelect, presetApplySelect].forEach(select => {
+        select.innerHTML = '';
+        presets.forEach(preset => select.appendChild(new Option(preset.name, preset.id)));
+        if (presets.some(preset => preset.id === selectedId)) {
+            select.value = selectedId;
+        }
+    });
+}
+
+/**
+ * Gets the preset chosen in a preset list, telling the user if there is none.
+ * @param {HTMLSelectElement} select - The preset list.
+ * @returns {import('./adjustmentStack.js').AdjustmentPreset|undefined}
+ */
+function getChosenPreset(select) {
+    const preset = presets.find(p => p.id === select.value);
+    if (!preset) {
+        alert('No preset chosen. Save the adjustment stack as a preset or import one first.');
+    }
+    return preset;
+}
+
+/**
+ * Sets the image the adjustments in the replace modal start from, and prepares its preview source.
+ * @param {Blob} blob - The asset's image data.
+ * @returns {Promise<void>}
+ */
+async function setImageEditSource(blob) {
+    originalImageBlob = blob;
+    previewSourceBlob = null;
+    const previewBlob = await createPreviewSource(blob);
+    if (originalImageBlob !== blob) return; // Another asset or revision was opened meanwhile
+    previewSourceBlob = previewBlob;
+    updateImageEditPreview();
+}
+
+/**
+ * Scales an image down for live previews.
+ * @param {Blob} blob - The image.
+ * @returns {Promise<Blob>} The image with its longest side at most IMAGE_PREVIEW_SIZE (PNG), or the image itself if it is that small.
+ */
+async function createPreviewSource(blob) {
+    const { width, height } = await getImageDimensionsFromBlob(blob);
+    const scale = Math.min(1, IMAGE_PREVIEW_SIZE / Math.max(width, height));
+    return scale < 1
+        ? reencodeImage(blob, 'image/png', { width: Math.round(width * scale), height: Math.round(height * scale) })
+        : blob;
+}
+
+/**
+ * Renders the edited adjustment stack of an image, followed by the adjustment controls' edits.
+ * @param {Blob} sourceBlob - The stack's base: the asset's data, or its preview source.
+ * @param {Object} [options]
+ * @param {boolean} [options.highlightRecolorMask=false] - Show the pixels the recolor matches instead of applying the controls' edits.
+ * @returns {Promise<Blob>} The edited image (PNG).
+ */
+async function renderImageEdits(sourceBlob, { highlightRecolorMask = false } = {}) {
+    const pendingOperations = readPendingOperations();
+    if (!highlightRecolorMask) {
+        return renderAdjustmentStack(sourceBlob, [...editStack, ...pendingOperations]);
+    }
+    // The recolor comes after the stack and the color fill, so the mask is shown on the image they leave
+    const fillOperations = pendingOperations.filter(operation => operation.type === 'fill');
+    const stackedBlob = await renderAdjustmentStack(sourceBlob, [...editStack, ...fillOperations]);
+    return applyImageFilters(stackedBlob, readImageAdjustments(), { highlightRecolorMask: true });
+}
+
+/**
+ * Wraps a preview render so that it never runs twice at once. Calls made while it runs lead to
+ * one more run right after it, so the preview never falls behind the controls.
+ * @param {function(): Promise<void>} render - Renders the preview.
+ * @returns {function(): Promise<void>}
+ */
+function createPreviewUpdater(render) {
+    let isRendering = false;
+    let isOutdated = false;
+    return async () => {
+        if (isRendering) {
+            isOutdated = true;
+            return;
+        }
+        isRendering = true;
+        try {
+            do {
+                isOutdated = false;
+                await render();
+            } while (isOutdated);
+        } catch (error) {
+            console.error('Error rendering a preview:', error);
+        } finally {
+            isRendering = false;
+        }
+    };
+}
+
+/**
+ * Shows the current edits in the replace modal's preview, rendered from the scaled-down preview source.
+ */
+async function renderImageEditPreview() {
+    const sourceBlob = previewSourceBlob;
+    const previewImg = replaceModal.querySelector('.asset-preview img');
+    if (!sourceBlob || !previewImg) return;
+    let blob = originalImageBlob;
+    if (replaceFileInput.files[0]) {
+        // A replacement image is shown as it will be stored; other files leave the unedited asset in the preview
+        if (replaceFit) {
+            blob = needsImageFit() ? await fitReplacementImage('image/png') : replaceFit.file;
+        }
+    } else if (editStack.length > 0 || hasImageEdits()) {
+        blob = await renderImageEdits(sourceBlob, { highlightRecolorMask: recolorToggle.checked && recolorMaskToggle.checked });
+    }
+    if (sourceBlob === previewSourceBlob) {
+        setModalPreviewBlob(previewImg, blob);
+    }
+}
+
+/**
+ * Turns the eyedropper of a set of recolor controls on or off. While it is on, clicking the preview picks the "From" color.
+ * @param {Object} controls - The recolor controls, as in readRecolorControls.
+ * @param {HTMLImageElement|null} previewImg - The preview the color is picked from.
+ * @param {boolean} active - Whether to pick a color.
+ */
+function setColorPicking(controls, previewImg, active) {
+    controls.pickButton.classList.toggle('active', active);
+    controls.pickButton.textContent = active ? 'Click the Preview...' : 'Pick from Preview';
+    if (previewImg) {
+        previewImg.classList.toggle('picking-color', active);
+    }
+}
+
+/**
+ * Gets the color of an image at the point of a preview that was clicked.
+ * The preview may show the image at any size (and edited), as long as it has the same aspect ratio.
+ * @param {MouseEvent} event - The click on the preview image.
+ * @param {Blob} sourceBlob - The image to read the color from.
+ * @returns {Promise<string>} The color as "#rrggbb".
+ */
+async function pickImageColor(event, sourceBlob) {
+    if (!samplePixelsCache || samplePixelsCache.blob !== sourceBlob) {
+        samplePixelsCache = { blob: sourceBlob, imageData: await drawImageData(sourceBlob) };
+    }
+    const { imageData } = samplePixelsCache;
+
+    // The preview is shown with object-fit: contain, so the image may not fill the element
+    const rect = event.target.getBoundingClientRect();
+    const scale = Math.min(rect.width / imageData.width, rect.height / imageData.height);
+    const offsetX = (rect.width - imageData.width * scale) / 2;
+    const offsetY = (rect.height - imageData.height * scale) / 2;
+    const x = Math.min(imageData.width - 1, Math.max(0, Math.floor((event.clientX - rect.left - offsetX) / scale)));
+    const y = Math.min(imageData.height - 1, Math.max(0, Math.floor((event.clientY - rect.top - offsetY) / scale)));
+    const index = (y * imageData.width + x) * 4;
+    return rgbToHex(imageData.data[index], imageData.data[index + 1], imageData.data[index + 2]);
+}
+
+/**
+ * Opens the bulk recolor modal for the selected images, previewing the first of them.
+ */
+function openBulkRecolorModal() {
+    const selectedIds = Array.from(currentSelectedAssets);
+    const imageIds = selectedIds.filter(id => getAssetType(id) === 'image');
+    bulkRecolorSummary.textContent = `${imageIds.length} image(s) selected` +
+        (imageIds.length < selectedIds.length ? `; ${selectedIds.length - imageIds.length} selected audio asset(s) will be skipped.` : '.');
+
+    bulkRecolorSampleSelect.innerHTML = '';
+    imageIds.forEach(id => bulkRecolorSampleSelect.appendChild(new Option(getAssetPath(id), id)));
+    resetRecolorControls(bulkRecolorControls);
+    bulkRecolorMaskToggle.checked = false;
+    bulkRecolorJpegQualitySlider.value = DEFAULT_JPEG_QUALITY * 100;
+    bulkRecolorJpegQualityValueSpan.textContent = `${bulkRecolorJpegQualitySlider.value}%`;
+    bulkRecolorJpegQualityControls.classList.toggle('hidden', !imageIds.some(id => getAsset(id).mimeType === 'image/jpeg'));
+    setColorPicking(bulkRecolorControls, bulkRecolorSampleImage, false);
+    showBulkRecolorSample(imageIds[0]);
+    bulkRecolorModal.classList.add('active');
+}
+
+function closeBulkRecolorModal() {
+    bulkRecolorModal.classList.remove('active');
+    bulkRecolorSampleSource = null;
+    samplePixelsCache = null;
+    bulkRecolorSampleImage.removeAttribute('src');
+    if (bulkRecolorPreviewUrl) {
+        URL.revokeObjectURL(bulkRecolorPreviewUrl);
+        bulkRecolorPreviewUrl = null;
+    }
+}
+
+/**
+ * Shows one of the selected images in the bulk recolor preview.
+ * @param {string} assetId - The asset ID.
+ */
+async function showBulkRecolorSample(assetId) {
+    bulkRecolorSampleSource = null;
+    try {
+        const sampleSource = await createPreviewSource(getAssetBlob(assetId));
+        if (bulkRecolorSampleSelect.value !== assetId) return; // Another image was chosen meanwhile
+        bulkRecolorSampleSource = sampleSource;
+        updateBulkRecolorPreview();
+    } catch (error) {
+        console.error('Error preparing the recolor preview:', error);
+    }
+}
+
+/**
+ * Shows the recolor (or the pixels it matches) on the image previewed in the bulk recolor modal.
+ */
+async function renderBulkRecolorPreview() {
+    const sourceBlob = bulkRecolorSampleSource;
+    if (!sourceBlob) return;
+    const adjustments = { ...createDefaultImageAdjustments(), ...readRecolorControls(bulkRecolorControls) };
+    const blob = await applyImageFilters(sourceBlob, adjustments, { highlightRecolorMask: bulkRecolorMaskToggle.checked });
+    if (sourceBlob !== bulkRecolorSampleSource) return;
+    if (bulkRecolorPreviewUrl) {
+        URL.revokeObjectURL(bulkRecolorPreviewUrl);
+    }
+    bulkRecolorPreviewUrl = URL.createObjectURL(blob);
+    bulkRecolorSampleImage.src = bulkRecolorPreviewUrl;
+}
+
+/**
+ * Opens the modal that applies a saved preset to the selected images.
+ */
+function openPresetApplyModal() {
+    const selectedIds = Array.from(currentSelectedAssets);
+    const imageIds = selectedIds.filter(id => getAssetType(id) === 'image');
+    presetApplySummary.textContent = `${imageIds.length} image(s) selected` +
+        (imageIds.length < selectedIds.length ? `; ${selectedIds.length - imageIds.length} selected audio asset(s) will be skipped.` : '.');
+    presetApplyJpegQualitySlider.value = DEFAULT_JPEG_QUALITY * 100;
+    presetApplyJpegQualityValueSpan.textContent = `${presetApplyJpegQualitySlider.value}%`;
+    presetApplyJpegQualityControls.classList.toggle('hidden', !imageIds.some(id => getAsset(id).mimeType === 'image/jpeg'));
+    showPresetApplyOperations();
+    presetApplyModal.classList.add('active');
+}
+
+function closePresetApplyModal() {
+    presetApplyModal.classList.remove('active');
+}
+
+function showPresetApplyOperations() {
+    const preset = presets.find(p => p.id === presetApplySelect.value);
+    presetApplyOperations.textContent = preset ? `Steps: ${describeOperations(preset.operations)}` : '';
+}
+
+/**
+ * Recolors an image.
+ * @param {Blob} imageBlob - The image.
+ * @param {import('./imageFilters.js').ImageAdjustments} adjustments - Adjustments with the recolor settings.
+ * @param {string} mimeType - The format of the result.
+ * @param {number} [quality] - Encoder quality between 0 and 1, used for JPEG.
+ * @returns {Promise<Blob|null>} The recolored image, or null if no pixel matches.
+ */
+async function recolorImage(imageBlob, adjustments, mimeType, quality) {
+    const imageData = await drawImageData(imageBlob);
+    if (adjustPixels(imageData.data, adjustments) === 0) {
+        return null;
+    }
+    ctx.putImageData(imageData, 0, 0);
+    return encodeProcessingCanvas(mimeType, quality);
+}
+
+/**
+ * Sets the project that autosave writes to and shows its name.
+ * @param {import('./projectStore.js').ProjectInfo|null} project - The project, or null to stop saving.
+ */
+function setCurrentProject(project) {
+    currentProject = project;
+    hasUnsavedChanges = false;
+    lastSavedAt = project ? project.updatedAt : null;
+    updateProjectStatus();
+}
+
+/**
+ * Notes that the open project has changes that are not saved yet.
+ */
+function markProjectChanged() {
+    if (!currentProject) return;
+    hasUnsavedChanges = true;
+    updateProjectStatus();
+}
+
+function updateProjectStatus() {
+    if (!currentProject) {
+        currentProjectNameSpan.textContent = '';
+        return;
+    }
+    const state = hasUnsavedChanges ? 'unsaved changes' : `saved ${new Date(lastSavedAt).toLocaleTimeString()}`;
+    currentProjectNameSpan.textContent = `Project: ${currentProject.name} (${state})`;
+}
+
+/**
+ * Saves the current state of the assets to the open project. A save already in progress
+ * is waited for first; if changes were made meanwhile, they are saved by a new save, as
+ * the one in progress took its snapshot before them.
+ * @returns {Promise<void>}
+ */
+async function saveCurrentProject() {
+    let waitedForSave = false;
+    while (projectSavePromise) {
+        waitedForSave = true;
+        await projectSavePromise.catch(() => {}); // A failure leaves the changes unsaved, so they are saved below
+    }
+    if (!currentProject || (waitedForSave && !hasUnsavedChanges)) return;
+
+    const projectId = currentProject.id;
+    hasUnsavedChanges = false; // Changes made while saving mark the project as changed again
+    projectSavePromise = createSessionData(getAllAssets(), { binary: true })
+        .then(session => saveProjectSession(projectId, session))
+        .then(() => {
+            lastSavedAt = Date.now();
+            updateProjectStatus();
+        })
+        .catch(error => {
+            hasUnsavedChanges = true;
+            throw error;
+        })
+        .finally(() => {
+            projectSavePromise = null;
+        });
+    return projectSavePromise;
+}
+
+/**
+ * Saves the open project if it has unsaved changes or a save in progress, before switching
+ * to other assets. A failed save is logged rather than blocking the switch.
+ * @returns {Promise<void>}
+ */
+async function flushProjectSave() {
+    if (!hasUnsavedChanges && !projectSavePromise) return;
+    try {
+        await saveCurrentProject();
+    } catch (error) {
+        console.error('Error saving project:', error);
+    }
+}
+
+/**
+ * Loads a saved project: its ZIP, then its session data.
+ * @param {string} projectId - The project ID.
+ */
+async function openProject(projectId) {
+    showLoader('Opening project...');
+    try {
+        await flushProjectSave();
+        setCurrentProject(null); // Nothing may be saved to the old project while the assets are swapped
+        const project = await getProjectInfo(projectId);
+        const projectData = await getProjectData(projectId);
+        if (!project || !projectData) {
+            throw new Error('The project no longer exists.');
+        }
+        await loadZip(new File([projectData.sourceZip], project.sourceFileName, { type: 'application/zip' }));
+        fileNameDisplay.textContent = project.sourceFileName;
+        if (projectData.session) {
+            const result = await applySessionData(projectData.session);
+            if (result.unmatched.length > 0) {
+                alert(describeSessionResult(result));
             }
+        }
+        clearHistory(); // The saved state is the starting point, not an undoable step
+        setCurrentProject(project); // Also clears the changes applying the session reported
+    } catch (error) {
+        console.error('Error opening project:', error);
+        alert('Failed to open project.\n' + error.message);
+    } finally {
+        hideLoader();
+    }
+}
 
-            ctx.putImageData(imageData, 0, 0);
-            resolve(imageProcessingCanvas.toDataURL());
-        };
-        img.onerror = (error) => {
-            reject(new Error('Failed to load image for filter application: ' + error.message));
-        };
-        img.src = base64Data;
+/**
+ * Summarizes an applied session for the user, including the entries that could not be applied.
+ * @param {import('./exportImport.js').SessionApplyResult} result - The result of applying the session.
+ * @returns {string}
+ */
+function describeSessionResult(result) {
+    let message = `Loaded ${SESSION_FORMAT_NAMES[result.sourceFormat]}: applied to ${result.appliedIds.length} asset(s).`;
+    if (result.unmatched.length > 0) {
+        message += `\n\n${describeUnappliedEntries(result.unmatched)}`;
+    }
+    return message;
+}
+
+/**
+ * Summarizes an imported mod ZIP for the user, listing the files that did not match an asset.
+ * @param {string} fileName - Name of the ZIP.
+ * @param {import('./exportImport.js').ModImportResult} result - The result of the import.
+ * @returns {string}
+ */
+function describeModImportResult(fileName, result) {
+    let message = result.layer
+        ? `Imported ${fileName} as the layer "${result.layer.name}" with ${result.appliedIds.length} file(s).`
+        : `Imported ${fileName}: no file matched a loaded asset.`;
+    if (result.unchangedCount > 0) {
+        message += ` ${result.unchangedCount} file(s) identical to the original were skipped.`;
+    }
+    if (result.otherFileCount > 0) {
+        message += ` ${result.otherFileCount} file(s) outside files/assets were ignored.`;
+    }
+    if (result.unmatched.length > 0) {
+        message += `\n\n${describeUnappliedEntries(result.unmatched)}`;
+    }
+    return message;
+}
+
+/**
+ * Lists session entries or imported files that could not be applied, for an alert. Long lists are cut short; the console gets all of them.
+ * @param {Array<{path: string, reason: string}>} entries - The entries with the reason.
+ * @returns {string}
+ */
+function describeUnappliedEntries(entries) {
+    const MAX_LISTED_ENTRIES = 15;
+    const listed = entries.slice(0, MAX_LISTED_ENTRIES).map(({ path, reason }) => `- ${path}: ${reason}`);
+    if (entries.length > MAX_LISTED_ENTRIES) {
+        listed.push(`...and ${entries.length - MAX_LISTED_ENTRIES} more (see the console).`);
+    }
+    console.warn('Entries that could not be applied:', entries);
+    return `${entries.length} entry(s) could not be applied:\n${listed.join('\n')}`;
+}
+
+/**
+ * Applies a session merge as one undoable step and reports the outcome.
+ * @param {import('./exportImport.js').SessionMergePlan} plan - The merge plan.
+ * @param {Map<string, string>} resolutions - Asset ID -> conflict choice ("left", "right" or "original").
+ */
+async function applyMerge(plan, resolutions) {
+    showLoader('Merging session...');
+    try {
+        let result;
+        await recordAssetChange(`Merge session ${plan.sourceName}`, null, () => {
+            result = applySessionMerge(plan, resolutions);
+        });
+        const resolvedCount = plan.conflicts.filter(conflict => (resolutions.get(conflict.assetId) || 'left') !== 'left').length;
+        let message = `Merged ${plan.sourceName}: ${plan.additions.length} new edit(s) added, ` +
+            `${resolvedCount} of ${plan.conflicts.length} conflict(s) changed, ${plan.identicalCount} identical edit(s) skipped.`;
+        const notMerged = plan.unmatched.concat(result.failed);
+        if (notMerged.length > 0) {
+            message += `\n\n${describeUnappliedEntries(notMerged)}`;
+        }
+        alert(message);
+    } catch (error) {
+        console.error('Error merging session:', error);
+        alert('Failed to merge session.\n' + error.message);
+    } finally {
+        hideLoader();
+    }
+}
+
+/**
+ * Shows the assets edited in both sessions side by side, each with a keep-current/keep-incoming/keep-original choice.
+ * @param {import('./exportImport.js').SessionMergePlan} plan - The merge plan.
+ */
+function openMergeConflictModal(plan) {
+    pendingMergePlan = plan;
+    revokeRevisionPreviewUrls(); // Shares the revision preview URLs; the replace modal is never open at the same time
+    mergeSummary.textContent = `${plan.sourceName}: ${plan.additions.length} edit(s) merge automatically. ` +
+        `${plan.conflicts.length} asset(s) are edited in both sessions; choose which version to keep.`;
+    mergeConflictList.innerHTML = '';
+
+    plan.conflicts.forEach(conflict => {
+        const item = document.createElement('li');
+        item.dataset.id = conflict.assetId;
+        const choiceName = `merge_${conflict.assetId}`;
+        item.innerHTML = `
+            <strong class="merge-conflict-path"></strong>
+            <div class="revision-compare">
+                <div class="revision-compare-side">
+                    <h4>Current (left)</h4>
+                    ${getRevisionPreviewHTML(conflict.assetId, conflict.currentBlob)}
+                </div>
+                <div class="revision-compare-side">
+                    <h4>Incoming (right)${conflict.incomingExcluded ? ' - excluded' : ''}</h4>
+                    ${getRevisionPreviewHTML(conflict.assetId, conflict.incomingBlob)}
+                </div>
+            </div>
+            <div class="merge-choices">
+                <label><input type="radio" value="left" checked> Keep current</label>
+                <label><input type="radio" value="right"> Keep incoming</label>
+                <label><input type="radio" value="original"> Keep original</label>
+            </div>
+        `;
+        item.querySelectorAll('input[type="radio"]').forEach(input => {
+            input.name = choiceName; // Asset IDs contain file names, so they are not put into the markup
+        });
+        item.querySelector('.merge-conflict-path').textContent = conflict.path;
+        mergeConflictList.appendChild(item);
+    });
+    mergeConflictModal.classList.add('active');
+}
+
+function closeMergeConflictModal() {
+    mergeConflictModal.classList.remove('active');
+    mergeConflictList.innerHTML = '';
+    revokeRevisionPreviewUrls();
+    pendingMergePlan = null;
+}
+
+/**
+ * Lists the saved projects in the project picker.
+ */
+async function renderProjectList() {
+    projectList.innerHTML = '';
+    let projects;
+    try {
+        projects = await listProjects();
+    } catch (error) {
+        console.error('Error listing projects:', error);
+        projectList.innerHTML = '<li>Projects are not available in this browser.</li>';
+        return;
+    }
+    if (projects.length === 0) {
+        projectList.innerHTML = '<li>No saved projects yet.</li>';
+        return;
+    }
+
+    projects.forEach(project => {
+        const isCurrent = currentProject && currentProject.id === project.id;
+        const item = document.createElement('li');
+        item.dataset.projectId = project.id;
+        item.classList.toggle('current', Boolean(isCurrent));
+        item.innerHTML = `
+            <div class="project-info">
+                <strong class="project-name"></strong>
+                <span class="project-source"></span>
+                <span>Last saved ${new Date(project.updatedAt).toLocaleString()}${isCurrent ? ' (open)' : ''}</span>
+            </div>
+            <div class="project-actions">
+                <button class="open-project-button">Open</button>
+                <button class="rename-project-button">Rename</button>
+                <button class="duplicate-project-button">Duplicate</button>
+                <button class="delete-project-button">Delete</button>
+            </div>
+        `;
+        // Names are user input
+        item.querySelector('.project-name').textContent = project.name;
+        item.querySelector('.project-source').textContent = project.sourceFileName;
+        projectList.appendChild(item);
     });
 }
 
+function openProjectPickerModal() {
+    renderProjectList();
+    projectPickerModal.classList.add('active');
+}
+
+function closeProjectPickerModal() {
+    projectPickerModal.classList.remove('active');
+}
+
 /**
- * Creates a new image as a Base64 data URL filled with a solid color.
- * @param {string} color - The CSS color string (e.g., '#RRGGBB').
- * @param {number} width - The width of the new image.
- * @param {number} height - The height of the new image.
- * @returns {string} The Base64 data URL of the color-filled image.
+ * Opens the mod info editor with the current metadata. The preview can be any edited image.
  */
-function createColorFillImage(color, width, height) {
-    imageProcessingCanvas.width = width;
-    imageProcessingCanvas.height = height;
-    ctx.clearRect(0, 0, width, height); // Clear previous content
-    ctx.fillStyle = color;
-    ctx.fillRect(0, 0, width, height);
-    return imageProcessingCanvas.toDataURL();
+function openModInfoModal() {
+    const metadata = getModMetadata();
+    modNameInput.value = metadata.name;
+    modAuthorInput.value = metadata.author;
+    modVersionInput.value = metadata.version;
+    modGameBuildInput.value = metadata.gameBuild;
+    modDescriptionInput.value = metadata.description;
+
+    modPreviewSelect.innerHTML = '';
+    modPreviewSelect.appendChild(new Option('None', ''));
+    getAllAssets()
+        .filter(asset => isAssetModified(asset) && getAssetType(asset.id) === 'image')
+        .sort((a, b) => a.fileName.localeCompare(b.fileName))
+        .forEach(asset => modPreviewSelect.appendChild(new Option(getAssetPath(asset.id), asset.id)));
+    // A preview that is no longer edited stays selectable until it is changed, but exports leave it out meanwhile
+    if (metadata.previewAssetId && getAsset(metadata.previewAssetId) &&
+        !Array.from(modPreviewSelect.options).some(option => option.value === metadata.previewAssetId)) {
+        modPreviewSelect.appendChild(new Option(getAssetPath(metadata.previewAssetId), metadata.previewAssetId));
+    }
+    modPreviewSelect.value = metadata.previewAssetId && getAsset(metadata.previewAssetId) ? metadata.previewAssetId : '';
+    showModPreview(modPreviewSelect.value);
+
+    modInfoModal.classList.add('active');
+}
+
+function openReleaseDiffModal() {
+    releaseComparison = null;
+    releaseFileInput.value = '';
+    releaseFileNameDisplay.textContent = 'No file chosen';
+    renderReleaseDiff();
+    releaseDiffModal.classList.add('active');
+}
+
+function closeReleaseDiffModal() {
+    releaseDiffModal.classList.remove('active');
+    releaseComparison = null;
+    releaseDiffReport.innerHTML = '';
+    revokeRevisionPreviewUrls(); // The audio players of changed assets use revision preview URLs
+}
+
+/**
+ * @returns {string} The export layout ('client' or 'browser') the release comparison lists paths in.
+ */
+function getReleaseDiffTarget() {
+    return Array.from(releaseDiffTargetInputs).find(input => input.checked).value;
+}
+
+/**
+ * Shows the release comparison: the counts, then each category with its asset paths in the chosen
+ * export layout. Changed assets show their previous and current previews side by side.
+ */
+function renderReleaseDiff() {
+    revokeRevisionPreviewUrls();
+    releaseDiffReport.innerHTML = '';
+    downloadMarkdownChangelogButton.disabled = !releaseComparison;
+    downloadHtmlChangelogButton.disabled = !releaseComparison;
+    if (!releaseComparison) {
+        releaseDiffSummary.textContent = '';
+        return;
+    }
+
+    const { diff, skipped } = releaseComparison;
+    const exportMode = getReleaseDiffTarget();
+    releaseDiffSummary.textContent = `Since ${diff.previousName}: ${diff.changed.length} changed, ${diff.added.length} added, ` +
+        `${diff.removed.length} removed, ${diff.unchanged.length} unchanged.` +
+        (skipped.length > 0 ? ` ${skipped.length} file(s) of the release could not be read (see the console).` : '');
+
+    DIFF_CATEGORIES.forEach(category => {
+        const section = document.createElement('details');
+        section.open = category !== 'unchanged' && diff[category].length > 0;
+        const summary = document.createElement('summary');
+        summary.textContent = `${DIFF_CATEGORY_TITLES[category]} (${diff[category].length})`;
+        const list = document.createElement('ul');
+        list.className = 'release-diff-list';
+        diff[category].forEach(entry => list.appendChild(createReleaseDiffItem(entry, exportMode, category === 'changed')));
+        section.append(summary, list);
+        releaseDiffReport.appendChild(section);
+    });
+}
+
+/**
+ * @param {import('./releaseDiff.js').DiffEntry} entry - The compared asset.
+ * @param {string} exportMode - 'client' or 'browser'.
+ * @param {boolean} showPreviews - Show the previous and current data side by side.
+ * @returns {HTMLLIElement}
+ */
+function createReleaseDiffItem(entry, exportMode, showPreviews) {
+    const item = document.createElement('li');
+    item.textContent = `${getAssetExportPath(entry, exportMode)} (${describeDiffEntrySize(entry)})`;
+    if (showPreviews) {
+        const compare = document.createElement('div');
+        compare.className = 'revision-compare';
+        [['Before', entry.previousPreview, entry.previousBlob], ['After', entry.currentPreview, entry.currentBlob]].forEach(([title, preview, blob]) => {
+            const side = document.createElement('div');
+            side.className = 'revision-compare-side';
+            const heading = document.createElement('h4');
+            heading.textContent = title;
+            side.appendChild(heading);
+            if (preview) {
+                const image = document.createElement('img');
+                image.src = preview;
+                image.alt = `${title} preview`;
+                side.appendChild(image);
+            } else if (entry.mediaType === 'image') {
+                side.append('No preview');
+            }
+            if (entry.mediaType === 'audio') {
+                const player = document.createElement('audio');
+                player.controls = true;
+                player.preload = 'none';
+                player.src = createRevisionPreviewUrl(blob);
+                side.appendChild(player);
+            }
+            compare.appendChild(side);
+        });
+        item.appendChild(compare);
+    }
+    return item;
+}
+
+function closeModInfoModal() {
+    modInfoModal.classList.remove('active');
+    showModPreview('');
+}
+
+/**
+ * Shows an asset's current image as the mod preview in the editor.
+ * @param {string} assetId - The asset ID, or '' to hide the preview.
+ */
+function showModPreview(assetId) {
+    if (modPreviewUrl) {
+        URL.revokeObjectURL(modPreviewUrl);
+        modPreviewUrl = null;
+    }
+    if (assetId) {
+        modPreviewUrl = URL.createObjectURL(getAssetBlob(assetId));
+        modPreviewImage.src = modPreviewUrl;
+    } else {
+        modPreviewImage.removeAttribute('src');
+    }
+    modPreviewImage.classList.toggle('hidden', !assetId);
+}
+
+function openExportOptionsModal() {
+    exportOptionsModal.classList.add('active');
+    updateExportSummary();
+}
+
+function closeExportOptionsModal() {
+    exportOptionsModal.classList.remove('active');
+}
+
+/**
+ * Draws an image onto the image processing canvas and reads its pixels.
+ * @param {Blob} imageBlob - The image.
+ * @returns {Promise<ImageData>}
+ */
+async function drawImageData(imageBlob) {
+    let img;
+    try {
+        img = await createImageBitmap(imageBlob);
+    } catch (error) {
+        throw new Error('Failed to load image for filter application: ' + error.message);
+    }
+
+    imageProcessingCanvas.width = img.width;
+    imageProcessingCanvas.height = img.height;
+    ctx.clearRect(0, 0, imageProcessingCanvas.width, imageProcessingCanvas.height);
+    ctx.drawImage(img, 0, 0);
+    img.close();
+    return ctx.getImageData(0, 0, imageProcessingCanvas.width, imageProcessingCanvas.height);
+}
+
+/**
+ * Applies the image adjustments (recolor, brightness, contrast, saturation, hue, tint and levels) to an image using canvas.
+ * The alpha channel is left as it is.
+ * @param {Blob} imageBlob - The input image.
+ * @param {import('./imageFilters.js').ImageAdjustments} adjustments - The adjustments.
+ * @param {Object} [options]
+ * @param {boolean} [options.highlightRecolorMask=false] Show the pixels the recolor matches instead of applying the adjustments.
+ * @returns {Promise<Blob>} A promise that resolves with the filtered image (PNG).
+ */
+async function applyImageFilters(imageBlob, adjustments, { highlightRecolorMask = false } = {}) {
+    const imageData = await drawImageData(imageBlob);
+    if (highlightRecolorMask) {
+        highlightRecolorMatches(imageData.data, adjustments);
+    } else {
+        adjustPixels(imageData.data, adjustments);
+    }
+    ctx.putImageData(imageData, 0, 0);
+    return encodeProcessingCanvas('image/png');
+}
+
+/**
+ * Encodes the image on the image processing canvas. JPEG has no transparency, so for JPEG the
+ * image is put on black first, as formatConversion's drawImageToCanvas does.
+ * @param {string} mimeType - The output format.
+ * @param {number} [quality] - Encoder quality between 0 and 1, used for JPEG.
+ * @returns {Promise<Blob>}
+ */
+function encodeProcessingCanvas(mimeType, quality) {
+    if (mimeType === 'image/jpeg') {
+        ctx.save();
+        ctx.globalCompositeOperation = 'destination-over';
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, imageProcessingCanvas.width, imageProcessingCanvas.height);
+        ctx.restore();
+    }
+    return canvasToBlob(imageProcessingCanvas, mimeType, quality);
 }
\ No newline at end of file
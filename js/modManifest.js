@@ -0,0 +1,159 @@
+// modManifest.js
+// The mod's metadata (name, author, version, ...). It is kept in the session and written
+// into every export as a mod.json manifest and a README listing the replaced assets.
+
+import { isAssetModified } from './assetStore.js';
+
+export const MANIFEST_FILE_NAME = 'mod.json';
+export const README_FILE_NAME = 'README.txt';
+export const MANIFEST_VERSION = 1;
+
+const PREVIEW_FILE_BASE_NAME = 'preview';
+
+/**
+ * Metadata of the mod being made.
+ * @typedef {Object} ModMetadata
+ * @property {string} name The mod name. Also used to name exports.
+ * @property {string} author The author.
+ * @property {string} version The mod version, e.g. "1.0.0".
+ * @property {string} description A description of the mod.
+ * @property {string|null} previewAssetId ID of the edited image shown as the mod's preview, or null.
+ * @property {string} gameBuild The game build the mod was made for.
+ */
+
+/**
+ * The metadata of a mod nothing has been entered for yet.
+ * @returns {ModMetadata}
+ */
+export function createDefaultModMetadata() {
+    return { name: '', author: '', version: '1.0.0', description: '', previewAssetId: null, gameBuild: '' };
+}
+
+let modMetadata = createDefaultModMetadata();
+
+/**
+ * Gets the current mod metadata.
+ * @returns {ModMetadata} A copy; use setModMetadata to change it.
+ */
+export function getModMetadata() {
+    return { ...modMetadata };
+}
+
+/**
+ * Replaces the current mod metadata. Missing or invalid fields get their default values.
+ * @param {Partial<ModMetadata>} metadata The new metadata, e.g. from a session file.
+ */
+export function setModMetadata(metadata) {
+    const defaults = createDefaultModMetadata();
+    const text = (key) => (typeof metadata?.[key] === 'string' ? metadata[key].trim() : defaults[key]);
+    modMetadata = {
+        name: text('name'),
+        author: text('author'),
+        version: text('version'),
+        description: text('description'),
+        previewAssetId: typeof metadata?.previewAssetId === 'string' ? metadata.previewAssetId : null,
+        gameBuild: text('gameBuild')
+    };
+}
+
+/**
+ * Gets the preview image of the mod, if one is chosen and its asset is loaded and replaced.
+ * An unmodified asset would show the original game image, so the mod then has no preview.
+ * @param {ModMetadata} metadata The mod metadata.
+ * @param {Array<import('./fileLoader.js').ModAsset>} assets The array of all ModAsset objects.
+ * @returns {{fileName: string, blob: Blob}|null} The preview's file name in the export and its data.
+ */
+export function getModPreview(metadata, assets) {
+    const asset = metadata.previewAssetId && assets.find(candidate => candidate.id === metadata.previewAssetId);
+    if (!asset || !asset.mimeType.startsWith('image/') || !isAssetModified(asset)) return null;
+    return { fileName: `${PREVIEW_FILE_BASE_NAME}.${asset.fileType}`, blob: asset.blob };
+}
+
+/**
+ * Builds the mod.json manifest of an export.
+ * @param {ModMetadata} metadata The mod metadata.
+ * @param {Array<import('./fileLoader.js').ModAsset>} exportedAssets The assets in the export.
+ * @param {string} exportMode 'client' or 'browser'.
+ * @param {string|null} previewFileName The preview's file name in the export, or null if it has none.
+ * @returns {Object} The manifest, ready for JSON.stringify.
+ */
+export function createManifest(metadata, exportedAssets, exportMode, previewFileName) {
+    return {
+        manifestVersion: MANIFEST_VERSION,
+        name: metadata.name,
+        author: metadata.author,
+        version: metadata.version,
+        description: metadata.description,
+        gameBuild: metadata.gameBuild,
+        preview: previewFileName,
+        target: exportMode,
+        exportedAt: new Date().toISOString(),
+        replacedAssets: getReplacedAssets(exportedAssets).map(asset => ({
+            folderNumber: asset.folderNumber,
+            fileName: asset.fileName
+        }))
+    };
+}
+
+/**
+ * Builds the README of an export: the metadata, then every replaced asset by folder number and file name.
+ * @param {ModMetadata} metadata The mod metadata.
+ * @param {Array<import('./fileLoader.js').ModAsset>} exportedAssets The assets in the export.
+ * @param {string} exportMode 'client' or 'browser'.
+ * @returns {string}
+ */
+export function createReadme(metadata, exportedAssets, exportMode) {
+    const replacedAssets = getReplacedAssets(exportedAssets);
+    const lines = [`${metadata.name || 'Untitled mod'}${metadata.version ? ` v${metadata.version}` : ''}`];
+    if (metadata.author) lines.push(`by ${metadata.author}`);
+    if (metadata.gameBuild) lines.push(`Made for game build ${metadata.gameBuild}`);
+    if (metadata.description) lines.push('', metadata.description);
+
+    lines.push('', 'Installation:', exportMode === 'client'
+        ? '  Extract the "Venge Client" folder into your Documents folder, replacing existing files.'
+        : '  Open your browser\'s extensions page, enable developer mode and load the "Venge Client Browser" folder unpacked.');
+
+    lines.push('', `Replaced assets (${replacedAssets.length}):`);
+    replacedAssets.forEach(asset => lines.push(`  ${asset.folderNumber}/${asset.fileName}`));
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * The modified assets of an export (local edits and mod layer data), sorted by folder number and file name.
+ * Full exports also contain unmodified originals, which are not listed as replacements.
+ * @param {Array<import('./fileLoader.js').ModAsset>} exportedAssets The assets in the export.
+ * @returns {Array<import('./fileLoader.js').ModAsset>}
+ */
+function getReplacedAssets(exportedAssets) {
+    return exportedAssets
+        .filter(isAssetModified)
+        .sort((a, b) => a.folderNumber.localeCompare(b.folderNumber, undefined, { numeric: true }) || a.fileName.localeCompare(b.fileName));
+}
+
+/**
+ * Names an export file after the mod, e.g. "Neon_Skins_v1.2.0_Client.zip".
+ * Without a mod name, the generic "Venge_Client_Mod.zip" / "Venge_Browser_Mod.zip" is used.
+ * @param {ModMetadata} metadata The mod metadata.
+ * @param {string} exportMode 'client' or 'browser'.
+ * @param {string} [suffix=''] Added before the extension, e.g. "_Folder".
+ * @param {string} [extension='zip'] The file extension, e.g. "md" for a changelog.
+ * @returns {string}
+ */
+export function getExportFileName(metadata, exportMode, suffix = '', extension = 'zip') {
+    const target = exportMode === 'client' ? 'Client' : 'Browser';
+    const name = sanitizeFileNamePart(metadata.name);
+    if (!name) {
+        return `Venge_${target}_Mod${suffix}.${extension}`;
+    }
+    const version = sanitizeFileNamePart(metadata.version);
+    return `${name}${version ? `_v${version}` : ''}_${target}${suffix}.${extension}`;
+}
+
+/**
+ * Makes text safe for a file name: whitespace becomes "_", characters invalid on common file systems are dropped.
+ * @param {string} text The text.
+ * @returns {string}
+ */
+export function sanitizeFileNamePart(text) {
+    return text.replace(/[<>:"/\\|?*\x00-\x1F]/g, '').trim().replace(/\s+/g, '_');
+}
@@ -0,0 +1,232 @@
+// projectStore.js
+// Named projects persisted in IndexedDB. A project remembers the uploaded ZIP
+// and the latest session data, so work survives closing the tab.
+// Metadata and the (large) ZIP/session data live in separate object stores so
+// the project picker can list projects without reading every ZIP.
+// Image adjustment presets are kept here too; they belong to no project.
+
+const DB_NAME = 'venge-modding-site';
+const DB_VERSION = 2; // 2 added the presets store
+const PROJECTS_STORE = 'projects'; // ProjectInfo records
+const PROJECT_DATA_STORE = 'projectData'; // { id, sourceZip, session } records
+const PRESETS_STORE = 'presets'; // AdjustmentPreset records
+
+/**
+ * Metadata of a saved project.
+ * @typedef {Object} ProjectInfo
+ * @property {string} id Unique project ID.
+ * @property {string} name Display name.
+ * @property {string} sourceFileName Name of the ZIP the project was created from.
+ * @property {number} createdAt Creation time (ms since epoch).
+ * @property {number} updatedAt Last save time (ms since epoch).
+ */
+
+let databasePromise = null;
+
+/**
+ * Opens (and on first use creates) the database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available in this browser.'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(PROJECTS_STORE)) {
+                    db.createObjectStore(PROJECTS_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(PROJECT_DATA_STORE)) {
+                    db.createObjectStore(PROJECT_DATA_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(PRESETS_STORE)) {
+                    db.createObjectStore(PRESETS_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a retry after a failed open
+        databasePromise.catch(() => {
+            databasePromise = null;
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Runs a function inside a transaction and resolves once the transaction completes.
+ * @param {Array<string>} storeNames The object stores to use.
+ * @param {IDBTransactionMode} mode "readonly" or "readwrite".
+ * @param {function(Object<string, IDBObjectStore>): (IDBRequest|void)} work Receives the stores by name. If it returns a request, its result is resolved.
+ * @returns {Promise<*>}
+ */
+async function runTransaction(storeNames, mode, work) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const stores = {};
+        storeNames.forEach(name => {
+            stores[name] = transaction.objectStore(name);
+        });
+        const request = work(stores);
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted.'));
+    });
+}
+
+/**
+ * Creates a unique project ID.
+ * @returns {string}
+ */
+function createProjectId() {
+    return `project_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Lists every saved project, most recently updated first.
+ * @returns {Promise<Array<ProjectInfo>>}
+ */
+export async function listProjects() {
+    const projects = await runTransaction([PROJECTS_STORE], 'readonly', stores => stores[PROJECTS_STORE].getAll());
+    return projects.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Creates a project for a freshly loaded ZIP.
+ * @param {string} name The project name.
+ * @param {Blob} sourceZip The uploaded ZIP.
+ * @param {string} sourceFileName The ZIP's file name.
+ * @param {Object} [session] Initial session data.
+ * @returns {Promise<ProjectInfo>}
+ */
+export async function createProject(name, sourceZip, sourceFileName, session = null) {
+    const now = Date.now();
+    const info = { id: createProjectId(), name, sourceFileName, createdAt: now, updatedAt: now };
+    await runTransaction([PROJECTS_STORE, PROJECT_DATA_STORE], 'readwrite', stores => {
+        stores[PROJECTS_STORE].put(info);
+        stores[PROJECT_DATA_STORE].put({ id: info.id, sourceZip, session });
+    });
+    return info;
+}
+
+/**
+ * Gets the metadata of a project.
+ * @param {string} projectId The project ID.
+ * @returns {Promise<ProjectInfo|undefined>}
+ */
+export function getProjectInfo(projectId) {
+    return runTransaction([PROJECTS_STORE], 'readonly', stores => stores[PROJECTS_STORE].get(projectId));
+}
+
+/**
+ * Gets the ZIP and session data of a project.
+ * @param {string} projectId The project ID.
+ * @returns {Promise<{id: string, sourceZip: Blob, session: Object|null}|undefined>}
+ */
+export function getProjectData(projectId) {
+    return runTransaction([PROJECT_DATA_STORE], 'readonly', stores => stores[PROJECT_DATA_STORE].get(projectId));
+}
+
+/**
+ * Stores new session data for a project and bumps its update time.
+ * @param {string} projectId The project ID.
+ * @param {Object} session The session data.
+ * @returns {Promise<void>}
+ */
+export async function saveProjectSession(projectId, session) {
+    const info = await getProjectInfo(projectId);
+    const data = await getProjectData(projectId);
+    if (!info || !data) {
+        throw new Error(`Project ${projectId} not found.`);
+    }
+    info.updatedAt = Date.now();
+    data.session = session;
+    await runTransaction([PROJECTS_STORE, PROJECT_DATA_STORE], 'readwrite', stores => {
+        stores[PROJECTS_STORE].put(info);
+        stores[PROJECT_DATA_STORE].put(data);
+    });
+}
+
+/**
+ * Renames a project.
+ * @param {string} projectId The project ID.
+ * @param {string} name The new name.
+ * @returns {Promise<void>}
+ */
+export async function renameProject(projectId, name) {
+    const info = await getProjectInfo(projectId);
+    if (!info) {
+        throw new Error(`Project ${projectId} not found.`);
+    }
+    info.name = name;
+    info.updatedAt = Date.now();
+    await runTransaction([PROJECTS_STORE], 'readwrite', stores => {
+        stores[PROJECTS_STORE].put(info);
+    });
+}
+
+/**
+ * Copies a project, including its ZIP and session data.
+ * @param {string} projectId The project ID.
+ * @param {string} name The name of the copy.
+ * @returns {Promise<ProjectInfo>} The new project.
+ */
+export async function duplicateProject(projectId, name) {
+    const info = await getProjectInfo(projectId);
+    const data = await getProjectData(projectId);
+    if (!info || !data) {
+        throw new Error(`Project ${projectId} not found.`);
+    }
+    return createProject(name, data.sourceZip, info.sourceFileName, data.session);
+}
+
+/**
+ * Deletes a project and its data.
+ * @param {string} projectId The project ID.
+ * @returns {Promise<void>}
+ */
+export async function deleteProject(projectId) {
+    await runTransaction([PROJECTS_STORE, PROJECT_DATA_STORE], 'readwrite', stores => {
+        stores[PROJECTS_STORE].delete(projectId);
+        stores[PROJECT_DATA_STORE].delete(projectId);
+    });
+}
+
+/**
+ * Lists every saved adjustment preset, by name.
+ * @returns {Promise<Array<import('./adjustmentStack.js').AdjustmentPreset>>}
+ */
+export async function listPresets() {
+    const presets = await runTransaction([PRESETS_STORE], 'readonly', stores => stores[PRESETS_STORE].getAll());
+    return presets.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Saves an adjustment preset, replacing the one with the same ID.
+ * @param {import('./adjustmentStack.js').AdjustmentPreset} preset The preset. Overlay images are stored as Blobs.
+ * @returns {Promise<import('./adjustmentStack.js').AdjustmentPreset>} The stored preset, with an ID if it had none.
+ */
+export async function savePreset(preset) {
+    const record = { ...preset, id: preset.id || `preset_${Date.now()}_${Math.random().toString(36).slice(2, 8)}` };
+    await runTransaction([PRESETS_STORE], 'readwrite', stores => {
+        stores[PRESETS_STORE].put(record);
+    });
+    return record;
+}
+
+/**
+ * Deletes an adjustment preset.
+ * @param {string} presetId The preset ID.
+ * @returns {Promise<void>}
+ */
+export async function deletePreset(presetId) {
+    await runTransaction([PRESETS_STORE], 'readwrite', stores => {
+        stores[PRESETS_STORE].delete(presetId);
+    });
+}
@@ -0,0 +1,296 @@
+// releaseDiff.js
+// Compares the current mod with a previous release (an exported ZIP or a session file, read by
+// exportImport.js) and writes the differences as a Markdown or HTML changelog. Assets are
+// listed by their path in an export, so the changelog names the files players actually get.
+
+import { blobsEqual, formatBytes, showLoader } from './utils.js';
+import { getExportScopeAssets, getAssetExportPath } from './exportImport.js';
+import { decodeAudio } from './formatConversion.js';
+
+/** Report categories, in the order they are listed. */
+export const DIFF_CATEGORIES = ['changed', 'added', 'removed', 'unchanged'];
+
+/** Headings of the report categories. */
+export const DIFF_CATEGORY_TITLES = {
+    changed: 'Changed',
+    added: 'Added',
+    removed: 'Removed',
+    unchanged: 'Unchanged'
+};
+
+const THUMBNAIL_SIZE = 128; // Longest side of image thumbnails, in pixels
+const WAVEFORM_WIDTH = 240;
+const WAVEFORM_HEIGHT = 64;
+const WAVEFORM_BACKGROUND = '#21252b';
+const WAVEFORM_COLOR = '#61afef';
+
+/**
+ * An asset in a release comparison.
+ * @typedef {Object} DiffEntry
+ * @property {string} folderNumber The folder number.
+ * @property {string} fileName The file name.
+ * @property {'image'|'audio'} mediaType The media type, from the file extension.
+ * @property {Blob|null} previousBlob The data in the previous release, or null if the asset is added.
+ * @property {Blob|null} currentBlob The data in the current mod, or null if the asset is removed.
+ * @property {string|null} previousPreview Data URL of a thumbnail (images) or waveform (audio) of the previous data.
+ *     Only set for changed assets, by createDiffPreviews; null if it could not be rendered.
+ * @property {string|null} currentPreview The same for the current data.
+ */
+
+/**
+ * The differences between the current mod and a previous release.
+ * @typedef {Object} ReleaseDiff
+ * @property {string} previousName Name of the previous release, e.g. its file name.
+ * @property {Array<DiffEntry>} changed Assets both replace, with different data.
+ * @property {Array<DiffEntry>} added Assets only the current mod replaces.
+ * @property {Array<DiffEntry>} removed Assets only the previous release replaces; the new release leaves them original.
+ * @property {Array<DiffEntry>} unchanged Assets both replace with the same data.
+ */
+
+/**
+ * Compares the assets the current mod replaces (those of an "Edited only" export) with a previous release.
+ * Assets are matched by folder number and file name.
+ * @param {Array<import('./fileLoader.js').ModAsset>} assets The array of all ModAsset objects.
+ * @param {import('./exportImport.js').ReleaseContents} release The previous release, from readReleaseAssets.
+ * @param {string} previousName Name of the previous release, e.g. its file name.
+ * @returns {Promise<ReleaseDiff>} Each category sorted by folder number and file name.
+ */
+export async function compareWithRelease(assets, release, previousName) {
+    const diff = { previousName, changed: [], added: [], removed: [], unchanged: [] };
+    const previousByPath = new Map(release.assets.map(previous => [`${previous.folderNumber}/1/${previous.fileName}`, previous]));
+
+    for (const asset of getExportScopeAssets(assets, 'delta')) {
+        const path = `${asset.folderNumber}/1/${asset.fileName}`;
+        const previous = previousByPath.get(path);
+        previousByPath.delete(path);
+
+        const entry = createDiffEntry(asset, previous ? previous.blob : null, asset.blob);
+        if (!previous) {
+            diff.added.push(entry);
+        } else if (await blobsEqual(previous.blob, asset.blob)) {
+            diff.unchanged.push(entry);
+        } else {
+            diff.changed.push(entry);
+        }
+    }
+    previousByPath.forEach(previous => diff.removed.push(createDiffEntry(previous, previous.blob, null)));
+
+    DIFF_CATEGORIES.forEach(category => diff[category].sort(compareDiffEntries));
+    return diff;
+}
+
+/**
+ * @param {{folderNumber: string, fileName: string}} asset The asset.
+ * @param {Blob|null} previousBlob The data in the previous release.
+ * @param {Blob|null} currentBlob The data in the current mod.
+ * @returns {DiffEntry}
+ */
+function createDiffEntry(asset, previousBlob, currentBlob) {
+    return {
+        folderNumber: asset.folderNumber,
+        fileName: asset.fileName,
+        mediaType: /\.mp3$/i.test(asset.fileName) ? 'audio' : 'image',
+        previousBlob,
+        currentBlob,
+        previousPreview: null,
+        currentPreview: null
+    };
+}
+
+function compareDiffEntries(a, b) {
+    return a.folderNumber.localeCompare(b.folderNumber, undefined, { numeric: true }) || a.fileName.localeCompare(b.fileName);
+}
+
+/**
+ * Renders the previews of the changed assets: thumbnails for images, waveforms for audio.
+ * Previews are data URLs, so they can be embedded in the HTML changelog as they are.
+ * @param {ReleaseDiff} diff The comparison. Its changed entries receive their previews.
+ * @returns {Promise<void>}
+ */
+export async function createDiffPreviews(diff) {
+    let processedCount = 0;
+    for (const entry of diff.changed) {
+        processedCount++;
+        showLoader(`Rendering previews (${processedCount}/${diff.changed.length}): ${entry.fileName}`);
+        entry.previousPreview = await createPreview(entry.previousBlob, entry.mediaType);
+        entry.currentPreview = await createPreview(entry.currentBlob, entry.mediaType);
+    }
+}
+
+/**
+ * @param {Blob} blob The asset data.
+ * @param {'image'|'audio'} mediaType The media type.
+ * @returns {Promise<string|null>} A PNG data URL, or null if the data cannot be decoded.
+ */
+async function createPreview(blob, mediaType) {
+    try {
+        const canvas = mediaType === 'audio' ? await drawWaveform(blob) : await drawThumbnail(blob);
+        return canvas.toDataURL('image/png');
+    } catch (error) {
+        console.warn('Could not render a diff preview:', error);
+        return null;
+    }
+}
+
+/**
+ * @param {Blob} blob Image data.
+ * @returns {Promise<HTMLCanvasElement>} The image scaled down to at most THUMBNAIL_SIZE pixels on its longest side.
+ */
+async function drawThumbnail(blob) {
+    const image = await createImageBitmap(blob);
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.width * scale));
+    canvas.height = Math.max(1, Math.round(image.height * scale));
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    image.close();
+    return canvas;
+}
+
+/**
+ * Draws the waveform of audio: the lowest and highest sample of the first channel for each pixel column.
+ * @param {Blob} blob Audio data.
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+async function drawWaveform(blob) {
+    const samples = (await decodeAudio(blob)).getChannelData(0);
+    const canvas = document.createElement('canvas');
+    canvas.width = WAVEFORM_WIDTH;
+    canvas.height = WAVEFORM_HEIGHT;
+    const context = canvas.getContext('2d');
+    context.fillStyle = WAVEFORM_BACKGROUND;
+    context.fillRect(0, 0, WAVEFORM_WIDTH, WAVEFORM_HEIGHT);
+    context.fillStyle = WAVEFORM_COLOR;
+
+    const middle = WAVEFORM_HEIGHT / 2;
+    const samplesPerColumn = samples.length / WAVEFORM_WIDTH;
+    for (let x = 0; x < WAVEFORM_WIDTH; x++) {
+        const start = Math.floor(x * samplesPerColumn);
+        const end = Math.max(start + 1, Math.floor((x + 1) * samplesPerColumn));
+        let min = 0;
+        let max = 0;
+        for (let i = start; i < end && i < samples.length; i++) {
+            min = Math.min(min, samples[i]);
+            max = Math.max(max, samples[i]);
+        }
+        const top = middle - Math.min(1, max) * middle;
+        const bottom = middle - Math.max(-1, min) * middle;
+        context.fillRect(x, top, 1, Math.max(1, bottom - top));
+    }
+    return canvas;
+}
+
+/**
+ * Title of a changelog, e.g. "Neon Skins v1.2.0".
+ * @param {import('./modManifest.js').ModMetadata} metadata The mod metadata.
+ * @returns {string}
+ */
+function getChangelogTitle(metadata) {
+    return `${metadata.name || 'Untitled mod'}${metadata.version ? ` v${metadata.version}` : ''}`;
+}
+
+/**
+ * Describes the size of an entry's data, e.g. "12.3 KB -> 14.1 KB" for a changed asset.
+ * @param {DiffEntry} entry The entry.
+ * @returns {string}
+ */
+export function describeDiffEntrySize(entry) {
+    if (entry.previousBlob && entry.currentBlob && entry.previousBlob.size !== entry.currentBlob.size) {
+        return `${formatBytes(entry.previousBlob.size)} -> ${formatBytes(entry.currentBlob.size)}`;
+    }
+    return formatBytes((entry.currentBlob || entry.previousBlob).size);
+}
+
+/**
+ * Writes a comparison as a Markdown changelog. Unchanged assets are only counted.
+ * @param {ReleaseDiff} diff The comparison.
+ * @param {import('./modManifest.js').ModMetadata} metadata The mod metadata, for the title.
+ * @param {string} exportMode 'client' or 'browser'; the export layout the asset paths are given in.
+ * @returns {string}
+ */
+export function createMarkdownChangelog(diff, metadata, exportMode) {
+    const lines = [`# ${getChangelogTitle(metadata)} changelog`, '', `Changes since ${diff.previousName}.`];
+    DIFF_CATEGORIES.filter(category => category !== 'unchanged' && diff[category].length > 0).forEach(category => {
+        lines.push('', `## ${DIFF_CATEGORY_TITLES[category]} (${diff[category].length})`, '');
+        diff[category].forEach(entry => {
+            lines.push(`- \`${getAssetExportPath(entry, exportMode)}\` (${describeDiffEntrySize(entry)})`);
+        });
+    });
+    if (diff.changed.length + diff.added.length + diff.removed.length === 0) {
+        lines.push('', 'No changes.');
+    }
+    lines.push('', `${diff.unchanged.length} asset(s) unchanged.`);
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Writes a comparison as a self-contained HTML changelog, with the previews of changed assets
+ * embedded (run createDiffPreviews first) and unchanged assets in a collapsed list.
+ * @param {ReleaseDiff} diff The comparison.
+ * @param {import('./modManifest.js').ModMetadata} metadata The mod metadata, for the title.
+ * @param {string} exportMode 'client' or 'browser'; the export layout the asset paths are given in.
+ * @returns {string}
+ */
+export function createHtmlChangelog(diff, metadata, exportMode) {
+    const title = `${getChangelogTitle(metadata)} changelog`;
+    const pathHtml = (entry) => `<code>${escapeHtml(getAssetExportPath(entry, exportMode))}</code>`;
+    const previewHtml = (preview) => (preview ? `<img src="${preview}" alt="">` : '<em>No preview</em>');
+    const sections = [];
+
+    if (diff.changed.length > 0) {
+        const rows = diff.changed.map(entry => `
+            <tr>
+                <td>${pathHtml(entry)}<br>${escapeHtml(describeDiffEntrySize(entry))}</td>
+                <td>${previewHtml(entry.previousPreview)}</td>
+                <td>${previewHtml(entry.currentPreview)}</td>
+            </tr>`).join('');
+        sections.push(`
+        <h2>${DIFF_CATEGORY_TITLES.changed} (${diff.changed.length})</h2>
+        <table>
+            <tr><th>Asset</th><th>Before</th><th>After</th></tr>${rows}
+        </table>`);
+    }
+    ['added', 'removed'].filter(category => diff[category].length > 0).forEach(category => {
+        const items = diff[category].map(entry => `<li>${pathHtml(entry)} (${escapeHtml(describeDiffEntrySize(entry))})</li>`).join('');
+        sections.push(`
+        <h2>${DIFF_CATEGORY_TITLES[category]} (${diff[category].length})</h2>
+        <ul>${items}</ul>`);
+    });
+    if (sections.length === 0) {
+        sections.push('<p>No changes.</p>');
+    }
+    const unchangedItems = diff.unchanged.map(entry => `<li>${pathHtml(entry)}</li>`).join('');
+    sections.push(`
+        <details>
+            <summary>${DIFF_CATEGORY_TITLES.unchanged} (${diff.unchanged.length})</summary>
+            <ul>${unchangedItems}</ul>
+        </details>`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: sans-serif; background: #282c34; color: #abb2bf; margin: 20px; }
+        h1, h2 { color: #61afef; }
+        table { border-collapse: collapse; }
+        td, th { border: 1px solid #4b5263; padding: 6px; text-align: left; vertical-align: middle; }
+        img { max-width: 240px; max-height: 128px; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    <p>Changes since ${escapeHtml(diff.previousName)}.</p>${sections.join('')}
+</body>
+</html>
+`;
+}
+
+/**
+ * @param {string} text Text to put into HTML.
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+}
@@ -0,0 +1,210 @@
+// sessionFormat.js
+// The versioned session file format, and migrations that upgrade every older
+// save format to it. Recognized formats:
+//   "session"           { formatVersion, createdAt, assets: [SessionEntry], metadata?, layers? } (current)
+//   "legacy-session"    The bare array of entries saveSession wrote before formatVersion existed
+//   "venge-mod-changes" { folderNumber: { fileName: { base64Data, type, isExcluded } } } from the old exportChanges
+//   "mod-client-export" { "mod-client-export": { "Venge Client": { "Resource Swapper": { files: { assets: ... } } } } }
+
+import { ASSET_MIME_TYPES } from './fileLoader.js';
+
+export const SESSION_FORMAT_VERSION = 2;
+
+export const SESSION_FORMAT_NAMES = {
+    'session': 'session file',
+    'legacy-session': 'session file (old format)',
+    'venge-mod-changes': 'venge_mod_changes.json',
+    'mod-client-export': 'mod-client-export JSON'
+};
+
+/**
+ * One asset's state in a session.
+ * @typedef {Object} SessionEntry
+ * @property {string} [id] The asset ID. Missing in entries migrated from formats keyed by folder and file name.
+ * @property {string} folderNumber The asset's folder number, used when the ID does not match a loaded asset.
+ * @property {string} fileName The asset's file name.
+ * @property {boolean} isEdited Whether the asset is edited.
+ * @property {boolean} isExcluded Whether the asset is excluded from export.
+ * @property {string} [base64Data] The current data as a data URI, if it is not one of the revisions.
+ * @property {Blob} [blob] The same data as a Blob, in sessions stored in IndexedDB.
+ * @property {number} [currentRevision] Index of the revision in use, -1 for the original.
+ * @property {Array<{label: string, createdAt: number, base64Data?: string, blob?: Blob, adjustments?: SessionAdjustments}>} [revisions]
+ *     The non-original revisions, oldest first.
+ */
+
+/**
+ * The adjustment stack a revision was rendered from. Missing in sessions saved before stacks existed,
+ * and for revisions that were not rendered from one.
+ * @typedef {Object} SessionAdjustments
+ * @property {number} [baseRevision] Index of the revision whose data the stack starts from, -1 for the original.
+ * @property {string} [base64Data] Otherwise the data it starts from, stored like SessionEntry data.
+ * @property {Blob} [blob] The same data as a Blob, in sessions stored in IndexedDB.
+ * @property {Array<Object>} operations The operations, from adjustmentStack.js's serializeOperations.
+ */
+
+/**
+ * A session in the current format.
+ * @typedef {Object} SessionData
+ * @property {number} formatVersion Always SESSION_FORMAT_VERSION.
+ * @property {number} createdAt When the session was saved (ms since epoch).
+ * @property {Array<SessionEntry>} assets The asset entries.
+ * @property {import('./modManifest.js').ModMetadata} [metadata] The mod metadata. Missing in sessions saved before it existed.
+ * @property {Array<SessionLayer>} [layers] The mod layers, lowest priority first. Missing in sessions saved before layers existed.
+ */
+
+/**
+ * A mod layer in a session.
+ * @typedef {Object} SessionLayer
+ * @property {string} name Display name.
+ * @property {boolean} enabled Whether the layer supplies data.
+ * @property {Array<{id: string, folderNumber: string, fileName: string, base64Data?: string, blob?: Blob}>} assets
+ *     The layer's data per asset, stored like SessionEntry data.
+ */
+
+// Asset IDs are "<type>_<folderNumber>_<fileName>"
+const ASSET_ID_PATTERN = /^[a-z0-9]+_(\d+)_(.+)$/;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Works out which format parsed session JSON is in.
+ * @param {*} data The parsed JSON.
+ * @returns {string|null} A key of SESSION_FORMAT_NAMES, or null if the format is not recognized.
+ */
+export function detectSessionFormat(data) {
+    if (Array.isArray(data)) {
+        return data.every(entry => isPlainObject(entry) && typeof entry.id === 'string') ? 'legacy-session' : null;
+    }
+    if (!isPlainObject(data)) {
+        return null;
+    }
+    if (typeof data.formatVersion === 'number' && Array.isArray(data.assets)) {
+        return 'session';
+    }
+    if (isPlainObject(data['mod-client-export'])) {
+        return 'mod-client-export';
+    }
+    const folderNumbers = Object.keys(data);
+    const isChangesFile = folderNumbers.length > 0 && folderNumbers.every(folderNumber =>
+        /^\d+$/.test(folderNumber) && isPlainObject(data[folderNumber]) &&
+        Object.values(data[folderNumber]).every(change => isPlainObject(change) && 'base64Data' in change));
+    return isChangesFile ? 'venge-mod-changes' : null;
+}
+
+/**
+ * Upgrades parsed session JSON of any recognized format to the current format.
+ * @param {*} data The parsed JSON.
+ * @returns {{session: SessionData, sourceFormat: string}} The session and the format it was detected as.
+ * @throws {Error} If the format is not recognized or is newer than this site supports.
+ */
+export function migrateSessionData(data) {
+    const sourceFormat = detectSessionFormat(data);
+    switch (sourceFormat) {
+        case 'session':
+            if (data.formatVersion > SESSION_FORMAT_VERSION) {
+                throw new Error(`This session uses format version ${data.formatVersion}, which is newer than this site supports (${SESSION_FORMAT_VERSION}).`);
+            }
+            return { session: data, sourceFormat };
+        case 'legacy-session':
+            return { session: createSession(data.map(migrateLegacySessionEntry)), sourceFormat };
+        case 'venge-mod-changes':
+            return { session: createSession(migrateChangesFile(data)), sourceFormat };
+        case 'mod-client-export':
+            return { session: createSession(migrateModClientExport(data)), sourceFormat };
+        default:
+            throw new Error('Unrecognized session file format.');
+    }
+}
+
+/**
+ * Wraps session entries in the current format.
+ * @param {Array<SessionEntry>} entries The asset entries.
+ * @param {Object} [extras]
+ * @param {import('./modManifest.js').ModMetadata} [extras.metadata] The mod metadata, if known.
+ * @param {Array<SessionLayer>} [extras.layers] The mod layers, if any.
+ * @returns {SessionData}
+ */
+export function createSession(entries, { metadata, layers } = {}) {
+    const session = { formatVersion: SESSION_FORMAT_VERSION, createdAt: Date.now(), assets: entries };
+    if (metadata) session.metadata = metadata;
+    if (layers && layers.length > 0) session.layers = layers;
+    return session;
+}
+
+/**
+ * Adds the folder number and file name to an entry of the bare array format.
+ * @param {Object} entry The legacy entry, keyed by asset ID only.
+ * @returns {SessionEntry}
+ */
+function migrateLegacySessionEntry(entry) {
+    const match = entry.id.match(ASSET_ID_PATTERN);
+    return {
+        ...entry,
+        folderNumber: match ? match[1] : '',
+        fileName: match ? match[2] : entry.id
+    };
+}
+
+/**
+ * Converts the old venge_mod_changes.json. Its data is raw base64 next to a file type. Assets
+ * with data counted as edited; others are only listed for their exclusion flag.
+ * @param {Object} changes The parsed file.
+ * @returns {Array<SessionEntry>}
+ */
+function migrateChangesFile(changes) {
+    const entries = [];
+    for (const folderNumber in changes) {
+        for (const fileName in changes[folderNumber]) {
+            const change = changes[folderNumber][fileName];
+            const base64Data = toDataUri(change.base64Data, change.type);
+            entries.push({
+                folderNumber,
+                fileName,
+                isEdited: Boolean(base64Data),
+                isExcluded: Boolean(change.isExcluded),
+                base64Data
+            });
+        }
+    }
+    return entries;
+}
+
+/**
+ * Converts a mod-client-export JSON (the format of the catalog's JSON files).
+ * Every file in it is treated as a replacement.
+ * @param {Object} data The parsed file.
+ * @returns {Array<SessionEntry>}
+ */
+function migrateModClientExport(data) {
+    const clientExport = data['mod-client-export'];
+    const folders = clientExport?.['Venge Client']?.['Resource Swapper']?.files?.assets || {};
+    const entries = [];
+    for (const folderNumber in folders) {
+        const files = folders[folderNumber]?.['1'] || {};
+        for (const fileName in files) {
+            entries.push({
+                folderNumber,
+                fileName,
+                isEdited: true,
+                isExcluded: false,
+                base64Data: toDataUri(files[fileName].data, files[fileName].type)
+            });
+        }
+    }
+    return entries;
+}
+
+/**
+ * Turns raw base64 into a data URI. Data URIs are returned as they are.
+ * @param {string} data Raw base64 or a data URI.
+ * @param {string} [type] A file type ("jpg", "png", "mp3") or a MIME type.
+ * @returns {string|undefined} Undefined if there is no data.
+ */
+function toDataUri(data, type) {
+    if (typeof data !== 'string' || data === '') return undefined;
+    if (data.startsWith('data:')) return data;
+    const mimeType = type && type.includes('/') ? type : (ASSET_MIME_TYPES[type === 'jpeg' ? 'jpg' : type] || 'application/octet-stream');
+    return `data:${mimeType};base64,${data}`;
+}
@@ -24,21 +24,42 @@ export function hideLoader() {
 }
 
 /**
- * Converts a File object to a Base64 data URL.
- * @param {File} file - The File object to convert.
+ * Converts a Blob (or File) to a Base64 data URL.
+ * Assets are kept as Blobs in memory; only use this where text is required, such as session files.
+ * @param {Blob} blob - The Blob to convert.
  * @returns {Promise<string>} A promise that resolves with the Base64 data URL.
  */
-export function fileToBase64(file) {
+export function blobToBase64(blob) {
     return new Promise((resolve, reject) => {
         const reader = new FileReader();
         reader.onload = () => resolve(reader.result);
         reader.onerror = error => reject(error);
-        reader.readAsDataURL(file);
+        reader.readAsDataURL(blob);
     });
 }
 
+/**
+ * Converts a Base64 data URL to a Blob.
+ * @param {string} dataUrl - The Base64 data URL (e.g., "data:image/png;base64,...").
+ * @returns {Blob} The decoded Blob, typed with the data URL's MIME type.
+ */
+export function base64ToBlob(dataUrl) {
+    const [header, base64] = dataUrl.split(',');
+    const mimeMatch = header.match(/^data:([^;]+);base64$/);
+    if (!mimeMatch || base64 === undefined) {
+        throw new Error('Invalid Base64 data URL.');
+    }
+    const byteCharacters = atob(base64);
+    const byteArray = new Uint8Array(byteCharacters.length);
+    for (let i = 0; i < byteCharacters.length; i++) {
+        byteArray[i] = byteCharacters.charCodeAt(i);
+    }
+    return new Blob([byteArray], { type: mimeMatch[1] });
+}
+
 /**
  * Gets the dimensions (width and height) of an image from a Base64 data URL.
+ * Object URLs work as well.
  * @param {string} base64Data - The Base64 data URL of the image.
  * @returns {Promise<{width: number, height: number}>} A promise that resolves with the image dimensions.
  */
@@ -55,7 +76,87 @@ export function getImageDimensionsFromBase64(base64Data) {
     });
 }
 
-// Global right-click prevention
-document.addEventListener('contextmenu', (e) => {
-    e.preventDefault();
-});
\ No newline at end of file
+/**
+ * Gets the dimensions (width and height) of an image Blob.
+ * @param {Blob} blob - The image Blob.
+ * @returns {Promise<{width: number, height: number}>} A promise that resolves with the image dimensions.
+ */
+export async function getImageDimensionsFromBlob(blob) {
+    const url = URL.createObjectURL(blob);
+    try {
+        return await getImageDimensionsFromBase64(url);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Encodes the contents of a canvas as a Blob.
+ * @param {HTMLCanvasElement} canvas - The canvas to encode.
+ * @param {string} [mimeType='image/png'] - The output MIME type.
+ * @param {number} [quality] - Encoder quality between 0 and 1, used by lossy formats.
+ * @returns {Promise<Blob>} A promise that resolves with the encoded image.
+ */
+export function canvasToBlob(canvas, mimeType = 'image/png', quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error(`Failed to encode canvas as ${mimeType}.`));
+            }
+        }, mimeType, quality);
+    });
+}
+
+/**
+ * Formats a byte count for display.
+ * @param {number} bytes - The number of bytes.
+ * @returns {string} e.g. "512 B", "1.5 KB", "3.2 MB"
+ */
+export function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unitIndex = 0;
+    while (value >= 1024 && unitIndex < units.length - 1) {
+        value /= 1024;
+        unitIndex++;
+    }
+    return unitIndex === 0 ? `${value} ${units[0]}` : `${value.toFixed(1)} ${units[unitIndex]}`;
+}
+
+/**
+ * Checks whether two Blobs hold the same bytes.
+ * @param {Blob} a - The first Blob.
+ * @param {Blob} b - The second Blob.
+ * @returns {Promise<boolean>}
+ */
+export async function blobsEqual(a, b) {
+    if (a === b) return true;
+    if (a.size !== b.size) return false;
+    const [bufferA, bufferB] = await Promise.all([a.arrayBuffer(), b.arrayBuffer()]);
+    const bytesA = new Uint8Array(bufferA);
+    const bytesB = new Uint8Array(bufferB);
+    return bytesA.every((byte, index) => byte === bytesB[index]);
+}
+
+/**
+ * Works out the real format of data from its first bytes; the Blob's own type only reflects
+ * the name of the file it came from.
+ * @param {Blob} blob - The data.
+ * @returns {Promise<string>} The MIME type, or the Blob's type if the format is not recognized.
+ */
+export async function sniffMimeType(blob) {
+    const bytes = new Uint8Array(await blob.slice(0, 12).arrayBuffer());
+    const startsWith = (...values) => values.every((value, index) => bytes[index] === value);
+    const ascii = (start, end) => String.fromCharCode(...bytes.slice(start, end));
+
+    if (startsWith(0x89, 0x50, 0x4E, 0x47)) return 'image/png';
+    if (startsWith(0xFF, 0xD8, 0xFF)) return 'image/jpeg';
+    if (ascii(0, 4) === 'GIF8') return 'image/gif';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'audio/wav';
+    if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+    if (ascii(0, 3) === 'ID3' || (bytes[0] === 0xFF && (bytes[1] & 0xE6) === 0xE2)) return 'audio/mpeg'; // Frame sync + layer III
+    return blob.type || 'application/octet-stream';
+}
\ No newline at end of file
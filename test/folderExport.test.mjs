@@ -0,0 +1,81 @@
+// folderExport.test.mjs
+// Checks the folder export against the in-memory directory handle. Run with: node --test test/*.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFilesToDirectory } from '../js/folderExport.js';
+import { createMemoryDirectory } from './memoryDirectoryHandle.mjs';
+
+const ASSETS_PATH = 'Venge Client/Resource Swapper/files/assets';
+
+function createFiles(contents) {
+    return Object.entries(contents).map(([path, text]) => ({ path: `${ASSETS_PATH}/${path}`, blob: new Blob([text]) }));
+}
+
+async function readFiles(root) {
+    const files = {};
+    for (const [path, blob] of root.list()) {
+        if (blob) files[path] = await blob.text();
+    }
+    return files;
+}
+
+async function getFileHandleAtPath(root, path) {
+    const parts = path.split('/');
+    const fileName = parts.pop();
+    let directory = root;
+    for (const part of parts) {
+        directory = await directory.getDirectoryHandle(part);
+    }
+    return directory.getFileHandle(fileName);
+}
+
+test('writes every file and the extra folders', async () => {
+    const root = createMemoryDirectory();
+    const progress = [];
+    const result = await writeFilesToDirectory(root, createFiles({ '1/1/a.png': 'A', '1/1/b.jpg': 'B', '2/1/c.mp3': 'C' }), {
+        folders: ['Venge Client/Userscript', 'Venge Client/CSS'],
+        onProgress: (doneCount, totalCount) => progress.push(`${doneCount}/${totalCount}`)
+    });
+
+    assert.deepEqual(result, { writtenCount: 3, skippedCount: 0 });
+    assert.deepEqual(await readFiles(root), {
+        [`${ASSETS_PATH}/1/1/a.png`]: 'A',
+        [`${ASSETS_PATH}/1/1/b.jpg`]: 'B',
+        [`${ASSETS_PATH}/2/1/c.mp3`]: 'C'
+    });
+    assert.ok(root.list().has('Venge Client/Userscript/'));
+    assert.ok(root.list().has('Venge Client/CSS/'));
+    assert.deepEqual(progress, ['1/3', '2/3', '3/3']);
+});
+
+test('overwrites existing files unless the export is incremental', async () => {
+    const root = createMemoryDirectory();
+    await writeFilesToDirectory(root, createFiles({ '1/1/a.png': 'A' }));
+    const result = await writeFilesToDirectory(root, createFiles({ '1/1/a.png': 'A' }));
+
+    assert.deepEqual(result, { writtenCount: 1, skippedCount: 0 });
+    assert.equal((await getFileHandleAtPath(root, `${ASSETS_PATH}/1/1/a.png`)).writeCount, 2);
+});
+
+test('an incremental export only writes new and changed files', async () => {
+    const root = createMemoryDirectory();
+    await writeFilesToDirectory(root, createFiles({ '1/1/a.png': 'A', '1/1/b.jpg': 'B' }));
+    const result = await writeFilesToDirectory(root, createFiles({ '1/1/a.png': 'A', '1/1/b.jpg': 'B2', '2/1/c.mp3': 'C' }), {
+        incremental: true
+    });
+
+    assert.deepEqual(result, { writtenCount: 2, skippedCount: 1 });
+    assert.deepEqual(await readFiles(root), {
+        [`${ASSETS_PATH}/1/1/a.png`]: 'A',
+        [`${ASSETS_PATH}/1/1/b.jpg`]: 'B2',
+        [`${ASSETS_PATH}/2/1/c.mp3`]: 'C'
+    });
+});
+
+test('refuses paths that leave the chosen folder', async () => {
+    const root = createMemoryDirectory();
+    await assert.rejects(writeFilesToDirectory(root, [{ path: '../outside.png', blob: new Blob(['X']) }]), /Invalid export path/);
+    await assert.rejects(writeFilesToDirectory(root, [{ path: '', blob: new Blob(['X']) }]), /Invalid export path/);
+    assert.equal(root.list().size, 0);
+});
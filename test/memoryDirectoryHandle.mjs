@@ -0,0 +1,90 @@
+// memoryDirectoryHandle.mjs
+// An in-memory stand-in for FileSystemDirectoryHandle, with the parts folderExport.js uses
+// (see its DirectoryHandleLike), so folder exports can be checked without a browser or disk.
+
+/**
+ * Creates an empty in-memory folder.
+ * @param {string} [name='root'] The folder name.
+ * @returns {MemoryDirectoryHandle}
+ */
+export function createMemoryDirectory(name = 'root') {
+    return new MemoryDirectoryHandle(name);
+}
+
+class MemoryDirectoryHandle {
+    constructor(name) {
+        this.kind = 'directory';
+        this.name = name;
+        /** @type {Map<string, MemoryDirectoryHandle|MemoryFileHandle>} */
+        this.entries = new Map();
+    }
+
+    async getDirectoryHandle(name, { create = false } = {}) {
+        return this.getEntry(name, 'directory', create, () => new MemoryDirectoryHandle(name));
+    }
+
+    async getFileHandle(name, { create = false } = {}) {
+        return this.getEntry(name, 'file', create, () => new MemoryFileHandle(name));
+    }
+
+    getEntry(name, kind, create, createEntry) {
+        const entry = this.entries.get(name);
+        if (entry) {
+            if (entry.kind !== kind) {
+                throw new DOMException(`${name} is not a ${kind}.`, 'TypeMismatchError');
+            }
+            return entry;
+        }
+        if (!create) {
+            throw new DOMException(`${name} not found.`, 'NotFoundError');
+        }
+        const created = createEntry();
+        this.entries.set(name, created);
+        return created;
+    }
+
+    /**
+     * Lists the folders and files below this folder.
+     * @param {string} [prefix=''] Put before every path.
+     * @returns {Map<string, Blob|null>} Path -> file content, or null for a folder (path ending in "/").
+     */
+    list(prefix = '') {
+        const paths = new Map();
+        for (const [name, entry] of this.entries) {
+            if (entry.kind === 'directory') {
+                paths.set(`${prefix}${name}/`, null);
+                entry.list(`${prefix}${name}/`).forEach((blob, path) => paths.set(path, blob));
+            } else {
+                paths.set(`${prefix}${name}`, entry.blob);
+            }
+        }
+        return paths;
+    }
+}
+
+class MemoryFileHandle {
+    constructor(name) {
+        this.kind = 'file';
+        this.name = name;
+        this.blob = new Blob([]);
+        this.writeCount = 0; // How often the file was written, to tell written files from skipped ones
+    }
+
+    async getFile() {
+        return this.blob;
+    }
+
+    async createWritable() {
+        const parts = [];
+        return {
+            write: async (data) => {
+                parts.push(data);
+            },
+            // Like the real API, the content is only replaced when the stream is closed
+            close: async () => {
+                this.blob = new Blob(parts);
+                this.writeCount++;
+            }
+        };
+    }
+}